@@ -7,6 +7,8 @@ interface IRolesContract {
     function isManufacturer(address _account) external view returns (bool);
     function isRetailer(address _account) external view returns (bool);
     function isServiceCenter(address _account) external view returns (bool);
+    function isArbiter(address _account) external view returns (bool); // 仲裁员或管理员
+    function isRecycler(address _account) external view returns (bool);
     function hasAnyRole(address account) external view returns (bool);
 }
 
@@ -22,11 +24,17 @@ interface IProductRegistry {
         string memory warrantyTermsURI
     ) external returns (uint256 tokenId);
 
+    // [新增] 设置单个产品的版税 (ERC-2981)
+    function setTokenRoyalty(uint256 tokenId, address receiver, uint96 royaltyBps) external;
+
     // 更新市场信息
     function updateMarketInfo(uint256 productId, uint256 price, bool isListed) external;
     
-    // [新增] 获取市场价格信息
-    function getProductMarketInfo(uint256 productId) external view returns (uint256 price, bool isListed);
+    // [新增] 获取市场价格信息 (paymentToken 为 address(0) 表示以 ETH 计价)
+    function getProductMarketInfo(uint256 productId) external view returns (uint256 price, bool isListed, address paymentToken);
+
+    // [新增] 设置计价币种
+    function setPaymentToken(uint256 productId, address paymentToken) external;
 
     // 记录转移历史
     function recordOwnershipTransfer(uint256 productId, address from, address to, string memory eventType) external;
@@ -40,6 +48,19 @@ interface IProductRegistry {
     // [新增] 供 Marketplace 完成购买交易（强制转移）
     function executeMarketTransaction(address from, address to, uint256 tokenId) external;
 
+    // [新增] 产品来源：制造商 (首任所有者) 与型号，供召回判断
+    function getProductOrigin(uint256 tokenId) external view returns (address manufacturer, string memory modelDetails);
+
+    // [新增] 是否被挂失 (丢失/被盗)：挂失期间不能上架、出售、转移或申请保修
+    function isLostOrStolen(uint256 tokenId) external view returns (bool);
+
+    // [新增] 是否已回收 (NFT 已销毁)：回收后保修作废
+    function isRecycled(uint256 tokenId) external view returns (bool);
+
+    // [新增] 按序列号查询 Token ID (大小写不敏感)，未知序列号会回退
+    function getTokenIdBySerialNumber(string memory serialNumber) external view returns (uint256);
+    function getTokenIdBySerialNumber(address manufacturer, string memory serialNumber) external view returns (uint256);
+
     // [新增] 获取用户库存
     function getPlayerInventory(address _owner) external view returns (uint256[] memory);
 }
@@ -54,4 +75,10 @@ interface IWarrantyManager {
     function setProductRegistryAddress(address _registryAddr) external;
     function setMarketplaceAddress(address _mpAddr) external;
     function getWarrantyStatus(uint256 tokenId) external view returns (uint256, uint256, uint8, uint8, uint8, string memory);
+    // [新增] Marketplace 收款后叠加延保，返回收款方 (制造商) 与价格
+    function applyExtension(uint256 tokenId, uint256 planId, address purchaser) external returns (address manufacturer, uint256 price);
+    // [新增] 影响该产品且尚未完成补救的未结召回 ID
+    function getOpenRecalls(uint256 tokenId) external view returns (uint256[] memory);
+    // [新增] 保修到期时间 (已顺延 Pending 时长)
+    function getWarrantyExpiry(uint256 tokenId) external view returns (uint256);
 }
\ No newline at end of file
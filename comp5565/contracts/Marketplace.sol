@@ -4,21 +4,144 @@ pragma solidity ^0.8.20;
 
 import "./I_Interfaces.sol";
 import "@openzeppelin/contracts/access/Ownable.sol"; 
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 contract Marketplace is Ownable { 
+    using SafeERC20 for IERC20;
     
     IRolesContract public accessControl;
     IWarrantyManager public warrantyManager;
     IProductRegistry public productRegistry; 
 
-    event ProductListed(uint256 indexed productId, uint256 price, address indexed seller);
-    // [重要] 记录交易金额和买卖双方
-    event ProductSold(uint256 indexed productId, address indexed buyer, address indexed seller, uint256 price);
+    event ProductListed(uint256 indexed productId, uint256 price, address indexed seller, address paymentToken);
+    // 非成交原因的下架 (卖家下架、拍卖取消或流拍)；成交下架见 ProductSold，挂失下架见 ProductRegistry 的 ProductReportedLostOrStolen
+    event ProductDelisted(uint256 indexed productId, address indexed seller);
+    // [重要] 记录交易金额、买卖双方、平台抽成、制造商版税以及计价币种 (address(0) 为 ETH)
+    event ProductSold(uint256 indexed productId, address indexed buyer, address indexed seller, uint256 price, uint256 platformFee, uint256 royalty, address paymentToken);
+
+    // --- 提现账本 (Pull Payment) 与平台手续费 ---
+    // 卖家货款、多付退款、平台手续费均记入余额，由收款方自行 withdraw()
+    mapping(address => uint256) public pendingWithdrawals;
+
+    uint256 public constant MAX_PLATFORM_FEE_BPS = 1000; // 上限 10%
+    uint256 public platformFeeBps;                      // 平台手续费 (基点，1 bps = 0.01%)
+    address public treasury;
+
+    event PaymentCredited(address indexed account, uint256 amount);
+    event Withdrawal(address indexed account, uint256 amount);
+    event PlatformFeeUpdated(uint256 feeBps);
+    event TreasuryUpdated(address indexed treasury);
+
+    // --- 制造商版税 (ERC-2981) ---
+    // 每个版税收款方 (制造商) 累计获得的版税
+    mapping(address => uint256) public royaltyEarnings;
+
+    event RoyaltyPaid(uint256 indexed productId, address indexed receiver, uint256 amount);
+
+    // --- ERC-20 稳定币支付 ---
+    // 可用于计价的 ERC-20 白名单，由 Marketplace 所有者维护
+    mapping(address => bool) public allowedPaymentTokens;
+    // 代币计价交易的提现账本：token => 收款方 => 金额
+    mapping(address => mapping(address => uint256)) public pendingTokenWithdrawals;
+    mapping(address => mapping(address => uint256)) public tokenRoyaltyEarnings;
+
+    event PaymentTokenAllowed(address indexed token, bool allowed);
+    event TokenPaymentCredited(address indexed token, address indexed account, uint256 amount);
+    event TokenWithdrawal(address indexed token, address indexed account, uint256 amount);
+
+    // --- 付费延保 ---
+    event WarrantyExtensionPurchased(uint256 indexed productId, uint256 indexed planId, address indexed buyer, address manufacturer, uint256 price);
+
+    // --- 批量操作 ---
+    // 单笔交易内批量注册/购买的上限，避免超出 3000 万的区块 Gas 限制。
+    // 实测每单位注册约 62 万 Gas (含保修、版税与序列号索引)，40 件约 2470 万，为较长的型号/条款字符串预留约 18% 余量
+    uint256 public constant MAX_BATCH_SIZE = 40;
+
+    // --- 报价与还价 (Offers) ---
+    enum OfferStatus { None, Open, Countered, Accepted, Rejected, Cancelled }
+
+    struct Offer {
+        uint256 productId;
+        address buyer;
+        uint256 amount;         // 买家已托管的金额
+        uint256 expiresAt;
+        uint256 counterAmount;  // 所有者还价金额
+        address counteredBy;    // 还价时的所有者
+        OfferStatus status;
+    }
+
+    // 报价 ID 从 1 开始
+    uint256 private _nextOfferId = 1;
+    mapping(uint256 => Offer) public offers;
+    mapping(uint256 => uint256[]) internal _productOfferIds;
+
+    event OfferMade(uint256 indexed offerId, uint256 indexed productId, address indexed buyer, uint256 amount, uint256 expiresAt);
+    event OfferCountered(uint256 indexed offerId, uint256 indexed productId, address indexed owner, uint256 counterAmount);
+    event OfferAccepted(uint256 indexed offerId, uint256 indexed productId, address indexed seller, uint256 price);
+    event OfferRejected(uint256 indexed offerId, uint256 indexed productId, address indexed owner);
+    event OfferCancelled(uint256 indexed offerId, uint256 indexed productId, address indexed buyer);
+
+    // --- 拍卖 (Auctions) ---
+    enum AuctionType { English, Dutch }
+    enum AuctionStatus { None, Active, Settled, Cancelled }
+
+    struct Auction {
+        uint256 productId;
+        address seller;
+        AuctionType auctionType;
+        uint256 startPrice;     // 英式拍卖为保留价；荷式拍卖为起始价
+        uint256 endPrice;       // 荷式拍卖的最低价
+        uint256 minIncrement;   // 英式拍卖的最小加价幅度
+        uint256 startTime;
+        uint256 endTime;
+        address highestBidder;
+        uint256 highestBid;
+        AuctionStatus status;
+    }
+
+    // 防狙击：结束前该时间窗口内出价，拍卖延长至出价后该时长
+    uint256 public constant AUCTION_EXTENSION_WINDOW = 10 minutes;
+
+    // 拍卖 ID 从 1 开始，0 表示产品不在拍卖中
+    uint256 private _nextAuctionId = 1;
+    mapping(uint256 => Auction) public auctions;
+    mapping(uint256 => uint256) public activeAuctionId;
+
+    event AuctionCreated(uint256 indexed auctionId, uint256 indexed productId, address indexed seller, AuctionType auctionType, uint256 startPrice, uint256 endPrice, uint256 endTime);
+    event BidPlaced(uint256 indexed auctionId, address indexed bidder, uint256 amount, uint256 endTime);
+    event AuctionSettled(uint256 indexed auctionId, uint256 indexed productId, address indexed winner, uint256 price);
+    event AuctionCancelled(uint256 indexed auctionId, uint256 indexed productId);
+
+    // --- 担保交易 (Escrow) ---
+    enum EscrowStatus { None, Held, Released, Returned }
+
+    struct Escrow {
+        address buyer;
+        address seller;
+        uint256 amount;
+        uint256 platformFee;  // 购买时按当时费率计算，放款时扣除
+        address royaltyReceiver;
+        uint256 royalty;
+        uint256 releaseAfter; // 退货期截止时间，之后可放款
+        EscrowStatus status;
+    }
+
+    // 默认退货期 7 天，可由 Marketplace 所有者调整
+    uint256 public returnWindow = 7 days;
+    mapping(uint256 => Escrow) public escrows;
+
+    event EscrowCreated(uint256 indexed productId, address indexed buyer, address indexed seller, uint256 amount, uint256 releaseAfter);
+    event EscrowReleased(uint256 indexed productId, address indexed seller, uint256 amount);
+    event PurchaseReturned(uint256 indexed productId, address indexed buyer, address indexed seller, uint256 amount);
+    event ReturnWindowUpdated(uint256 returnWindow);
 
     constructor(address _accessControl, address _warrantyManager) Ownable(msg.sender) { 
         require(_accessControl != address(0) && _warrantyManager != address(0), "Invalid address");
         accessControl = IRolesContract(_accessControl);
         warrantyManager = IWarrantyManager(_warrantyManager);
+        treasury = msg.sender;
     }
 
     function setProductRegistryAddress(address _registryAddr) public onlyOwner { 
@@ -39,12 +162,55 @@ contract Marketplace is Ownable {
         uint256 durationDays,
         uint8 maxClaims
     ) external {
+        _registerProduct(serialNumber, modelDetails, manufacturerDetails, price, warrantyTermsURI, durationDays, maxClaims, 0, address(0));
+    }
+
+    // 带版税的注册：royaltyBps 为二级/零售销售时制造商获得的版税 (基点)，上限由 ProductRegistry 所有者设置
+    function registerProduct(
+        string memory serialNumber,
+        string memory modelDetails,
+        string memory manufacturerDetails,
+        uint256 price,
+        string memory warrantyTermsURI,
+        uint256 durationDays,
+        uint8 maxClaims,
+        uint96 royaltyBps
+    ) external {
+        _registerProduct(serialNumber, modelDetails, manufacturerDetails, price, warrantyTermsURI, durationDays, maxClaims, royaltyBps, address(0));
+    }
+
+    // 以白名单内的 ERC-20 计价注册：price 为代币数量
+    function registerProduct(
+        string memory serialNumber,
+        string memory modelDetails,
+        string memory manufacturerDetails,
+        uint256 price,
+        string memory warrantyTermsURI,
+        uint256 durationDays,
+        uint8 maxClaims,
+        uint96 royaltyBps,
+        address paymentToken
+    ) external {
+        _registerProduct(serialNumber, modelDetails, manufacturerDetails, price, warrantyTermsURI, durationDays, maxClaims, royaltyBps, paymentToken);
+    }
+
+    function _registerProduct(
+        string memory serialNumber,
+        string memory modelDetails,
+        string memory manufacturerDetails,
+        uint256 price,
+        string memory warrantyTermsURI,
+        uint256 durationDays,
+        uint8 maxClaims,
+        uint96 royaltyBps,
+        address paymentToken
+    ) internal returns (uint256 tokenId) {
         // 权限检查：只有制造商
         require(accessControl.isManufacturer(msg.sender), "MP: Only Manufacturer can register.");
         require(address(productRegistry) != address(0), "MP: Registry not set."); 
 
         // 1. 铸造 NFT 给制造商自己 (状态自动设为 Listed)
-        uint256 tokenId = productRegistry.mintProduct(
+        tokenId = productRegistry.mintProduct(
             msg.sender, 
             serialNumber,
             modelDetails,
@@ -56,8 +222,38 @@ contract Marketplace is Ownable {
         // 2. 激活保修
         warrantyManager.issueWarranty(tokenId, durationDays, maxClaims);
 
+        // 2B. 设置制造商版税
+        if (royaltyBps > 0) {
+            productRegistry.setTokenRoyalty(tokenId, msg.sender, royaltyBps);
+        }
+
+        // 2C. 设置计价币种
+        if (paymentToken != address(0)) {
+            require(allowedPaymentTokens[paymentToken], "MP: Payment token not allowed.");
+            productRegistry.setPaymentToken(tokenId, paymentToken);
+        }
+
         // 3. 发出上架事件
-        emit ProductListed(tokenId, price, msg.sender);
+        emit ProductListed(tokenId, price, msg.sender, paymentToken);
+    }
+
+    // 批量注册一个生产批次：同一型号、保修条款、期限和索赔次数，每个单位有独立序列号
+    // 每个单位都会单独激活保修并发出 ProductListed 事件
+    function registerProductBatch(
+        string[] memory serialNumbers,
+        string memory modelDetails,
+        string memory manufacturerDetails,
+        uint256 price,
+        string memory warrantyTermsURI,
+        uint256 durationDays,
+        uint8 maxClaims
+    ) external returns (uint256[] memory tokenIds) {
+        _checkBatchSize(serialNumbers.length);
+
+        tokenIds = new uint256[](serialNumbers.length);
+        for (uint256 i = 0; i < serialNumbers.length; i++) {
+            tokenIds[i] = _registerProduct(serialNumbers[i], modelDetails, manufacturerDetails, price, warrantyTermsURI, durationDays, maxClaims, 0, address(0));
+        }
     }
 
     // =========================================================
@@ -65,67 +261,640 @@ contract Marketplace is Ownable {
     // =========================================================
     // 前端调用此函数，并附带 ETH (msg.value)
     function buyProduct(uint256 productId) external payable {
+        (address seller, uint256 price) = _validateEthPurchase(productId);
+
+        // 如果付多了，记入买家余额
+        _refundExcess(price);
+
+        // D-G. 资金入账、交货、下架并记录历史
+        _completeSale(productId, seller, msg.sender, price, address(0));
+    }
+
+    // 批量购买 (例如零售商整批采购制造商的一个批次)：附带的 ETH 需覆盖所有产品的总价
+    // 每件产品单独结算并发出 ProductSold 事件，任意一件失败则整笔交易回退
+    function buyProductBatch(uint256[] calldata productIds) external payable {
+        _checkBatchSize(productIds.length);
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < productIds.length; i++) {
+            (address seller, uint256 price, address paymentToken) = _validatePurchase(productIds[i]);
+            require(paymentToken == address(0), "MP: Listing priced in ERC-20.");
+            total += price;
+            _completeSale(productIds[i], seller, msg.sender, price, address(0));
+        }
+        require(msg.value >= total, "MP: Insufficient funds sent.");
+
+        _refundExcess(total);
+    }
+
+    // 购买前查询：影响该产品且尚未完成补救的召回，前端应在 buyProduct 前向买家展示
+    function getOpenRecalls(uint256 productId) external view returns (uint256[] memory) {
+        return warrantyManager.getOpenRecalls(productId);
+    }
+
+    // ERC-20 计价的购买路径：买家需先 approve Marketplace，价格通过 transferFrom 拉取
+    function buyProductWithToken(uint256 productId) external {
+        (address seller, uint256 price, address paymentToken) = _validatePurchase(productId);
+        require(paymentToken != address(0), "MP: Listing priced in ETH.");
+
+        IERC20(paymentToken).safeTransferFrom(msg.sender, address(this), price);
+
+        _completeSale(productId, seller, msg.sender, price, paymentToken);
+    }
+
+    // =========================================================
+    // 2B. 担保购买 (Escrow)：资金由 Marketplace 托管，买家确认收货或退货期满后才放款
+    // =========================================================
+    function buyProductWithEscrow(uint256 productId) external payable {
+        (address seller, uint256 price) = _validateEthPurchase(productId);
+
+        _refundExcess(price);
+
+        (uint256 fee, address royaltyReceiver, uint256 royalty) = _computeSplit(productId, seller, price);
+        uint256 releaseAfter = block.timestamp + returnWindow;
+        escrows[productId] = Escrow({
+            buyer: msg.sender,
+            seller: seller,
+            amount: price,
+            platformFee: fee,
+            royaltyReceiver: royaltyReceiver,
+            royalty: royalty,
+            releaseAfter: releaseAfter,
+            status: EscrowStatus.Held
+        });
+
+        _deliverProduct(productId, seller, msg.sender, price, address(0));
+
+        emit ProductSold(productId, msg.sender, seller, price, fee, royalty, address(0));
+        emit EscrowCreated(productId, msg.sender, seller, price, releaseAfter);
+    }
+
+    // 买家确认收货，立即放款给卖家
+    function confirmReceipt(uint256 productId) external {
+        Escrow storage escrow = escrows[productId];
+        require(escrow.status == EscrowStatus.Held, "MP: No active escrow.");
+        require(msg.sender == escrow.buyer, "MP: Only buyer can confirm.");
+        _releaseEscrow(productId, escrow);
+    }
+
+    // 退货期满后，任何人都可以触发放款
+    function releaseEscrow(uint256 productId) external {
+        Escrow storage escrow = escrows[productId];
+        require(escrow.status == EscrowStatus.Held, "MP: No active escrow.");
+        require(block.timestamp >= escrow.releaseAfter, "MP: Return window still open.");
+        _releaseEscrow(productId, escrow);
+    }
+
+    // 买家在退货期内发起退货：NFT 退回卖家，托管资金退回买家
+    function openReturn(uint256 productId) external {
+        Escrow storage escrow = escrows[productId];
+        require(escrow.status == EscrowStatus.Held, "MP: No active escrow.");
+        require(msg.sender == escrow.buyer, "MP: Only buyer can return.");
+        require(block.timestamp < escrow.releaseAfter, "MP: Return window closed.");
+        require(productRegistry.ownerOf(productId) == escrow.buyer, "MP: Buyer no longer owns product.");
+
+        escrow.status = EscrowStatus.Returned;
+        address seller = escrow.seller;
+        uint256 amount = escrow.amount;
+
+        // 反向转移 NFT，并以独立的事件类型记录到溯源历史
+        productRegistry.executeMarketTransaction(msg.sender, seller, productId);
+        (uint256 currentPrice, , ) = productRegistry.getProductMarketInfo(productId);
+        productRegistry.updateMarketInfo(productId, currentPrice, false);
+        productRegistry.recordOwnershipTransfer(productId, msg.sender, seller, "SALE_RETURNED");
+
+        // 退货不收取手续费，全额记入买家余额
+        _credit(msg.sender, amount);
+
+        emit PurchaseReturned(productId, msg.sender, seller, amount);
+    }
+
+    function setReturnWindow(uint256 _returnWindow) external onlyOwner {
+        returnWindow = _returnWindow;
+        emit ReturnWindowUpdated(_returnWindow);
+    }
+
+    // =========================================================
+    // 2C. 提现与平台手续费
+    // =========================================================
+    function withdraw() external {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "MP: Nothing to withdraw.");
+
+        pendingWithdrawals[msg.sender] = 0;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "MP: Withdrawal failed.");
+
+        emit Withdrawal(msg.sender, amount);
+    }
+
+    function setPlatformFee(uint256 _feeBps) external onlyOwner {
+        require(_feeBps <= MAX_PLATFORM_FEE_BPS, "MP: Fee too high.");
+        platformFeeBps = _feeBps;
+        emit PlatformFeeUpdated(_feeBps);
+    }
+
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "MP: Invalid address.");
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+
+    function withdrawToken(address token) external {
+        uint256 amount = pendingTokenWithdrawals[token][msg.sender];
+        require(amount > 0, "MP: Nothing to withdraw.");
+
+        pendingTokenWithdrawals[token][msg.sender] = 0;
+        IERC20(token).safeTransfer(msg.sender, amount);
+
+        emit TokenWithdrawal(token, msg.sender, amount);
+    }
+
+    function setPaymentTokenAllowed(address token, bool allowed) external onlyOwner {
+        require(token != address(0), "MP: Invalid address.");
+        allowedPaymentTokens[token] = allowed;
+        emit PaymentTokenAllowed(token, allowed);
+    }
+
+    // =========================================================
+    // 2C-2. 付费延保：产品所有者购买制造商发布的延保计划，款项记入制造商的提现余额
+    // =========================================================
+    function buyWarrantyExtension(uint256 productId, uint256 planId) external payable {
+        require(productRegistry.ownerOf(productId) == msg.sender, "MP: Not owner.");
+
+        (address manufacturer, uint256 price) = warrantyManager.applyExtension(productId, planId, msg.sender);
+        require(msg.value >= price, "MP: Insufficient funds sent.");
+
+        _refundExcess(price);
+        _credit(manufacturer, price);
+
+        emit WarrantyExtensionPurchased(productId, planId, msg.sender, manufacturer, price);
+    }
+
+    // =========================================================
+    // 2D. 报价与还价 (Offers)：买家可对任意产品出价，无论是否上架
+    // =========================================================
+    // 报价金额随交易托管在 Marketplace 中，expiresAt 之后不能再成交
+    function makeOffer(uint256 productId, uint256 expiresAt) external payable returns (uint256 offerId) {
         require(address(productRegistry) != address(0), "MP: Registry not set.");
+        require(msg.value > 0, "MP: Offer must be > 0");
+        require(expiresAt > block.timestamp, "MP: Invalid expiry.");
 
-        // A. 获取产品信息
+        address owner = productRegistry.ownerOf(productId);
+        require(msg.sender != owner, "MP: Cannot buy your own product.");
+        _checkBuyerRole(owner, msg.sender);
+
+        offerId = _nextOfferId++;
+        offers[offerId] = Offer({
+            productId: productId,
+            buyer: msg.sender,
+            amount: msg.value,
+            expiresAt: expiresAt,
+            counterAmount: 0,
+            counteredBy: address(0),
+            status: OfferStatus.Open
+        });
+        _productOfferIds[productId].push(offerId);
+
+        emit OfferMade(offerId, productId, msg.sender, msg.value, expiresAt);
+    }
+
+    // 所有者接受报价：按报价金额走与 buyProduct 相同的结算与历史记录路径
+    function acceptOffer(uint256 offerId) external {
+        Offer storage offer = offers[offerId];
+        require(offer.status == OfferStatus.Open, "MP: Offer not open.");
+        require(block.timestamp < offer.expiresAt, "MP: Offer expired.");
+
+        uint256 productId = offer.productId;
+        require(productRegistry.ownerOf(productId) == msg.sender, "MP: Not owner.");
+        require(offer.buyer != msg.sender, "MP: Cannot buy your own product.");
+        require(escrows[productId].status != EscrowStatus.Held, "MP: Product is in escrow.");
+        require(activeAuctionId[productId] == 0, "MP: Product is under auction.");
+        _checkNotLostOrStolen(productId);
+        _checkBuyerRole(msg.sender, offer.buyer);
+
+        offer.status = OfferStatus.Accepted;
+        _completeSale(productId, msg.sender, offer.buyer, offer.amount, address(0));
+
+        emit OfferAccepted(offerId, productId, msg.sender, offer.amount);
+    }
+
+    function rejectOffer(uint256 offerId) external {
+        Offer storage offer = offers[offerId];
+        require(offer.status == OfferStatus.Open || offer.status == OfferStatus.Countered, "MP: Offer not open.");
+        require(productRegistry.ownerOf(offer.productId) == msg.sender, "MP: Not owner.");
+
+        offer.status = OfferStatus.Rejected;
+        _credit(offer.buyer, offer.amount);
+
+        emit OfferRejected(offerId, offer.productId, msg.sender);
+    }
+
+    // 所有者还价：counterAmount 必须高于原报价，买家补足差价后成交
+    function counterOffer(uint256 offerId, uint256 counterAmount) external {
+        Offer storage offer = offers[offerId];
+        require(offer.status == OfferStatus.Open, "MP: Offer not open.");
+        require(block.timestamp < offer.expiresAt, "MP: Offer expired.");
+        require(productRegistry.ownerOf(offer.productId) == msg.sender, "MP: Not owner.");
+        require(counterAmount > offer.amount, "MP: Counter must exceed offer.");
+
+        offer.status = OfferStatus.Countered;
+        offer.counterAmount = counterAmount;
+        offer.counteredBy = msg.sender;
+
+        emit OfferCountered(offerId, offer.productId, msg.sender, counterAmount);
+    }
+
+    // 买家接受还价，随交易补足差价
+    function acceptCounterOffer(uint256 offerId) external payable {
+        Offer storage offer = offers[offerId];
+        require(offer.status == OfferStatus.Countered, "MP: Offer not countered.");
+        require(msg.sender == offer.buyer, "MP: Only offer buyer.");
+        require(block.timestamp < offer.expiresAt, "MP: Offer expired.");
+
+        uint256 productId = offer.productId;
         address seller = productRegistry.ownerOf(productId);
-        (uint256 price, bool isListed) = productRegistry.getProductMarketInfo(productId);
+        // 还价后产品易主，则还价作废
+        require(seller == offer.counteredBy, "MP: Owner changed.");
+        require(escrows[productId].status != EscrowStatus.Held, "MP: Product is in escrow.");
+        require(activeAuctionId[productId] == 0, "MP: Product is under auction.");
+        _checkNotLostOrStolen(productId);
+        _checkBuyerRole(seller, msg.sender);
+
+        uint256 price = offer.counterAmount;
+        uint256 paid = offer.amount + msg.value;
+        require(paid >= price, "MP: Insufficient funds sent.");
+
+        offer.status = OfferStatus.Accepted;
+        offer.amount = price;
+        if (paid > price) {
+            _credit(msg.sender, paid - price);
+        }
+        _completeSale(productId, seller, msg.sender, price, address(0));
+
+        emit OfferAccepted(offerId, productId, seller, price);
+    }
+
+    // 买家撤回未成交的报价 (包括已过期、已被还价的报价)，资金记入提现余额
+    function cancelOffer(uint256 offerId) external {
+        Offer storage offer = offers[offerId];
+        require(offer.status == OfferStatus.Open || offer.status == OfferStatus.Countered, "MP: Offer not open.");
+        require(msg.sender == offer.buyer, "MP: Only offer buyer.");
+
+        offer.status = OfferStatus.Cancelled;
+        _credit(offer.buyer, offer.amount);
+
+        emit OfferCancelled(offerId, offer.productId, msg.sender);
+    }
+
+    function getProductOffers(uint256 productId) external view returns (uint256[] memory) {
+        return _productOfferIds[productId];
+    }
+
+    // =========================================================
+    // 2E. 拍卖 (Auctions)：英式拍卖 (加价) 与荷式拍卖 (降价)
+    // =========================================================
+    // 拍卖期间产品保持 isListed = true，但 buyProduct / 改价 / 下架 / 报价成交都会被拒绝
+    function createEnglishAuction(uint256 productId, uint256 reservePrice, uint256 minIncrement, uint256 duration) external returns (uint256 auctionId) {
+        require(reservePrice > 0, "MP: Price must be > 0");
+        require(minIncrement > 0, "MP: Invalid increment.");
+        auctionId = _createAuction(productId, AuctionType.English, reservePrice, 0, duration);
+        auctions[auctionId].minIncrement = minIncrement;
+    }
+
+    // 荷式拍卖：价格从 startPrice 随时间线性降至 endPrice，第一个接受当前价格的买家成交
+    function createDutchAuction(uint256 productId, uint256 startPrice, uint256 endPrice, uint256 duration) external returns (uint256 auctionId) {
+        require(endPrice > 0, "MP: Price must be > 0");
+        require(startPrice > endPrice, "MP: Start price must exceed end price.");
+        auctionId = _createAuction(productId, AuctionType.Dutch, startPrice, endPrice, duration);
+    }
+
+    // 英式拍卖出价：上一位最高出价者的资金记入其提现余额
+    function placeBid(uint256 auctionId) external payable {
+        Auction storage auction = auctions[auctionId];
+        require(auction.status == AuctionStatus.Active, "MP: Auction not active.");
+        require(auction.auctionType == AuctionType.English, "MP: Not an English auction.");
+        require(block.timestamp < auction.endTime, "MP: Auction ended.");
+        require(msg.sender != auction.seller, "MP: Cannot buy your own product.");
+        _checkNotLostOrStolen(auction.productId);
+        _checkBuyerRole(auction.seller, msg.sender);
+
+        if (auction.highestBidder == address(0)) {
+            require(msg.value >= auction.startPrice, "MP: Bid below reserve.");
+        } else {
+            require(msg.value >= auction.highestBid + auction.minIncrement, "MP: Bid increment too low.");
+            _credit(auction.highestBidder, auction.highestBid);
+        }
+        auction.highestBidder = msg.sender;
+        auction.highestBid = msg.value;
+
+        // 防狙击延长
+        if (auction.endTime - block.timestamp < AUCTION_EXTENSION_WINDOW) {
+            auction.endTime = block.timestamp + AUCTION_EXTENSION_WINDOW;
+        }
+
+        emit BidPlaced(auctionId, msg.sender, msg.value, auction.endTime);
+    }
+
+    // 荷式拍卖成交：按当前价格购买，多付部分记入买家余额；市场信息中的价格随之改为该成交价
+    function buyDutchAuction(uint256 auctionId) external payable {
+        Auction storage auction = auctions[auctionId];
+        require(auction.status == AuctionStatus.Active, "MP: Auction not active.");
+        require(auction.auctionType == AuctionType.Dutch, "MP: Not a Dutch auction.");
+        require(block.timestamp < auction.endTime, "MP: Auction ended.");
+        require(msg.sender != auction.seller, "MP: Cannot buy your own product.");
+        _checkNotLostOrStolen(auction.productId);
+        _checkBuyerRole(auction.seller, msg.sender);
+
+        uint256 price = getDutchPrice(auctionId);
+        require(msg.value >= price, "MP: Insufficient funds sent.");
+        _refundExcess(price);
+
+        _closeAuction(auctionId, AuctionStatus.Settled);
+        _completeSale(auction.productId, auction.seller, msg.sender, price, address(0));
+
+        emit AuctionSettled(auctionId, auction.productId, msg.sender, price);
+    }
+
+    // 拍卖结束后任何人都可结算：有出价则成交，否则流拍下架
+    function settleAuction(uint256 auctionId) external {
+        Auction storage auction = auctions[auctionId];
+        require(auction.status == AuctionStatus.Active, "MP: Auction not active.");
+        require(block.timestamp >= auction.endTime, "MP: Auction not ended.");
+
+        uint256 productId = auction.productId;
+        address winner = auction.highestBidder;
+
+        // 卖家在拍卖期间绕过 Marketplace 转走了 NFT，或产品已被挂失：退回最高出价并取消拍卖
+        if (winner != address(0) &&
+            (productRegistry.ownerOf(productId) != auction.seller || productRegistry.isLostOrStolen(productId))) {
+            _credit(winner, auction.highestBid);
+            winner = address(0);
+        }
+
+        if (winner == address(0)) {
+            _closeAuction(auctionId, AuctionStatus.Cancelled);
+            _delistAfterAuction(productId, auction.seller);
+            emit AuctionCancelled(auctionId, productId);
+            return;
+        }
+
+        _closeAuction(auctionId, AuctionStatus.Settled);
+        _completeSale(productId, auction.seller, winner, auction.highestBid, address(0));
+
+        emit AuctionSettled(auctionId, productId, winner, auction.highestBid);
+    }
+
+    // 卖家可以取消尚无出价的拍卖
+    function cancelAuction(uint256 auctionId) external {
+        Auction storage auction = auctions[auctionId];
+        require(auction.status == AuctionStatus.Active, "MP: Auction not active.");
+        require(msg.sender == auction.seller, "MP: Not owner.");
+        require(auction.highestBidder == address(0), "MP: Auction has bids.");
+
+        _closeAuction(auctionId, AuctionStatus.Cancelled);
+        _delistAfterAuction(auction.productId, auction.seller);
+
+        emit AuctionCancelled(auctionId, auction.productId);
+    }
+
+    function getDutchPrice(uint256 auctionId) public view returns (uint256) {
+        Auction storage auction = auctions[auctionId];
+        require(auction.auctionType == AuctionType.Dutch, "MP: Not a Dutch auction.");
+        if (block.timestamp >= auction.endTime) {
+            return auction.endPrice;
+        }
+        uint256 elapsed = block.timestamp - auction.startTime;
+        uint256 duration = auction.endTime - auction.startTime;
+        return auction.startPrice - ((auction.startPrice - auction.endPrice) * elapsed) / duration;
+    }
+
+    function _createAuction(
+        uint256 productId,
+        AuctionType auctionType,
+        uint256 startPrice,
+        uint256 endPrice,
+        uint256 duration
+    ) internal returns (uint256 auctionId) {
+        require(address(productRegistry) != address(0), "MP: Registry not set.");
+        require(productRegistry.ownerOf(productId) == msg.sender, "MP: Not owner.");
+        require(duration > 0, "MP: Invalid duration.");
+        require(activeAuctionId[productId] == 0, "MP: Product is under auction.");
+        require(escrows[productId].status != EscrowStatus.Held, "MP: Product is in escrow.");
+        _checkNotLostOrStolen(productId);
+
+        auctionId = _nextAuctionId++;
+        Auction storage auction = auctions[auctionId];
+        auction.productId = productId;
+        auction.seller = msg.sender;
+        auction.auctionType = auctionType;
+        auction.startPrice = startPrice;
+        auction.endPrice = endPrice;
+        auction.startTime = block.timestamp;
+        auction.endTime = block.timestamp + duration;
+        auction.status = AuctionStatus.Active;
+        activeAuctionId[productId] = auctionId;
+
+        // 拍卖中的产品在市场信息中显示为已上架 (拍卖以 ETH 计价)
+        // 市场信息中的 price 只是起拍价 (英式为保留价)：荷式拍卖的当前价格以 getDutchPrice 为准，成交后由 _deliverProduct 改为实际成交价
+        productRegistry.updateMarketInfo(productId, startPrice, true);
+        productRegistry.setPaymentToken(productId, address(0));
+
+        emit AuctionCreated(auctionId, productId, msg.sender, auctionType, startPrice, endPrice, auction.endTime);
+    }
+
+    function _closeAuction(uint256 auctionId, AuctionStatus status) internal {
+        auctions[auctionId].status = status;
+        activeAuctionId[auctions[auctionId].productId] = 0;
+    }
+
+    function _delistAfterAuction(uint256 productId, address seller) internal {
+        (uint256 currentPrice, , ) = productRegistry.getProductMarketInfo(productId);
+        productRegistry.updateMarketInfo(productId, currentPrice, false);
+        emit ProductDelisted(productId, seller);
+    }
+
+    // --- 购买流程内部函数 ---
+
+    function _validatePurchase(uint256 productId) internal view returns (address seller, uint256 price, address paymentToken) {
+        require(address(productRegistry) != address(0), "MP: Registry not set.");
+
+        // A. 获取产品信息
+        seller = productRegistry.ownerOf(productId);
+        bool isListed;
+        (price, isListed, paymentToken) = productRegistry.getProductMarketInfo(productId);
 
         // B. 基础验证
         require(isListed, "MP: Product not listed for sale.");
+        require(activeAuctionId[productId] == 0, "MP: Product is under auction.");
         require(seller != address(0), "MP: Invalid seller.");
         require(msg.sender != seller, "MP: Cannot buy your own product.");
-        require(msg.value >= price, "MP: Insufficient funds sent.");
+        _checkNotLostOrStolen(productId);
 
         // C. 供应链角色流转限制
+        _checkBuyerRole(seller, msg.sender);
+    }
+
+    // ETH 计价的购买校验：附带的 msg.value 必须足额
+    function _validateEthPurchase(uint256 productId) internal view returns (address seller, uint256 price) {
+        address paymentToken;
+        (seller, price, paymentToken) = _validatePurchase(productId);
+        require(paymentToken == address(0), "MP: Listing priced in ERC-20.");
+        require(msg.value >= price, "MP: Insufficient funds sent.");
+    }
+
+    function _checkNotLostOrStolen(uint256 productId) internal view {
+        require(!productRegistry.isLostOrStolen(productId), "MP: Product reported lost or stolen.");
+    }
+
+    function _checkBatchSize(uint256 size) internal pure {
+        require(size > 0, "MP: Empty batch.");
+        require(size <= MAX_BATCH_SIZE, "MP: Batch too large.");
+    }
+
+    function _checkBuyerRole(address seller, address buyer) internal view {
         if (accessControl.isManufacturer(seller)) {
             // 制造商的货，只能由零售商买
-            require(accessControl.isRetailer(msg.sender), "MP: Only Retailers can buy from Manufacturer.");
+            require(accessControl.isRetailer(buyer), "MP: Only Retailers can buy from Manufacturer.");
         } 
         // 零售商的货，普通人都能买，无需额外限制
+    }
 
-        // D. 资金转移 (给钱)
-        (bool success, ) = payable(seller).call{value: price}("");
-        require(success, "MP: Transfer of funds to seller failed.");
+    // 一口价购买与报价成交共用的结算路径
+    function _completeSale(uint256 productId, address seller, address buyer, uint256 price, address paymentToken) internal {
+        // D. 资金入账 (卖家货款、平台手续费与制造商版税记入对应币种的提现余额)
+        (uint256 fee, address royaltyReceiver, uint256 royalty) = _computeSplit(productId, seller, price);
+        _settle(productId, paymentToken, seller, price, fee, royaltyReceiver, royalty);
 
-        // 如果付多了，退钱
+        // E-G. 交货、下架并记录历史
+        _deliverProduct(productId, seller, buyer, price, paymentToken);
+
+        emit ProductSold(productId, buyer, seller, price, fee, royalty, paymentToken);
+    }
+
+    function _refundExcess(uint256 price) internal {
         if (msg.value > price) {
-            (bool refundSuccess, ) = payable(msg.sender).call{value: msg.value - price}("");
-            require(refundSuccess, "MP: Refund failed.");
+            _credit(msg.sender, msg.value - price);
+        }
+    }
+
+    // 计算平台手续费与制造商版税；分销 (卖家为制造商) 不收版税
+    function _computeSplit(uint256 productId, address seller, uint256 price)
+        internal view returns (uint256 fee, address royaltyReceiver, uint256 royalty)
+    {
+        fee = (price * platformFeeBps) / 10000;
+        if (!accessControl.isManufacturer(seller)) {
+            (royaltyReceiver, royalty) = IERC2981(address(productRegistry)).royaltyInfo(productId, price);
+            if (royaltyReceiver == address(0) || royaltyReceiver == seller) {
+                royaltyReceiver = address(0);
+                royalty = 0;
+            }
+        }
+        require(fee + royalty <= price, "MP: Fees exceed price.");
+    }
+
+    function _settle(
+        uint256 productId,
+        address paymentToken,
+        address seller,
+        uint256 price,
+        uint256 fee,
+        address royaltyReceiver,
+        uint256 royalty
+    ) internal {
+        _creditIn(paymentToken, seller, price - fee - royalty);
+        _creditIn(paymentToken, treasury, fee);
+        if (royalty > 0) {
+            _creditIn(paymentToken, royaltyReceiver, royalty);
+            if (paymentToken == address(0)) {
+                royaltyEarnings[royaltyReceiver] += royalty;
+            } else {
+                tokenRoyaltyEarnings[paymentToken][royaltyReceiver] += royalty;
+            }
+            emit RoyaltyPaid(productId, royaltyReceiver, royalty);
         }
+    }
 
+    // 按币种记账：address(0) 为 ETH 账本，否则为对应代币账本
+    function _creditIn(address paymentToken, address account, uint256 amount) internal {
+        if (paymentToken == address(0)) {
+            _credit(account, amount);
+            return;
+        }
+        if (amount == 0) {
+            return;
+        }
+        pendingTokenWithdrawals[paymentToken][account] += amount;
+        emit TokenPaymentCredited(paymentToken, account, amount);
+    }
+
+    function _credit(address account, uint256 amount) internal {
+        if (amount == 0) {
+            return;
+        }
+        pendingWithdrawals[account] += amount;
+        emit PaymentCredited(account, amount);
+    }
+
+    // price 与 paymentToken 为实际成交的金额与币种 (报价、还价与拍卖均以 ETH 成交，可能不同于上架时的币种)
+    function _deliverProduct(uint256 productId, address seller, address buyer, uint256 price, address paymentToken) internal {
         // E. NFT 所有权转移 (交货)
         // 使用特权函数强制转移，无需 seller 手动 approve
-        productRegistry.executeMarketTransaction(seller, msg.sender, productId);
+        productRegistry.executeMarketTransaction(seller, buyer, productId);
 
-        // F. 自动下架
+        // F. 自动下架，市场信息记录成交价与成交币种
         productRegistry.updateMarketInfo(productId, price, false);
+        productRegistry.setPaymentToken(productId, paymentToken);
 
         // G. 记录详细历史
-        string memory eventType = "SECONDARY_SALE";
+        productRegistry.recordOwnershipTransfer(productId, seller, buyer, _saleEventType(seller));
+    }
+
+    function _saleEventType(address seller) internal view returns (string memory) {
         if (accessControl.isManufacturer(seller)) {
-            eventType = "DISTRIBUTION_SALE"; // 分销
+            return "DISTRIBUTION_SALE"; // 分销
         } else if (accessControl.isRetailer(seller)) {
-            eventType = "RETAIL_SALE";       // 零售
+            return "RETAIL_SALE";       // 零售
         }
-        productRegistry.recordOwnershipTransfer(productId, seller, msg.sender, eventType);
+        return "SECONDARY_SALE";
+    }
+
+    function _releaseEscrow(uint256 productId, Escrow storage escrow) internal {
+        escrow.status = EscrowStatus.Released;
 
-        emit ProductSold(productId, msg.sender, seller, price);
+        _settle(productId, address(0), escrow.seller, escrow.amount, escrow.platformFee, escrow.royaltyReceiver, escrow.royalty);
+
+        emit EscrowReleased(productId, escrow.seller, escrow.amount);
     }
 
     // =========================================================
     // 3. 再次上架/改价 (用于零售商售卖或客户转售)
     // =========================================================
     function listProduct(uint256 productId, uint256 price) external {
+        _listProduct(productId, price, address(0));
+    }
+
+    // 以白名单内的 ERC-20 计价上架
+    function listProduct(uint256 productId, uint256 price, address paymentToken) external {
+        require(allowedPaymentTokens[paymentToken], "MP: Payment token not allowed.");
+        _listProduct(productId, price, paymentToken);
+    }
+
+    function _listProduct(uint256 productId, uint256 price, address paymentToken) internal {
         require(address(productRegistry) != address(0), "MP: Registry not set.");
         
         // 只有当前拥有者可以操作
         require(productRegistry.ownerOf(productId) == msg.sender, "MP: Not owner.");
         require(price > 0, "MP: Price must be > 0");
+        _checkNotLostOrStolen(productId);
+        // 担保期内的产品可能被退货，不能再次出售
+        require(escrows[productId].status != EscrowStatus.Held, "MP: Product is in escrow.");
+        require(activeAuctionId[productId] == 0, "MP: Product is under auction.");
 
-        // 更新价格并上架
+        // 更新价格、币种并上架
         productRegistry.updateMarketInfo(productId, price, true);
-        emit ProductListed(productId, price, msg.sender);
+        productRegistry.setPaymentToken(productId, paymentToken);
+        emit ProductListed(productId, price, msg.sender, paymentToken);
     }
 
     // =========================================================
@@ -133,7 +902,9 @@ contract Marketplace is Ownable {
     // =========================================================
     function delistProduct(uint256 productId) external {
         require(productRegistry.ownerOf(productId) == msg.sender, "MP: Not owner.");
-        (uint256 currentPrice, ) = productRegistry.getProductMarketInfo(productId);
+        require(activeAuctionId[productId] == 0, "MP: Product is under auction.");
+        (uint256 currentPrice, , ) = productRegistry.getProductMarketInfo(productId);
         productRegistry.updateMarketInfo(productId, currentPrice, false);
+        emit ProductDelisted(productId, msg.sender);
     }
 }
\ No newline at end of file
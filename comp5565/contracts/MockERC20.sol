@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// MockERC20 合约：用于在测试中模拟稳定币支付，任何人都可以铸造。
+contract MockERC20 is ERC20 {
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) {}
+
+    // 辅助测试函数：给指定地址铸造代币。
+    function mint(address to, uint256 amount) public {
+        _mint(to, amount);
+    }
+}
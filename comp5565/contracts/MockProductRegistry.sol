@@ -5,6 +5,11 @@ pragma solidity ^0.8.20;
 contract MockProductRegistry {
     // 使用 mapping 来存储多个代币的所有者，以支持多次 issueNewProductAndWarranty
     mapping(uint256 => address) public tokenOwners; 
+    // 产品来源 (制造商与型号)，用于召回测试
+    mapping(uint256 => address) public manufacturers;
+    mapping(uint256 => string) public models;
+    mapping(uint256 => bool) public lostOrStolen;
+    mapping(uint256 => bool) public recycled;
     
     constructor(address _owner, uint256 _tokenId) {
         tokenOwners[_tokenId] = _owner;
@@ -18,4 +23,32 @@ contract MockProductRegistry {
     function ownerOf(uint256 _tokenId) public view returns (address) {
         return tokenOwners[_tokenId];
     }
+
+    // 允许测试脚本设置某个代币的制造商与型号
+    function setProductOrigin(uint256 _tokenId, address _manufacturer, string memory _model) public {
+        manufacturers[_tokenId] = _manufacturer;
+        models[_tokenId] = _model;
+    }
+
+    // 允许测试脚本设置挂失状态
+    function setLostOrStolen(uint256 _tokenId, bool _flagged) public {
+        lostOrStolen[_tokenId] = _flagged;
+    }
+
+    function isLostOrStolen(uint256 _tokenId) public view returns (bool) {
+        return lostOrStolen[_tokenId];
+    }
+
+    // 允许测试脚本设置回收状态
+    function setRecycled(uint256 _tokenId, bool _recycled) public {
+        recycled[_tokenId] = _recycled;
+    }
+
+    function isRecycled(uint256 _tokenId) public view returns (bool) {
+        return recycled[_tokenId];
+    }
+
+    function getProductOrigin(uint256 _tokenId) public view returns (address, string memory) {
+        return (manufacturers[_tokenId], models[_tokenId]);
+    }
 }
\ No newline at end of file
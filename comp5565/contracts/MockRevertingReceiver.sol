@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IMarketplaceForMock {
+    function buyProduct(uint256 productId) external payable;
+    function listProduct(uint256 productId, uint256 price) external;
+    function withdraw() external;
+}
+
+// MockRevertingReceiver 合约：用于在测试中模拟拒收 ETH 的卖家合约。
+contract MockRevertingReceiver {
+    IMarketplaceForMock public marketplace;
+    // 控制 receive() 是否接受 ETH
+    bool public acceptEther;
+
+    constructor(address _marketplace) {
+        marketplace = IMarketplaceForMock(_marketplace);
+    }
+
+    function setAcceptEther(bool _accept) public {
+        acceptEther = _accept;
+    }
+
+    function buy(uint256 productId) public payable {
+        marketplace.buyProduct{value: msg.value}(productId);
+    }
+
+    function list(uint256 productId, uint256 price) public {
+        marketplace.listProduct(productId, price);
+    }
+
+    function withdrawProceeds() public {
+        marketplace.withdraw();
+    }
+
+    receive() external payable {
+        require(acceptEther, "Mock: ETH rejected.");
+    }
+}
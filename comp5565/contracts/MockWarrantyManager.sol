@@ -54,10 +54,25 @@ contract MockWarrantyManager is IWarrantyManager {
         // 模拟成功
     }
     
-    // 模拟：getWarrantyStatus，返回默认值。
-    function getWarrantyStatus(uint256 tokenId) external view override returns (
+    // 模拟：getWarrantyStatus，状态随 warrantyIsValid 返回 Active(1) 或 Expired(3)，其余为默认值。
+    function getWarrantyStatus(uint256) external view override returns (
         uint256, uint256, uint8, uint8, uint8, string memory
     ) {
-        return (0, 0, 0, 0, 0, ""); // 返回 0 和空字符串作为默认值
+        return (0, 0, 0, 0, warrantyIsValid ? 1 : 3, "");
+    }
+
+    // 模拟：applyExtension，不收费且不做任何修改。
+    function applyExtension(uint256, uint256, address) external pure override returns (address, uint256) {
+        return (address(0), 0);
+    }
+
+    // 模拟：getOpenRecalls，始终没有召回。
+    function getOpenRecalls(uint256) external pure override returns (uint256[] memory) {
+        return new uint256[](0);
+    }
+
+    // 模拟：getWarrantyExpiry，与 getWarrantyStatus 的默认值一致。
+    function getWarrantyExpiry(uint256) external pure override returns (uint256) {
+        return 0;
     }
 }
\ No newline at end of file
@@ -0,0 +1,83 @@
+// File: ProductMetadata.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./I_Interfaces.sol";
+
+// ProductRegistry.tokenURI 的 JSON 与 SVG 徽章渲染，部署时链接，使 ProductRegistry 不超过 EIP-170 的合约大小上限
+library ProductMetadata {
+    using Strings for uint256;
+    using Strings for address;
+
+    // tokenURI 所需的产品静态数据 (来自 ProductRegistry.staticData 与 manufacturerOf)
+    struct Product {
+        uint256 tokenId;
+        string serialNumber;
+        string modelDetails;
+        string manufacturerDetails;
+        address manufacturer;
+        uint256 registrationTimestamp;
+        string warrantyTermsURI;
+    }
+
+    // 返回 base64 编码的 JSON：序列号、型号、制造商、注册时间、保修条款与实时保修状态；withBadge 时附带 SVG 徽章
+    function tokenURI(Product memory product, IWarrantyManager warrantyManager, bool withBadge) public view returns (string memory) {
+        (uint256 startDate, , uint8 maxClaims, uint8 claimedCount, uint8 status, ) = warrantyManager.getWarrantyStatus(product.tokenId);
+
+        bytes memory json = abi.encodePacked(
+            '{"name":"ProductNFT #', product.tokenId.toString(),
+            '","description":"Product authenticity and warranty record.",',
+            _productJsonFields(product),
+            '"warranty":{"status":"', _warrantyStatusName(status),
+            '","startDate":', startDate.toString(),
+            ',"expiresAt":', warrantyManager.getWarrantyExpiry(product.tokenId).toString(),
+            ',"maxClaims":', uint256(maxClaims).toString(),
+            ',"claimedCount":', uint256(claimedCount).toString(), '}'
+        );
+        if (withBadge) {
+            json = abi.encodePacked(json, ',"image":"data:image/svg+xml;base64,', Base64.encode(_warrantyBadgeSvg(product.tokenId, status)), '"');
+        }
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(abi.encodePacked(json, "}"))));
+    }
+
+    function _productJsonFields(Product memory product) private pure returns (bytes memory) {
+        return abi.encodePacked(
+            '"serialNumber":"', Strings.escapeJSON(product.serialNumber),
+            '","model":"', Strings.escapeJSON(product.modelDetails),
+            '","manufacturer":{"details":"', Strings.escapeJSON(product.manufacturerDetails),
+            '","address":"', product.manufacturer.toHexString(),
+            '"},"registrationTimestamp":', product.registrationTimestamp.toString(),
+            ',"warrantyTermsURI":"', Strings.escapeJSON(product.warrantyTermsURI), '",'
+        );
+    }
+
+    // 徽章只使用 tokenId 与状态名，不包含用户输入的字符串，无需 XML 转义
+    function _warrantyBadgeSvg(uint256 tokenId, uint8 status) private pure returns (bytes memory) {
+        return abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="320" height="120" viewBox="0 0 320 120">',
+            '<rect width="320" height="120" rx="16" fill="', _warrantyStatusColor(status), '"/>',
+            '<text x="24" y="48" font-family="sans-serif" font-size="20" fill="#fff">Product #', tokenId.toString(), '</text>',
+            '<text x="24" y="88" font-family="sans-serif" font-size="28" font-weight="bold" fill="#fff">Warranty ', _warrantyStatusName(status), '</text>',
+            '</svg>'
+        );
+    }
+
+    // 与 ClaimStatus (WarrantyStorage.sol) 的顺序保持一致
+    function _warrantyStatusName(uint8 status) private pure returns (string memory) {
+        if (status == 1) return "Active";
+        if (status == 2) return "Pending";
+        if (status == 3) return "Expired";
+        if (status == 4) return "Fulfilled";
+        if (status == 5) return "Void";
+        return "None";
+    }
+
+    function _warrantyStatusColor(uint8 status) private pure returns (string memory) {
+        if (status == 1) return "#2e7d32"; // 绿色：有效
+        if (status == 2) return "#f9a825"; // 黄色：处理中
+        if (status == 3) return "#c62828"; // 红色：过期
+        return "#616161";                  // 灰色：已履行 / 作废 / 无保修
+    }
+}
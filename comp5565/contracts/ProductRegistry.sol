@@ -3,11 +3,13 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "./I_Interfaces.sol";
+import "./ProductMetadata.sol";
 
-contract ProductRegistry is ERC721, IProductRegistry, Ownable {
-
+contract ProductRegistry is ERC721Enumerable, ERC2981, IProductRegistry, Ownable {
     address public marketplaceContract;
     IRolesContract public rolesContract;
     IWarrantyManager public warrantyManager;
@@ -15,8 +17,50 @@ contract ProductRegistry is ERC721, IProductRegistry, Ownable {
     // Token ID 从 1000 开始
     uint256 private _nextTokenId = 1000;
 
+    // 原始序列号 => 第一个使用该序列号的 Token ID (精确匹配，不会被后续铸造覆盖)
     mapping(string => uint256) public serialNumberToTokenId;
 
+    // 序列号按制造商 (铸造时的首任所有者) 唯一：制造商 => 规范化序列号哈希 => Token ID
+    mapping(address => mapping(bytes32 => uint256)) internal _manufacturerSerials;
+    // 规范化序列号哈希 => 所有使用该序列号的 Token ID (不同制造商之间允许重复)
+    mapping(bytes32 => uint256[]) internal _serialTokenIds;
+
+    // 制造商版税 (ERC-2981) 上限，单位为基点 (默认 10%)，由 Registry 所有者设置
+    uint96 public maxRoyaltyBps = 1000;
+
+    event MaxRoyaltyUpdated(uint96 maxRoyaltyBps);
+
+    // --- 挂失 (丢失/被盗) ---
+    struct TheftReport {
+        bool flagged;
+        address reporter;          // 挂失时的所有者
+        bytes32 policeReportHash;  // 报案回执的哈希 (原文保存在链下)
+        uint256 reportedAt;
+    }
+
+    mapping(uint256 => TheftReport) public theftReports;
+
+    event ProductReportedLostOrStolen(uint256 indexed tokenId, address indexed reporter, bytes32 policeReportHash);
+    event ProductRecovered(uint256 indexed tokenId, address indexed recoveredBy);
+
+    // --- 报废回收 (End-of-life) ---
+    struct RecyclingRecord {
+        address recycler;
+        string certificateURI;     // 回收证明 (链下文档地址)
+        uint256 recycledAt;
+    }
+
+    // 回收后 NFT 被销毁，但静态数据、历史记录与序列号保留，verifyProduct 仍可查询
+    mapping(uint256 => RecyclingRecord) public recyclingRecords;
+
+    event ProductHandedToRecycler(uint256 indexed tokenId, address indexed owner, address indexed recycler);
+    event ProductRecycled(uint256 indexed tokenId, address indexed recycler, string certificateURI);
+
+    // tokenURI 中是否附带显示保修状态的 SVG 徽章 (image 字段)
+    bool public warrantyBadgeEnabled = true;
+
+    event WarrantyBadgeToggled(bool enabled);
+
     struct ProductStaticData {
         string serialNumber;
         string modelDetails;
@@ -27,6 +71,7 @@ contract ProductRegistry is ERC721, IProductRegistry, Ownable {
     struct MarketData {
         uint256 price;
         bool isListed;
+        address paymentToken; // 计价币种：address(0) 表示 ETH，否则为 ERC-20 代币地址
     }
     struct TransferLog {
         address from;
@@ -44,12 +89,21 @@ contract ProductRegistry is ERC721, IProductRegistry, Ownable {
         uint256 registrationTimestamp;
         uint256 currentPrice;
         bool isListed;
-        address currentOwner;
+        address paymentToken;
+        address currentOwner;        // 已回收的产品为 address(0)
         TransferLog[] ownershipHistory;
+        uint256[] openRecallIds;     // 尚未对该产品完成补救的未结召回
+        bool isRecycled;
     }
 
     mapping(uint256 => ProductStaticData) public staticData;
+    // 铸造时的首任所有者即制造商 (召回、序列号唯一性均以此为准)
+    mapping(uint256 => address) public manufacturerOf;
     mapping(uint256 => MarketData) public marketInfo;
+
+    // 当前上架产品集合 (与 marketInfo.isListed 同步)，供公开市场页面分页枚举
+    uint256[] internal _listedTokenIds;
+    mapping(uint256 => uint256) internal _listedIndex; // tokenId => 下标 + 1，0 表示未上架
     
     // 【修复 1/2】: 将 public mapping 改为 internal，并改名 _ownershipHistory，防止 ethers.js 编译错误
     mapping(uint256 => TransferLog[]) internal _ownershipHistory; 
@@ -73,10 +127,21 @@ contract ProductRegistry is ERC721, IProductRegistry, Ownable {
         marketplaceContract = _marketplaceAddress;
     }
 
+    function setMaxRoyaltyBps(uint96 _maxRoyaltyBps) external onlyOwner {
+        require(_maxRoyaltyBps <= _feeDenominator(), "PR: Invalid royalty cap.");
+        maxRoyaltyBps = _maxRoyaltyBps;
+        emit MaxRoyaltyUpdated(_maxRoyaltyBps);
+    }
+
+    function setWarrantyBadgeEnabled(bool enabled) external onlyOwner {
+        warrantyBadgeEnabled = enabled;
+        emit WarrantyBadgeToggled(enabled);
+    }
+
     // --- 核心功能 ---
 
-    function getProductMarketInfo(uint256 productId) external view override returns (uint256 price, bool isListed) {
-        return (marketInfo[productId].price, marketInfo[productId].isListed);
+    function getProductMarketInfo(uint256 productId) external view override returns (uint256 price, bool isListed, address paymentToken) {
+        return (marketInfo[productId].price, marketInfo[productId].isListed, marketInfo[productId].paymentToken);
     }
 
     function recordOwnershipTransfer(uint256 productId, address from, address to, string memory eventType) public onlyMarketplace override {
@@ -98,10 +163,19 @@ contract ProductRegistry is ERC721, IProductRegistry, Ownable {
         string memory warrantyTermsURI
     ) external onlyMarketplace override returns (uint256 tokenId) {
 
+        // 同一制造商的序列号不能重复 (忽略大小写与首尾空白)
+        bytes32 serialKey = keccak256(bytes(normalizeSerialNumber(serialNumber)));
+        require(_manufacturerSerials[to][serialKey] == 0, "PR: Duplicate serial number.");
+
         tokenId = _nextTokenId++;
         _safeMint(to, tokenId);
 
-        serialNumberToTokenId[serialNumber] = tokenId;
+        manufacturerOf[tokenId] = to;
+        _manufacturerSerials[to][serialKey] = tokenId;
+        _serialTokenIds[serialKey].push(tokenId);
+        if (serialNumberToTokenId[serialNumber] == 0) {
+            serialNumberToTokenId[serialNumber] = tokenId;
+        }
 
         staticData[tokenId] = ProductStaticData({
             serialNumber: serialNumber,
@@ -113,16 +187,44 @@ contract ProductRegistry is ERC721, IProductRegistry, Ownable {
 
         // 默认设置为上架状态
         marketInfo[tokenId].price = price;
-        marketInfo[tokenId].isListed = true;
+        _setListed(tokenId, true);
 
         recordOwnershipTransfer(tokenId, address(0), to, "MINT_LISTED");
 
         return tokenId;
     }
 
+    // 注册时由 Marketplace 设置单个产品的版税 (receiver 为制造商)
+    function setTokenRoyalty(uint256 tokenId, address receiver, uint96 royaltyBps) external onlyMarketplace override {
+        require(royaltyBps <= maxRoyaltyBps, "PR: Royalty exceeds cap.");
+        _setTokenRoyalty(tokenId, receiver, royaltyBps);
+    }
+
     function updateMarketInfo(uint256 productId, uint256 price, bool isListed) external onlyMarketplace override {
         marketInfo[productId].price = price;
+        _setListed(productId, isListed);
+    }
+
+    function _setListed(uint256 productId, bool isListed) internal {
         marketInfo[productId].isListed = isListed;
+
+        uint256 index = _listedIndex[productId];
+        if (isListed && index == 0) {
+            _listedTokenIds.push(productId);
+            _listedIndex[productId] = _listedTokenIds.length;
+        } else if (!isListed && index != 0) {
+            // swap-and-pop：用最后一个元素填补空位
+            uint256 lastTokenId = _listedTokenIds[_listedTokenIds.length - 1];
+            _listedTokenIds[index - 1] = lastTokenId;
+            _listedIndex[lastTokenId] = index;
+            _listedTokenIds.pop();
+            delete _listedIndex[productId];
+        }
+    }
+
+    // [新增] 设置计价币种 (白名单由 Marketplace 检查)
+    function setPaymentToken(uint256 productId, address paymentToken) external onlyMarketplace override {
+        marketInfo[productId].paymentToken = paymentToken;
     }
 
     // [关键] 市场交易专用转移函数：绕过 approve 检查，由 Marketplace 合约逻辑保证安全
@@ -130,44 +232,185 @@ contract ProductRegistry is ERC721, IProductRegistry, Ownable {
         _transfer(from, to, tokenId);
     }
 
+    // 供 WarrantyManager 判断产品是否属于某制造商的某型号 (召回)
+    function getProductOrigin(uint256 tokenId) external view override returns (address manufacturer, string memory modelDetails) {
+        require(staticData[tokenId].timeStamp != 0, "PR: Does not exist.");
+        return (manufacturerOf[tokenId], staticData[tokenId].modelDetails);
+    }
+
+    // --- 挂失与找回 ---
+
+    // 所有者挂失：产品自动下架，挂失期间禁止任何转移
+    function reportLostOrStolen(uint256 tokenId, bytes32 policeReportHash) external {
+        require(ownerOf(tokenId) == msg.sender, "PR: Not owner.");
+        require(!theftReports[tokenId].flagged, "PR: Already reported.");
+        require(policeReportHash != bytes32(0), "PR: Police report required.");
+
+        theftReports[tokenId] = TheftReport({
+            flagged: true,
+            reporter: msg.sender,
+            policeReportHash: policeReportHash,
+            reportedAt: block.timestamp
+        });
+        _setListed(tokenId, false);
+        _ownershipHistory[tokenId].push(TransferLog(msg.sender, msg.sender, block.timestamp, "REPORTED_LOST_OR_STOLEN"));
+
+        emit ProductReportedLostOrStolen(tokenId, msg.sender, policeReportHash);
+    }
+
+    // 解除挂失：只能由挂失人或仲裁员/管理员操作
+    function recoverProduct(uint256 tokenId) external {
+        TheftReport storage report = theftReports[tokenId];
+        require(report.flagged, "PR: Not reported.");
+        require(msg.sender == report.reporter || rolesContract.isArbiter(msg.sender), "PR: Not reporter or arbiter.");
+
+        report.flagged = false;
+        address owner = ownerOf(tokenId);
+        _ownershipHistory[tokenId].push(TransferLog(owner, owner, block.timestamp, "RECOVERED"));
+
+        emit ProductRecovered(tokenId, msg.sender);
+    }
+
+    // --- 报废回收 ---
+
+    // 所有者将产品交给认证回收商
+    function handOverForRecycling(uint256 tokenId, address recycler) external {
+        require(ownerOf(tokenId) == msg.sender, "PR: Not owner.");
+        require(rolesContract.isRecycler(recycler), "PR: Not a certified recycler.");
+
+        _setListed(tokenId, false);
+        _transfer(msg.sender, recycler, tokenId);
+        _ownershipHistory[tokenId].push(TransferLog(msg.sender, recycler, block.timestamp, "RECYCLING_HANDOVER"));
+
+        emit ProductHandedToRecycler(tokenId, msg.sender, recycler);
+    }
+
+    // 回收商出具回收证明并销毁 NFT，"RECYCLED" 为产品的最终历史事件
+    function recycleProduct(uint256 tokenId, string memory certificateURI) external {
+        require(rolesContract.isRecycler(msg.sender), "PR: Not a certified recycler.");
+        require(ownerOf(tokenId) == msg.sender, "PR: Not owner.");
+        require(bytes(certificateURI).length > 0, "PR: Certificate required.");
+        require(!theftReports[tokenId].flagged, "PR: Product reported lost or stolen.");
+
+        recyclingRecords[tokenId] = RecyclingRecord({
+            recycler: msg.sender,
+            certificateURI: certificateURI,
+            recycledAt: block.timestamp
+        });
+        _setListed(tokenId, false);
+        _ownershipHistory[tokenId].push(TransferLog(msg.sender, address(0), block.timestamp, "RECYCLED"));
+        _burn(tokenId);
+
+        emit ProductRecycled(tokenId, msg.sender, certificateURI);
+    }
+
+    function isLostOrStolen(uint256 tokenId) external view override returns (bool) {
+        return theftReports[tokenId].flagged;
+    }
+
+    function isRecycled(uint256 tokenId) public view override returns (bool) {
+        return recyclingRecords[tokenId].recycledAt != 0;
+    }
+
+    // 所有转移 (transferFrom、executeMarketTransaction 等) 都经过 _update：挂失期间冻结
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        address from = _ownerOf(tokenId);
+        if (from != address(0) && to != address(0)) {
+            require(!theftReports[tokenId].flagged, "PR: Product reported lost or stolen.");
+        }
+        return super._update(to, tokenId, auth);
+    }
+
+    // --- 序列号查询 (前端页面 A 第 1 项：产品查询入口) ---
+
+    // 按序列号查询 Token ID，大小写不敏感；多个制造商使用同一序列号时需指定制造商
+    function getTokenIdBySerialNumber(string memory serialNumber) external view override returns (uint256) {
+        uint256[] storage tokenIds = _serialTokenIds[keccak256(bytes(normalizeSerialNumber(serialNumber)))];
+        require(tokenIds.length > 0, "PR: Unknown serial number.");
+        require(tokenIds.length == 1, "PR: Ambiguous serial number.");
+        return tokenIds[0];
+    }
+
+    function getTokenIdBySerialNumber(address manufacturer, string memory serialNumber) external view override returns (uint256 tokenId) {
+        tokenId = _manufacturerSerials[manufacturer][keccak256(bytes(normalizeSerialNumber(serialNumber)))];
+        require(tokenId != 0, "PR: Unknown serial number.");
+    }
+
+    // 规范化序列号：去除首尾空白并将 ASCII 字母转为大写，例如 " sn-1000 " => "SN-1000"
+    function normalizeSerialNumber(string memory serialNumber) public pure returns (string memory) {
+        bytes memory raw = bytes(serialNumber);
+        uint256 start = 0;
+        uint256 end = raw.length;
+        while (start < end && _isWhitespace(raw[start])) {
+            start++;
+        }
+        while (end > start && _isWhitespace(raw[end - 1])) {
+            end--;
+        }
+        require(end > start, "PR: Empty serial number.");
+
+        bytes memory normalized = new bytes(end - start);
+        for (uint256 i = start; i < end; i++) {
+            bytes1 c = raw[i];
+            if (c >= 0x61 && c <= 0x7A) {
+                c = bytes1(uint8(c) - 32);
+            }
+            normalized[i - start] = c;
+        }
+        return string(normalized);
+    }
+
+    function _isWhitespace(bytes1 c) internal pure returns (bool) {
+        return c == 0x20 || c == 0x09 || c == 0x0A || c == 0x0D;
+    }
+
     // --- 前端库存与验证功能 ---
 
     // [新增] 获取玩家库存：返回该地址拥有的所有 Token ID
-    // 前端拿到 ID 数组后，循环调用 verifyProduct 获取详情即可
+    // 前端拿到 ID 数组后，循环调用 verifyProduct 获取详情即可；库存较大时请使用分页的 tokensOfOwner
     function getPlayerInventory(address _owner) external view override returns (uint256[] memory) {
-        uint256 tokenCount = balanceOf(_owner);
-        if (tokenCount == 0) {
+        return tokensOfOwner(_owner, 0, balanceOf(_owner));
+    }
+
+    // 分页返回某地址拥有的 Token ID (基于 ERC721Enumerable，铸造与任何转移都会同步更新)
+    function tokensOfOwner(address _owner, uint256 offset, uint256 limit) public view returns (uint256[] memory page) {
+        uint256 balance = balanceOf(_owner);
+        if (offset >= balance) {
             return new uint256[](0);
         }
+        uint256 end = offset + limit;
+        if (end > balance) {
+            end = balance;
+        }
+        page = new uint256[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = tokenOfOwnerByIndex(_owner, i);
+        }
+    }
 
-        uint256[] memory tokens = new uint256[](tokenCount);
-        uint256 currentIndex = 0;
-
-        // 遍历寻找属于该用户的 token (适用于作业规模的数据量)
-        for (uint256 i = 1000; i < _nextTokenId; i++) {
-            // 使用 internal _ownerOf 或者 public ownerOf (需 try-catch)
-            // 简单起见，假设所有 ID 都存在
-            try this.ownerOf(i) returns (address owner) {
-                if (owner == _owner) {
-                    tokens[currentIndex] = i;
-                    currentIndex++;
-                    if (currentIndex == tokenCount) {
-                        break;
-                    }
-                }
-            } catch {
-                continue;
-            }
+    function getListedProductCount() external view returns (uint256) {
+        return _listedTokenIds.length;
+    }
+
+    // 分页返回当前上架的产品 (顺序不固定：下架时最后一个元素会被移到空位)
+    function getListedProducts(uint256 offset, uint256 limit) external view returns (uint256[] memory page) {
+        if (offset >= _listedTokenIds.length) {
+            return new uint256[](0);
+        }
+        uint256 end = offset + limit;
+        if (end > _listedTokenIds.length) {
+            end = _listedTokenIds.length;
+        }
+        page = new uint256[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = _listedTokenIds[i];
         }
-        return tokens;
     }
 
+    // 已回收 (销毁) 的产品仍可查询完整历史，currentOwner 为 address(0)
     function verifyProduct(uint256 _tokenId) public view returns (ProductVerificationData memory data) {
-        try this.ownerOf(_tokenId) returns (address _owner) {
-             require(_owner != address(0), "PR: Does not exist.");
-        } catch {
-             revert("PR: Does not exist.");
-        }
+        require(staticData[_tokenId].timeStamp != 0, "PR: Does not exist.");
+        bool recycled = isRecycled(_tokenId);
 
         ProductStaticData memory staticD = staticData[_tokenId];
         MarketData memory marketD = marketInfo[_tokenId];
@@ -175,7 +418,7 @@ contract ProductRegistry is ERC721, IProductRegistry, Ownable {
         // 【修复 2/2】: 使用 internal 变量名 _ownershipHistory
         TransferLog[] memory history = _ownershipHistory[_tokenId]; 
         
-        address owner = ownerOf(_tokenId);
+        address owner = recycled ? address(0) : ownerOf(_tokenId);
 
         data = ProductVerificationData({
             tokenId: _tokenId,
@@ -185,14 +428,39 @@ contract ProductRegistry is ERC721, IProductRegistry, Ownable {
             registrationTimestamp: staticD.timeStamp,
             currentPrice: marketD.price,
             isListed: marketD.isListed,
+            paymentToken: marketD.paymentToken,
             currentOwner: owner,
-            ownershipHistory: history
+            ownershipHistory: history,
+            openRecallIds: recycled ? new uint256[](0) : warrantyManager.getOpenRecalls(_tokenId),
+            isRecycled: recycled
         });
         return data;
     }
 
+    // --- 链上元数据 (tokenURI) ---
+
+    // 返回 base64 编码的 JSON：序列号、型号、制造商、注册时间、保修条款与实时保修状态 (渲染见 ProductMetadata)
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+
+        ProductStaticData storage staticD = staticData[tokenId];
+        return ProductMetadata.tokenURI(ProductMetadata.Product({
+            tokenId: tokenId,
+            serialNumber: staticD.serialNumber,
+            modelDetails: staticD.modelDetails,
+            manufacturerDetails: staticD.manufacturerDetails,
+            manufacturer: manufacturerOf[tokenId],
+            registrationTimestamp: staticD.timeStamp,
+            warrantyTermsURI: staticD.warrantyTermsURI
+        }), warrantyManager, warrantyBadgeEnabled);
+    }
+
     // 重写 ownerOf 以暴露给接口
-    function ownerOf(uint256 tokenId) public view override(ERC721, IProductRegistry) returns (address) {
+    function ownerOf(uint256 tokenId) public view override(ERC721, IERC721, IProductRegistry) returns (address) {
         return super.ownerOf(tokenId);
     }
+
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721Enumerable, ERC2981) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
 }
\ No newline at end of file
@@ -9,6 +9,10 @@ contract RolesContract is AccessControl, IRolesContract {
     bytes32 public constant MANUFACTURER_ROLE = keccak256("MANUFACTURER_ROLE");
     bytes32 public constant RETAILER_ROLE = keccak256("RETAILER_ROLE");
     bytes32 public constant SERVICECENTER_ROLE = keccak256("SERVICECENTER_ROLE");
+    // 仲裁员：处理挂失产品的找回等争议 (管理员同样具备该权限)
+    bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE");
+    // 认证回收商：出具回收证明并销毁产品 NFT
+    bytes32 public constant RECYCLER_ROLE = keccak256("RECYCLER_ROLE");
 
     constructor() {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
@@ -19,6 +23,13 @@ contract RolesContract is AccessControl, IRolesContract {
         _grantRole(role, account);
     }
     
+    // 批量授予同一角色 (部署模块按参数文件分配初始角色时使用)
+    function grantRoleBatch(bytes32 role, address[] calldata accounts) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _grantRole(role, accounts[i]);
+        }
+    }
+
     function revokeRole(bytes32 role, address account) public virtual override onlyRole(DEFAULT_ADMIN_ROLE) {
         _revokeRole(role, account);
     }
@@ -35,10 +46,20 @@ contract RolesContract is AccessControl, IRolesContract {
         return hasRole(SERVICECENTER_ROLE, _account);
     }
     
+    function isArbiter(address _account) external view override returns (bool) {
+        return hasRole(ARBITER_ROLE, _account) || hasRole(DEFAULT_ADMIN_ROLE, _account);
+    }
+
+    function isRecycler(address _account) external view override returns (bool) {
+        return hasRole(RECYCLER_ROLE, _account);
+    }
+
     function hasAnyRole(address account) external view override returns (bool) {
         return 
             hasRole(MANUFACTURER_ROLE, account) ||
             hasRole(RETAILER_ROLE, account) ||
-            hasRole(SERVICECENTER_ROLE, account);
+            hasRole(SERVICECENTER_ROLE, account) ||
+            hasRole(ARBITER_ROLE, account) ||
+            hasRole(RECYCLER_ROLE, account);
     }
 }
\ No newline at end of file
@@ -0,0 +1,76 @@
+// File: WarrantyAppeals.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./WarrantyStorage.sol";
+
+// 申诉 (Appeals)：由 WarrantyManager 以 delegatecall 调用
+library WarrantyAppeals {
+    using WarrantyStorage for WarrantyState;
+
+    // 与 WarrantyManager 中的声明一致，事件由 WarrantyManager 的地址发出
+    event ClaimAppealed(uint256 indexed claimId, uint256 indexed tokenId, address indexed appellant, string statement);
+    event AppealDecided(uint256 indexed claimId, uint256 indexed tokenId, address indexed reviewer, bool overturned, string ruling);
+    event ClaimResolved(uint256 indexed tokenId, address indexed serviceCenter, uint8 newClaimsCount, uint256 claimId);
+
+    function fileAppeal(WarrantyState storage s, uint256 claimId, string memory statement) public {
+        ClaimRecord storage record = s.claims[claimId];
+        require(record.decision == ClaimDecision.Rejected, "WM: Claim not rejected.");
+        require(s.registry().ownerOf(record.tokenId) == msg.sender, "Caller is not the product owner.");
+        require(block.timestamp <= record.resolvedAt + s.appealWindow, "WM: Appeal window closed.");
+
+        Appeal storage appeal = s.appeals[claimId];
+        require(appeal.status == AppealStatus.None, "WM: Already appealed.");
+
+        appeal.status = AppealStatus.Open;
+        appeal.appellant = msg.sender;
+        appeal.statement = statement;
+        appeal.filedAt = block.timestamp;
+        emit ClaimAppealed(claimId, record.tokenId, msg.sender, statement);
+    }
+
+    // 仲裁员或该产品的制造商复核申诉。推翻原决定视为批准该索赔：增加 claimedCount，
+    // 用完次数时状态变为 Fulfilled；仍须符合保障条款与整体次数上限，否则只能维持原决定
+    function decideAppeal(WarrantyState storage s, uint256 claimId, bool overturn, string memory ruling) public {
+        Appeal storage appeal = s.appeals[claimId];
+        require(appeal.status == AppealStatus.Open, "WM: No open appeal.");
+
+        ClaimRecord storage record = s.claims[claimId];
+        uint256 tokenId = record.tokenId;
+        (address manufacturer, ) = s.registry().getProductOrigin(tokenId);
+        require(s.roles().isArbiter(msg.sender) || msg.sender == manufacturer, "WM: Not arbiter or manufacturer.");
+
+        appeal.reviewer = msg.sender;
+        appeal.ruling = ruling;
+        appeal.decidedAt = block.timestamp;
+
+        if (!overturn) {
+            appeal.status = AppealStatus.Upheld;
+            emit AppealDecided(claimId, tokenId, msg.sender, false, ruling);
+            return;
+        }
+
+        Warranty storage warranty = s.warranties[tokenId];
+        // 与 approveClaim 相同：挂失期间不能通过申诉批准索赔
+        require(!s.registry().isLostOrStolen(tokenId), "WM: Product reported lost or stolen.");
+        require(!s.registry().isRecycled(tokenId), "WM: Product recycled.");
+        require(s.pendingClaimId[tokenId] == 0, "WM: Another claim is pending.");
+        require(warranty.claimedCount < warranty.maxClaims, "Maximum claims reached.");
+        s.checkCoverage(tokenId, record.category, record.requestedAt);
+        if (bytes(record.category).length > 0) {
+            s.categoryClaimCount[tokenId][keccak256(bytes(record.category))]++;
+        }
+
+        appeal.status = AppealStatus.Overturned;
+        record.decision = ClaimDecision.Approved;
+
+        warranty.claimedCount++;
+        warranty.serviceLog = string.concat("Appeal overturned: ", ruling);
+        if (warranty.claimedCount >= warranty.maxClaims) {
+            warranty.status = ClaimStatus.Fulfilled;
+        }
+
+        emit AppealDecided(claimId, tokenId, msg.sender, true, ruling);
+        emit ClaimResolved(tokenId, msg.sender, warranty.claimedCount, claimId);
+    }
+}
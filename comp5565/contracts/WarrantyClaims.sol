@@ -0,0 +1,141 @@
+// File: WarrantyClaims.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./WarrantyStorage.sol";
+
+// 索赔处理 (申请、批准、拒绝)：由 WarrantyManager 以 delegatecall 调用，msg.sender 为调用 WarrantyManager 的账户
+library WarrantyClaims {
+    using WarrantyStorage for WarrantyState;
+
+    // 与 WarrantyManager 中的声明一致，事件由 WarrantyManager 的地址发出
+    event ServiceRequested(uint256 indexed tokenId, address indexed customer, string reason, uint256 claimId);
+    event ClaimResolved(uint256 indexed tokenId, address indexed serviceCenter, uint8 newClaimsCount, uint256 claimId);
+    event ClaimRejected(uint256 indexed tokenId, address indexed serviceCenter, string reason, uint256 claimId);
+
+    // serviceCenter 为 0 表示任意服务中心均可处理 (指定时由 WarrantyManager 校验授权)
+    function requestService(WarrantyState storage s, uint256 tokenId, string memory reason, string memory category, address serviceCenter) public {
+        Warranty storage warranty = s.warranties[tokenId];
+
+        require(warranty.status != ClaimStatus.None, "Warranty not issued.");
+        require(s.productRegistryAddress != address(0), "WM: Registry address not set.");
+        IProductRegistry registry = s.registry();
+        require(!registry.isRecycled(tokenId), "WM: Product recycled.");
+
+        address currentOwner = registry.ownerOf(tokenId);
+        require(msg.sender == currentOwner, "Caller is not the product owner.");
+        require(!registry.isLostOrStolen(tokenId), "WM: Product reported lost or stolen.");
+
+        if (block.timestamp >= s.warrantyExpiry(tokenId)) {
+            warranty.status = ClaimStatus.Expired;
+            revert("Warranty has expired.");
+        }
+        if (warranty.status == ClaimStatus.Fulfilled) {
+            revert("Maximum claims reached.");
+        }
+        require(warranty.claimedCount < warranty.maxClaims, "Maximum claims reached.");
+        require(warranty.status == ClaimStatus.Active, "Warranty is not active.");
+        s.checkCoverage(tokenId, category, block.timestamp);
+
+        warranty.status = ClaimStatus.Pending;
+
+        uint256 claimId = s.nextClaimId++;
+        s.claims[claimId] = ClaimRecord({
+            claimId: claimId,
+            tokenId: tokenId,
+            owner: msg.sender,
+            reason: reason,
+            category: category,
+            serviceCenter: address(0),
+            decision: ClaimDecision.Pending,
+            resolutionNote: "",
+            requestedAt: block.timestamp,
+            resolvedAt: 0,
+            deadline: block.timestamp + s.serviceResponseDeadline,
+            assignedServiceCenter: serviceCenter,
+            escalated: false
+        });
+        s.tokenClaimIds[tokenId].push(claimId);
+        s.pendingClaimId[tokenId] = claimId;
+        s.pendingClaimIndex[claimId] = s.pendingClaimIds.length;
+        s.pendingClaimIds.push(claimId);
+
+        emit ServiceRequested(tokenId, msg.sender, reason, claimId);
+    }
+
+    // 返回索赔 ID，报销由 WarrantyManager 随后调用 WarrantyReimbursement 记账
+    function approveClaim(WarrantyState storage s, uint256 tokenId, string memory log) public returns (uint256 claimId) {
+        _checkResolver(s, tokenId);
+        Warranty storage warranty = s.warranties[tokenId];
+        require(warranty.status == ClaimStatus.Pending, "Claim not in pending state.");
+        // 申请后才被挂失的产品不能批准 (也就不会产生报销)，可拒绝或等待解除挂失
+        require(!s.registry().isLostOrStolen(tokenId), "WM: Product reported lost or stolen.");
+        // 申请后才被回收的产品保修已作废，只能拒绝
+        require(!s.registry().isRecycled(tokenId), "WM: Product recycled.");
+
+        // 条款可能在申请后被制造商修改，批准时按当前条款重新校验
+        ClaimRecord storage pending = s.claims[s.pendingClaimId[tokenId]];
+        s.checkCoverage(tokenId, pending.category, pending.requestedAt);
+        if (bytes(pending.category).length > 0) {
+            s.categoryClaimCount[tokenId][keccak256(bytes(pending.category))]++;
+        }
+
+        warranty.claimedCount++;
+        warranty.serviceLog = log;
+
+        if (warranty.claimedCount >= warranty.maxClaims) {
+            warranty.status = ClaimStatus.Fulfilled;
+        } else {
+            warranty.status = ClaimStatus.Active;
+        }
+        claimId = _closePendingClaim(s, tokenId, ClaimDecision.Approved, log);
+        emit ClaimResolved(tokenId, msg.sender, warranty.claimedCount, claimId);
+    }
+
+    function rejectClaim(WarrantyState storage s, uint256 tokenId, string memory reason) public {
+        _checkResolver(s, tokenId);
+        Warranty storage warranty = s.warranties[tokenId];
+        require(warranty.status == ClaimStatus.Pending, "Claim not in pending state.");
+
+        warranty.status = ClaimStatus.Active;
+        warranty.serviceLog = string.concat("Rejected: ", reason);
+        uint256 claimId = _closePendingClaim(s, tokenId, ClaimDecision.Rejected, reason);
+        emit ClaimRejected(tokenId, msg.sender, reason, claimId);
+    }
+
+    // 将当前 Pending 的索赔记录写入处理结果，返回其索赔 ID
+    function _closePendingClaim(WarrantyState storage s, uint256 tokenId, ClaimDecision decision, string memory note) private returns (uint256 claimId) {
+        claimId = s.pendingClaimId[tokenId];
+        ClaimRecord storage record = s.claims[claimId];
+        record.serviceCenter = msg.sender;
+        record.decision = decision;
+        record.resolutionNote = note;
+        record.resolvedAt = block.timestamp;
+        s.pendingClaimId[tokenId] = 0;
+
+        // Pending 期间不计入保修期限
+        s.pausedSeconds[tokenId] += block.timestamp - record.requestedAt;
+
+        uint256[] storage pendingIds = s.pendingClaimIds;
+        uint256 index = s.pendingClaimIndex[claimId];
+        uint256 lastId = pendingIds[pendingIds.length - 1];
+        pendingIds[index] = lastId;
+        s.pendingClaimIndex[lastId] = index;
+        pendingIds.pop();
+        delete s.pendingClaimIndex[claimId];
+    }
+
+    // 处理权限：制造商授权网络内的指定服务中心 (未指定时为网络内任意服务中心)；已升级的索赔也可由仲裁员处理
+    function _checkResolver(WarrantyState storage s, uint256 tokenId) private view {
+        ClaimRecord storage record = s.claims[s.pendingClaimId[tokenId]];
+        IRolesContract roles = s.roles();
+        if (!(record.escalated && roles.isArbiter(msg.sender))) {
+            require(roles.isServiceCenter(msg.sender), "Caller is not a Service Center");
+            require(s.inServiceNetwork(tokenId, msg.sender), "WM: Service center not authorized.");
+            require(
+                record.assignedServiceCenter == address(0) || record.assignedServiceCenter == msg.sender,
+                "WM: Claim assigned to another service center."
+            );
+        }
+    }
+}
@@ -0,0 +1,47 @@
+// File: WarrantyCoverage.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./WarrantyStorage.sol";
+
+// 保障条款 (Coverage Terms)：由 WarrantyManager 以 delegatecall 调用，msg.sender 为调用 WarrantyManager 的制造商
+library WarrantyCoverage {
+    using WarrantyStorage for WarrantyState;
+
+    // 每套条款最多包含的类别数
+    uint8 internal constant MAX_COVERAGE_CATEGORIES = 10;
+
+    // 与 WarrantyManager 中的声明一致，事件由 WarrantyManager 的地址发出
+    event ModelCoverageSet(address indexed manufacturer, string modelDetails, uint256 categoryCount);
+    event ProductCoverageSet(uint256 indexed tokenId, address indexed manufacturer, uint256 categoryCount);
+
+    // 设置调用者某型号的保障条款 (整体替换；传入空数组即取消)
+    function setModelCoverage(WarrantyState storage s, string memory modelDetails, CoverageTerm[] memory terms) public {
+        require(bytes(modelDetails).length > 0, "WM: Model required.");
+        _storeCoverage(s.modelCoverage[msg.sender][keccak256(bytes(modelDetails))], terms);
+        emit ModelCoverageSet(msg.sender, modelDetails, terms.length);
+    }
+
+    // 为单个产品设置保障条款，覆盖型号条款 (传入空数组即恢复使用型号条款)
+    function setProductCoverage(WarrantyState storage s, uint256 tokenId, CoverageTerm[] memory terms) public {
+        (address manufacturer, ) = s.registry().getProductOrigin(tokenId);
+        require(manufacturer == msg.sender, "WM: Not your product.");
+        _storeCoverage(s.productCoverage[tokenId], terms);
+        emit ProductCoverageSet(tokenId, msg.sender, terms.length);
+    }
+
+    function _storeCoverage(CoverageTerm[] storage target, CoverageTerm[] memory terms) private {
+        require(terms.length <= MAX_COVERAGE_CATEGORIES, "WM: Too many categories.");
+        while (target.length > 0) {
+            target.pop();
+        }
+        for (uint256 i = 0; i < terms.length; i++) {
+            require(bytes(terms[i].category).length > 0, "WM: Empty category.");
+            bytes32 categoryHash = keccak256(bytes(terms[i].category));
+            for (uint256 j = 0; j < i; j++) {
+                require(keccak256(bytes(terms[j].category)) != categoryHash, "WM: Duplicate category.");
+            }
+            target.push(terms[i]);
+        }
+    }
+}
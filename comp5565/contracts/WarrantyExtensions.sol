@@ -0,0 +1,75 @@
+// File: WarrantyExtensions.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./WarrantyStorage.sol";
+
+// 付费延保 (Extension Plans)：由 WarrantyManager 以 delegatecall 调用，msg.sender 为调用 WarrantyManager 的账户
+library WarrantyExtensions {
+    using WarrantyStorage for WarrantyState;
+
+    // 每个产品最多叠加的延保次数
+    uint8 internal constant MAX_EXTENSIONS_PER_PRODUCT = 3;
+
+    // 与 WarrantyManager 中的声明一致，事件由 WarrantyManager 的地址发出
+    event ExtensionPlanPublished(uint256 indexed planId, address indexed manufacturer, uint256 extraDays, uint8 extraClaims, uint256 price);
+    event ExtensionPlanStatusChanged(uint256 indexed planId, bool active);
+    event WarrantyExtended(uint256 indexed tokenId, uint256 indexed planId, address indexed purchaser, uint256 newDurationDays, uint8 newMaxClaims);
+
+    function publishExtensionPlan(WarrantyState storage s, uint256 extraDays, uint8 extraClaims, uint256 price) public returns (uint256 planId) {
+        require(extraDays > 0 || extraClaims > 0, "WM: Empty extension plan.");
+
+        planId = s.nextPlanId++;
+        s.extensionPlans[planId] = ExtensionPlan({
+            planId: planId,
+            manufacturer: msg.sender,
+            extraDays: extraDays,
+            extraClaims: extraClaims,
+            price: price,
+            active: true
+        });
+        emit ExtensionPlanPublished(planId, msg.sender, extraDays, extraClaims, price);
+    }
+
+    // 制造商下架/重新启用延保计划 (已售出的延保不受影响)
+    function setExtensionPlanActive(WarrantyState storage s, uint256 planId, bool active) public {
+        require(s.extensionPlans[planId].manufacturer == msg.sender, "WM: Not plan owner.");
+        s.extensionPlans[planId].active = active;
+        emit ExtensionPlanStatusChanged(planId, active);
+    }
+
+    // 由 Marketplace 在收款流程中调用：将延保叠加到产品保修上，返回收款方 (制造商) 与价格
+    function applyExtension(WarrantyState storage s, uint256 tokenId, uint256 planId, address purchaser) public returns (address manufacturer, uint256 price) {
+        require(msg.sender == s.marketplaceContract, "WM: Only Marketplace.");
+        ExtensionPlan storage plan = s.extensionPlans[planId];
+        require(plan.active, "WM: Extension plan not available.");
+
+        (address productManufacturer, ) = s.registry().getProductOrigin(tokenId);
+        require(productManufacturer == plan.manufacturer, "WM: Plan not offered for this product.");
+
+        Warranty storage warranty = s.warranties[tokenId];
+        require(warranty.status != ClaimStatus.None, "Warranty not issued.");
+        require(!s.registry().isRecycled(tokenId), "WM: Product recycled.");
+        require(block.timestamp < s.warrantyExpiry(tokenId), "Warranty has expired.");
+        require(s.extensionHistory[tokenId].length < MAX_EXTENSIONS_PER_PRODUCT, "WM: Extension limit reached.");
+
+        warranty.durationDays += plan.extraDays;
+        warranty.maxClaims += plan.extraClaims;
+        // 索赔次数已用完的保修在增加次数后重新激活
+        if (warranty.status == ClaimStatus.Fulfilled && warranty.claimedCount < warranty.maxClaims) {
+            warranty.status = ClaimStatus.Active;
+        }
+
+        s.extensionHistory[tokenId].push(ExtensionRecord({
+            planId: planId,
+            purchaser: purchaser,
+            extraDays: plan.extraDays,
+            extraClaims: plan.extraClaims,
+            price: plan.price,
+            purchasedAt: block.timestamp
+        }));
+        emit WarrantyExtended(tokenId, planId, purchaser, warranty.durationDays, warranty.maxClaims);
+
+        return (plan.manufacturer, plan.price);
+    }
+}
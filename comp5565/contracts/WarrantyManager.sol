@@ -3,62 +3,104 @@
 pragma solidity ^0.8.20;
 
 import "./I_Interfaces.sol";
+import "./WarrantyStorage.sol";
+import "./WarrantyClaims.sol";
+import "./WarrantyExtensions.sol";
+import "./WarrantyServiceNetwork.sol";
+import "./WarrantySLA.sol";
+import "./WarrantyReimbursement.sol";
+import "./WarrantyAppeals.sol";
+import "./WarrantyCoverage.sol";
+import "./WarrantyRecalls.sol";
 import "@openzeppelin/contracts/access/Ownable.sol"; 
 
+// 数据类型与状态定义见 WarrantyStorage.sol。各功能由外部库实现 (部署时链接)，
+// 本合约持有全部状态与 ETH，只做权限检查并以 delegatecall 转发
 contract WarrantyManager is IWarrantyManager, Ownable { 
+    using WarrantyStorage for WarrantyState;
 
-    address public productRegistryAddress;
-    address public rolesContractAddress;
-    address public marketplaceContract;
+    WarrantyState internal _state;
 
-    enum ClaimStatus { None, Active, Pending, Expired, Fulfilled }
+    event ServiceRequested(uint256 indexed tokenId, address indexed customer, string reason, uint256 claimId);
+    event ClaimResolved(uint256 indexed tokenId, address indexed serviceCenter, uint8 newClaimsCount, uint256 claimId);
+    event ClaimRejected(uint256 indexed tokenId, address indexed serviceCenter, string reason, uint256 claimId);
+    event ServiceDeadlineUpdated(uint256 newDeadline);
+    event ClaimEscalated(uint256 indexed tokenId, uint256 indexed claimId, address indexed owner);
+    event ClaimRerouted(uint256 indexed tokenId, uint256 indexed claimId, address indexed serviceCenter, uint256 newDeadline);
 
-    struct Warranty {
-        uint256 startDate;
-        uint256 durationDays; 
-        uint8 maxClaims;
-        uint8 claimedCount;
-        ClaimStatus status;
-        string serviceLog;
-    }
-    
-    event ServiceRequested(uint256 indexed tokenId, address indexed customer, string reason);
-    event ClaimResolved(uint256 indexed tokenId, address indexed serviceCenter, uint8 newClaimsCount);
-    event ClaimRejected(uint256 indexed tokenId, address indexed serviceCenter, string reason);
+    event ServiceCenterAuthorized(address indexed manufacturer, address indexed serviceCenter);
+    event ServiceCenterRevoked(address indexed manufacturer, address indexed serviceCenter);
+    event ServiceNetworkEnforced(address indexed manufacturer, bool enforced);
+
+    event ReserveDeposited(address indexed manufacturer, uint256 amount, uint256 newReserve);
+    event ReserveWithdrawn(address indexed manufacturer, uint256 amount, uint256 newReserve);
+    event ModelReimbursementSet(address indexed manufacturer, string modelDetails, uint256 amount);
+    event LowReserveThresholdSet(address indexed manufacturer, uint256 threshold);
+    event ServiceReimbursed(uint256 indexed claimId, address indexed serviceCenter, address indexed manufacturer, uint256 amount);
+    event ReimbursementDeferred(uint256 indexed claimId, address indexed serviceCenter, address indexed manufacturer, uint256 amount);
+    event LowReserve(address indexed manufacturer, uint256 reserve, uint256 threshold);
+    event ReimbursementWithdrawn(address indexed serviceCenter, uint256 amount);
+
+    event AppealWindowUpdated(uint256 newWindow);
+    event ClaimAppealed(uint256 indexed claimId, uint256 indexed tokenId, address indexed appellant, string statement);
+    event AppealDecided(uint256 indexed claimId, uint256 indexed tokenId, address indexed reviewer, bool overturned, string ruling);
+
+    // 每套条款最多包含的类别数
+    uint8 public constant MAX_COVERAGE_CATEGORIES = WarrantyCoverage.MAX_COVERAGE_CATEGORIES;
+
+    event ModelCoverageSet(address indexed manufacturer, string modelDetails, uint256 categoryCount);
+    event ProductCoverageSet(uint256 indexed tokenId, address indexed manufacturer, uint256 categoryCount);
 
-    mapping(uint256 => Warranty) public warranties;
+    // 每个产品最多叠加的延保次数
+    uint8 public constant MAX_EXTENSIONS_PER_PRODUCT = WarrantyExtensions.MAX_EXTENSIONS_PER_PRODUCT;
+
+    event ExtensionPlanPublished(uint256 indexed planId, address indexed manufacturer, uint256 extraDays, uint8 extraClaims, uint256 price);
+    event ExtensionPlanStatusChanged(uint256 indexed planId, bool active);
+    event WarrantyExtended(uint256 indexed tokenId, uint256 indexed planId, address indexed purchaser, uint256 newDurationDays, uint8 newMaxClaims);
+
+    event RecallOpened(uint256 indexed recallId, address indexed manufacturer, string modelDetails, string description, string remedyURI);
+    event ProductRecalled(uint256 indexed recallId, uint256 indexed tokenId);
+    event RecallClosed(uint256 indexed recallId);
+    event RecallServiceRequested(uint256 indexed recallId, uint256 indexed tokenId, address indexed owner);
+    event RecallResolved(uint256 indexed recallId, uint256 indexed tokenId, address indexed serviceCenter, string serviceLog);
 
     constructor(address _rolesAddr) Ownable(msg.sender) { 
         require(_rolesAddr != address(0), "Invalid address");
-        rolesContractAddress = _rolesAddr;
+        _state.rolesContractAddress = _rolesAddr;
+        _state.serviceResponseDeadline = 7 days;
+        _state.appealWindow = 14 days;
+        // 索赔、延保计划与召回的 ID 均从 1 开始
+        _state.nextClaimId = 1;
+        _state.nextPlanId = 1;
+        _state.nextRecallId = 1;
     }
 
     function setProductRegistryAddress(address _registryAddr) public override onlyOwner { 
-        require(productRegistryAddress == address(0), "WM: Registry already set.");
+        require(_state.productRegistryAddress == address(0), "WM: Registry already set.");
         require(_registryAddr != address(0), "WM: Invalid address.");
-        productRegistryAddress = _registryAddr; 
+        _state.productRegistryAddress = _registryAddr; 
     }
 
     function setMarketplaceAddress(address _mpAddr) public override onlyOwner { 
-        require(marketplaceContract == address(0), "WM: Marketplace already set.");
+        require(_state.marketplaceContract == address(0), "WM: Marketplace already set.");
         require(_mpAddr != address(0), "WM: Invalid address.");
-        marketplaceContract = _mpAddr;
+        _state.marketplaceContract = _mpAddr;
     }
 
     modifier onlyServiceCenter() {
-        require(IRolesContract(rolesContractAddress).isServiceCenter(msg.sender), "Caller is not a Service Center");
+        require(_state.roles().isServiceCenter(msg.sender), "Caller is not a Service Center");
         _;
     }
 
     function issueWarranty(uint256 tokenId, uint256 durationDays, uint8 maxClaims) public override {
         require(
-            IRolesContract(rolesContractAddress).isManufacturer(msg.sender) || msg.sender == marketplaceContract,
+            _state.roles().isManufacturer(msg.sender) || msg.sender == _state.marketplaceContract,
             "WM: Not Manufacturer or Marketplace"
         );
         // 只有第一次发行时有效
-        require(warranties[tokenId].status == ClaimStatus.None, "Warranty already issued.");
+        require(_state.warranties[tokenId].status == ClaimStatus.None, "Warranty already issued.");
 
-        warranties[tokenId] = Warranty({
+        _state.warranties[tokenId] = Warranty({
             startDate: block.timestamp,
             durationDays: durationDays, 
             maxClaims: maxClaims,
@@ -69,64 +111,301 @@ contract WarrantyManager is IWarrantyManager, Ownable {
     }
 
     function requestService(uint256 tokenId) public override {
-        _requestServiceInternal(tokenId, "");
+        _requestServiceInternal(tokenId, "", "", address(0));
     }
 
     function requestService(uint256 tokenId, string memory reason) public {
-        _requestServiceInternal(tokenId, reason);
+        _requestServiceInternal(tokenId, reason, "", address(0));
     }
 
-    function _requestServiceInternal(uint256 tokenId, string memory reason) internal {
-        Warranty storage warranty = warranties[tokenId];
+    function requestService(uint256 tokenId, string memory reason, string memory category) public {
+        _requestServiceInternal(tokenId, reason, category, address(0));
+    }
 
-        require(warranty.status != ClaimStatus.None, "Warranty not issued.");
-        require(productRegistryAddress != address(0), "WM: Registry address not set.");
+    // 指定由某个授权服务中心处理
+    function requestService(uint256 tokenId, string memory reason, string memory category, address serviceCenter) public {
+        require(_state.isAuthorizedServiceCenter(tokenId, serviceCenter), "WM: Service center not authorized.");
+        _requestServiceInternal(tokenId, reason, category, serviceCenter);
+    }
 
-        address currentOwner = IProductRegistry(productRegistryAddress).ownerOf(tokenId);
-        require(msg.sender == currentOwner, "Caller is not the product owner.");
+    function _requestServiceInternal(uint256 tokenId, string memory reason, string memory category, address serviceCenter) internal {
+        WarrantyClaims.requestService(_state, tokenId, reason, category, serviceCenter);
+    }
 
-        if (block.timestamp >= warranty.startDate + (warranty.durationDays * 1 days)) {
-            warranty.status = ClaimStatus.Expired;
-            revert("Warranty has expired.");
-        }
-        if (warranty.status == ClaimStatus.Fulfilled) {
-            revert("Maximum claims reached.");
-        }
-        require(warranty.claimedCount < warranty.maxClaims, "Maximum claims reached.");
-        require(warranty.status == ClaimStatus.Active, "Warranty is not active.");
+    // 处理权限检查与索赔记录见 WarrantyClaims；批准后为处理的服务中心记账报销
+    function approveClaim(uint256 tokenId, string memory log) public override {
+        uint256 claimId = WarrantyClaims.approveClaim(_state, tokenId, log);
+        WarrantyReimbursement.reimburseServiceCenter(_state, tokenId, claimId);
+    }
 
-        warranty.status = ClaimStatus.Pending;
-        emit ServiceRequested(tokenId, msg.sender, reason);
+    function rejectClaim(uint256 tokenId, string memory reason) public override {
+        WarrantyClaims.rejectClaim(_state, tokenId, reason);
     }
 
-    function approveClaim(uint256 tokenId, string memory log) public override onlyServiceCenter {
-        Warranty storage warranty = warranties[tokenId];
-        require(warranty.status == ClaimStatus.Pending, "Claim not in pending state.");
+    modifier onlyManufacturer() {
+        require(_state.roles().isManufacturer(msg.sender), "WM: Caller is not a Manufacturer");
+        _;
+    }
 
-        warranty.claimedCount++;
-        warranty.serviceLog = log;
+    // =========================================================
+    // 授权服务网络 (Service Networks)，实现见 WarrantyServiceNetwork
+    // =========================================================
 
-        if (warranty.claimedCount >= warranty.maxClaims) {
-            warranty.status = ClaimStatus.Fulfilled;
-        } else {
-            warranty.status = ClaimStatus.Active;
-        }
-        emit ClaimResolved(tokenId, msg.sender, warranty.claimedCount);
+    function authorizeServiceCenter(address serviceCenter) external onlyManufacturer {
+        WarrantyServiceNetwork.authorizeServiceCenter(_state, serviceCenter);
+    }
+
+    // 显式启用或停用名单；停用后任何服务中心均可处理，名单保留以便重新启用
+    function setServiceNetworkEnforced(bool enforced) external onlyManufacturer {
+        WarrantyServiceNetwork.setServiceNetworkEnforced(_state, enforced);
+    }
+
+    // 移除最后一个服务中心后名单仍处于启用状态，此时没有服务中心能处理，需停用名单或重新授权
+    function revokeServiceCenter(address serviceCenter) external {
+        WarrantyServiceNetwork.revokeServiceCenter(_state, serviceCenter);
+    }
+
+    // 某服务中心能否处理该产品：须持有服务中心角色，且制造商未启用名单或在名单中
+    function isAuthorizedServiceCenter(uint256 tokenId, address serviceCenter) public view returns (bool) {
+        return _state.isAuthorizedServiceCenter(tokenId, serviceCenter);
+    }
+
+    // =========================================================
+    // 服务时限 (SLA)，实现见 WarrantySLA
+    // =========================================================
+
+    // 只影响之后发起或改派的索赔
+    function setServiceResponseDeadline(uint256 newDeadline) external onlyOwner {
+        require(newDeadline > 0, "WM: Invalid deadline.");
+        _state.serviceResponseDeadline = newDeadline;
+        emit ServiceDeadlineUpdated(newDeadline);
+    }
+
+    // 超时后所有者可将索赔升级，仲裁员随即可以直接处理
+    function escalateClaim(uint256 tokenId) external {
+        WarrantySLA.escalateClaim(_state, tokenId);
+    }
+
+    // 超时后所有者可将索赔改派给另一服务中心，并重新计算响应期限
+    function rerouteClaim(uint256 tokenId, address serviceCenter) external {
+        WarrantySLA.rerouteClaim(_state, tokenId, serviceCenter);
+    }
+
+    // =========================================================
+    // 维修报销 (Reimbursement Pool)，实现见 WarrantyReimbursement
+    // =========================================================
+
+    function depositReserve() external payable onlyManufacturer {
+        WarrantyReimbursement.depositReserve(_state, msg.value);
+    }
+
+    // 制造商取回未使用的准备金 (已记入服务中心余额的报销不受影响)；只能取回超出未付报销合计的部分
+    function withdrawReserve(uint256 amount) external {
+        WarrantyReimbursement.withdrawReserve(_state, amount);
+    }
+
+    // 可取回的准备金：准备金减去尚未支付给服务中心的报销
+    function availableReserve(address manufacturer) public view returns (uint256) {
+        return WarrantyReimbursement.availableReserve(_state, manufacturer);
+    }
+
+    // 设置调用者某型号每次批准索赔的报销金额，0 表示不报销
+    function setModelReimbursement(string memory modelDetails, uint256 amount) external onlyManufacturer {
+        WarrantyReimbursement.setModelReimbursement(_state, modelDetails, amount);
     }
 
-    function rejectClaim(uint256 tokenId, string memory reason) public override onlyServiceCenter {
-        Warranty storage warranty = warranties[tokenId];
-        require(warranty.status == ClaimStatus.Pending, "Claim not in pending state.");
+    function setLowReserveThreshold(uint256 threshold) external onlyManufacturer {
+        WarrantyReimbursement.setLowReserveThreshold(_state, threshold);
+    }
+
+    // 准备金补充后，服务中心领取此前记为欠款的报销 (准备金仍不足时领取可用部分)
+    function collectOutstanding(address manufacturer) external {
+        WarrantyReimbursement.collectOutstanding(_state, manufacturer);
+    }
+
+    function withdrawReimbursement() external {
+        WarrantyReimbursement.withdrawReimbursement(_state);
+    }
+
+    // =========================================================
+    // 申诉 (Appeals)，实现见 WarrantyAppeals
+    // =========================================================
+
+    // 只影响之后的申诉；申诉期从拒绝时间起算
+    function setAppealWindow(uint256 newWindow) external onlyOwner {
+        require(newWindow > 0, "WM: Invalid appeal window.");
+        _state.appealWindow = newWindow;
+        emit AppealWindowUpdated(newWindow);
+    }
+
+    function fileAppeal(uint256 claimId, string memory statement) external {
+        WarrantyAppeals.fileAppeal(_state, claimId, statement);
+    }
+
+    // 仲裁员或该产品的制造商复核申诉，推翻原决定视为批准该索赔
+    function decideAppeal(uint256 claimId, bool overturn, string memory ruling) external {
+        WarrantyAppeals.decideAppeal(_state, claimId, overturn, ruling);
+    }
+
+    // =========================================================
+    // 保障条款 (Coverage Terms)，实现见 WarrantyCoverage
+    // =========================================================
+
+    // 设置调用者某型号的保障条款 (整体替换；传入空数组即取消)
+    function setModelCoverage(string memory modelDetails, CoverageTerm[] memory terms) external onlyManufacturer {
+        WarrantyCoverage.setModelCoverage(_state, modelDetails, terms);
+    }
+
+    // 为单个产品设置保障条款，覆盖型号条款 (传入空数组即恢复使用型号条款)
+    function setProductCoverage(uint256 tokenId, CoverageTerm[] memory terms) external onlyManufacturer {
+        WarrantyCoverage.setProductCoverage(_state, tokenId, terms);
+    }
+
+    // =========================================================
+    // 付费延保 (Extension Plans)，实现见 WarrantyExtensions
+    // =========================================================
+
+    function publishExtensionPlan(uint256 extraDays, uint8 extraClaims, uint256 price) external onlyManufacturer returns (uint256 planId) {
+        return WarrantyExtensions.publishExtensionPlan(_state, extraDays, extraClaims, price);
+    }
+
+    // 制造商下架/重新启用延保计划 (已售出的延保不受影响)
+    function setExtensionPlanActive(uint256 planId, bool active) external {
+        WarrantyExtensions.setExtensionPlanActive(_state, planId, active);
+    }
+
+    // 由 Marketplace 在收款流程中调用：将延保叠加到产品保修上，返回收款方 (制造商) 与价格
+    function applyExtension(uint256 tokenId, uint256 planId, address purchaser) external override returns (address manufacturer, uint256 price) {
+        return WarrantyExtensions.applyExtension(_state, tokenId, planId, purchaser);
+    }
+
+    // =========================================================
+    // 召回 (Recall)，实现见 WarrantyRecalls
+    // =========================================================
+
+    // 按型号召回：影响调用者生产的所有该型号产品 (包括之后铸造的)
+    function openModelRecall(string memory modelDetails, string memory description, string memory remedyURI)
+        external onlyManufacturer returns (uint256 recallId)
+    {
+        return WarrantyRecalls.openModelRecall(_state, modelDetails, description, remedyURI);
+    }
+
+    // 按产品列表召回：只能召回调用者自己生产的产品
+    function openTokenRecall(uint256[] memory tokenIds, string memory description, string memory remedyURI)
+        external onlyManufacturer returns (uint256 recallId)
+    {
+        return WarrantyRecalls.openTokenRecall(_state, tokenIds, description, remedyURI);
+    }
+
+    function closeRecall(uint256 recallId) external {
+        WarrantyRecalls.closeRecall(_state, recallId);
+    }
+
+    // 产品所有者登记召回服务
+    function registerForRecall(uint256 tokenId, uint256 recallId) external {
+        WarrantyRecalls.registerForRecall(_state, tokenId, recallId);
+    }
+
+    // 服务中心完成召回补救：不消耗 claimedCount，不影响保修状态
+    function resolveRecall(uint256 tokenId, uint256 recallId, string memory serviceLog) external onlyServiceCenter {
+        WarrantyRecalls.resolveRecall(_state, tokenId, recallId, serviceLog);
+    }
+
+    // --- 状态查询 (原 public 状态变量的 getter) ---
+
+    function productRegistryAddress() external view returns (address) {
+        return _state.productRegistryAddress;
+    }
 
-        warranty.status = ClaimStatus.Active;
-        warranty.serviceLog = string.concat("Rejected: ", reason);
-        emit ClaimRejected(tokenId, msg.sender, reason);
+    function rolesContractAddress() external view returns (address) {
+        return _state.rolesContractAddress;
+    }
+
+    function marketplaceContract() external view returns (address) {
+        return _state.marketplaceContract;
+    }
+
+    function warranties(uint256 tokenId) external view returns (
+        uint256 startDate, uint256 durationDays, uint8 maxClaims, uint8 claimedCount, ClaimStatus status, string memory serviceLog
+    ) {
+        Warranty storage w = _state.warranties[tokenId];
+        return (w.startDate, w.durationDays, w.maxClaims, w.claimedCount, w.status, w.serviceLog);
+    }
+
+    function pendingClaimId(uint256 tokenId) external view returns (uint256) {
+        return _state.pendingClaimId[tokenId];
+    }
+
+    function serviceResponseDeadline() external view returns (uint256) {
+        return _state.serviceResponseDeadline;
+    }
+
+    function pausedSeconds(uint256 tokenId) external view returns (uint256) {
+        return _state.pausedSeconds[tokenId];
+    }
+
+    function appealWindow() external view returns (uint256) {
+        return _state.appealWindow;
+    }
+
+    function authorizedServiceCenters(address manufacturer, address serviceCenter) external view returns (bool) {
+        return _state.authorizedServiceCenters[manufacturer][serviceCenter];
+    }
+
+    function serviceNetworkEnforced(address manufacturer) external view returns (bool) {
+        return _state.serviceNetworkEnforced[manufacturer];
+    }
+
+    function warrantyReserves(address manufacturer) external view returns (uint256) {
+        return _state.warrantyReserves[manufacturer];
+    }
+
+    function lowReserveThreshold(address manufacturer) external view returns (uint256) {
+        return _state.lowReserveThreshold[manufacturer];
+    }
+
+    function reimbursementBalances(address serviceCenter) external view returns (uint256) {
+        return _state.reimbursementBalances[serviceCenter];
+    }
+
+    function outstandingReimbursements(address manufacturer, address serviceCenter) external view returns (uint256) {
+        return _state.outstandingReimbursements[manufacturer][serviceCenter];
+    }
+
+    function totalOutstandingReimbursements(address manufacturer) external view returns (uint256) {
+        return _state.totalOutstandingReimbursements[manufacturer];
+    }
+
+    function categoryClaimCount(uint256 tokenId, bytes32 categoryHash) external view returns (uint8) {
+        return _state.categoryClaimCount[tokenId][categoryHash];
+    }
+
+    function extensionPlans(uint256 id) external view returns (
+        uint256 planId, address manufacturer, uint256 extraDays, uint8 extraClaims, uint256 price, bool active
+    ) {
+        ExtensionPlan storage plan = _state.extensionPlans[id];
+        return (plan.planId, plan.manufacturer, plan.extraDays, plan.extraClaims, plan.price, plan.active);
+    }
+
+    function recallServices(uint256 recallId, uint256 tokenId) external view returns (
+        RecallServiceStatus status, address owner, address serviceCenter, string memory serviceLog, uint256 registeredAt, uint256 resolvedAt
+    ) {
+        RecallService storage service = _state.recallServices[recallId][tokenId];
+        return (service.status, service.owner, service.serviceCenter, service.serviceLog, service.registeredAt, service.resolvedAt);
+    }
+
+    // 保修到期时间：开始时间 + 期限 + 累计 Pending 时长；当前 Pending 期间同样顺延
+    function getWarrantyExpiry(uint256 tokenId) public view override returns (uint256) {
+        return _state.warrantyExpiry(tokenId);
     }
 
     function isWarrantyValid(uint256 productId) public view override returns (bool) {
-        Warranty memory warranty = warranties[productId];
+        Warranty memory warranty = _state.warranties[productId];
+        if (warranty.status != ClaimStatus.None && _state.registry().isRecycled(productId)) {
+            return false;
+        }
         if (warranty.status == ClaimStatus.Active || warranty.status == ClaimStatus.Pending) {
-            if (block.timestamp >= warranty.startDate + (warranty.durationDays * 1 days)) {
+            if (block.timestamp >= getWarrantyExpiry(productId)) {
                 return false;
             }
             return true;
@@ -135,14 +414,112 @@ contract WarrantyManager is IWarrantyManager, Ownable {
     }
 
     function getWarrantyStatus(uint256 tokenId) external view override returns (uint256, uint256, uint8, uint8, uint8, string memory) {
-        Warranty memory w = warranties[tokenId];
+        Warranty memory w = _state.warranties[tokenId];
         ClaimStatus actualStatus = w.status;
-        
-        if ((actualStatus == ClaimStatus.Active || actualStatus == ClaimStatus.Pending) && 
-            (block.timestamp >= w.startDate + (w.durationDays * 1 days))
+
+        if (actualStatus != ClaimStatus.None && _state.registry().isRecycled(tokenId)) {
+            actualStatus = ClaimStatus.Void;
+        } else if ((actualStatus == ClaimStatus.Active || actualStatus == ClaimStatus.Pending) && 
+            (block.timestamp >= getWarrantyExpiry(tokenId))
         ) {
             actualStatus = ClaimStatus.Expired;
         }
         return (w.startDate, w.durationDays, w.maxClaims, w.claimedCount, uint8(actualStatus), w.serviceLog);
     }
+
+    // --- 索赔账本查询 (供前端页面 A 第 5 项使用) ---
+
+    function getClaim(uint256 claimId) external view returns (ClaimRecord memory) {
+        require(_state.claims[claimId].claimId != 0, "WM: Claim does not exist.");
+        return _state.claims[claimId];
+    }
+
+    function getClaimCount(uint256 tokenId) external view returns (uint256) {
+        return _state.tokenClaimIds[tokenId].length;
+    }
+
+    function getAppeal(uint256 claimId) external view returns (Appeal memory) {
+        require(_state.appeals[claimId].status != AppealStatus.None, "WM: Appeal does not exist.");
+        return _state.appeals[claimId];
+    }
+
+    // --- 超时索赔查询 (供服务中心看板使用) ---
+
+    function getPendingClaimCount() external view returns (uint256) {
+        return _state.pendingClaimIds.length;
+    }
+
+    // 分页返回已超过响应期限的 Pending 索赔及其已等待时长 (秒)。
+    // serviceCenter 非 0 时只返回该服务中心可处理的索赔 (在制造商授权网络内，且未指定或指定给它)
+    function getOverdueClaims(address serviceCenter, uint256 offset, uint256 limit)
+        external view returns (ClaimRecord[] memory page, uint256[] memory ages)
+    {
+        uint256[] memory matched = WarrantySLA.getOverdueClaimIds(_state, serviceCenter, offset, limit);
+        page = new ClaimRecord[](matched.length);
+        ages = new uint256[](matched.length);
+        for (uint256 i = 0; i < matched.length; i++) {
+            page[i] = _state.claims[matched[i]];
+            ages[i] = block.timestamp - page[i].requestedAt;
+        }
+    }
+
+    // --- 保障条款查询 ---
+
+    function getCoverageTerms(uint256 tokenId) external view returns (CoverageTerm[] memory) {
+        return _state.effectiveCoverage(tokenId);
+    }
+
+    function getModelCoverage(address manufacturer, string memory modelDetails) external view returns (CoverageTerm[] memory) {
+        return _state.modelCoverage[manufacturer][keccak256(bytes(modelDetails))];
+    }
+
+    // --- 授权服务网络查询 ---
+
+    function getServiceNetwork(address manufacturer) external view returns (address[] memory) {
+        return _state.serviceNetwork[manufacturer];
+    }
+
+    // --- 报销查询 ---
+
+    function getModelReimbursement(address manufacturer, string memory modelDetails) external view returns (uint256) {
+        return _state.modelReimbursement[manufacturer][keccak256(bytes(modelDetails))];
+    }
+
+    // --- 延保查询 ---
+
+    function getExtensionHistory(uint256 tokenId) external view returns (ExtensionRecord[] memory) {
+        return _state.extensionHistory[tokenId];
+    }
+
+    // --- 召回查询 ---
+
+    function getRecall(uint256 recallId) external view returns (Recall memory) {
+        require(_state.recalls[recallId].status != RecallStatus.None, "WM: Recall does not exist.");
+        return _state.recalls[recallId];
+    }
+
+    function isAffectedByRecall(uint256 tokenId, uint256 recallId) public view returns (bool) {
+        return WarrantyRecalls.isAffectedByRecall(_state, tokenId, recallId);
+    }
+
+    // 影响该产品、仍处于 Open 且尚未完成补救的召回 (供 verifyProduct 与 Marketplace 在购买前展示)
+    function getOpenRecalls(uint256 tokenId) external view override returns (uint256[] memory) {
+        return WarrantyRecalls.getOpenRecalls(_state, tokenId);
+    }
+
+    // 分页返回某产品的索赔记录 (按发起时间正序)
+    function getClaimHistory(uint256 tokenId, uint256 offset, uint256 limit) external view returns (ClaimRecord[] memory page) {
+        uint256[] storage ids = _state.tokenClaimIds[tokenId];
+        if (offset >= ids.length) {
+            return new ClaimRecord[](0);
+        }
+        uint256 end = offset + limit;
+        if (end > ids.length) {
+            end = ids.length;
+        }
+        page = new ClaimRecord[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = _state.claims[ids[i]];
+        }
+    }
 }
\ No newline at end of file
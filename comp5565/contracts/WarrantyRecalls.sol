@@ -0,0 +1,138 @@
+// File: WarrantyRecalls.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./WarrantyStorage.sol";
+
+// 召回 (Recall)：由 WarrantyManager 以 delegatecall 调用，msg.sender 为调用 WarrantyManager 的账户
+library WarrantyRecalls {
+    using WarrantyStorage for WarrantyState;
+
+    // 与 WarrantyManager 中的声明一致，事件由 WarrantyManager 的地址发出
+    event RecallOpened(uint256 indexed recallId, address indexed manufacturer, string modelDetails, string description, string remedyURI);
+    event ProductRecalled(uint256 indexed recallId, uint256 indexed tokenId);
+    event RecallClosed(uint256 indexed recallId);
+    event RecallServiceRequested(uint256 indexed recallId, uint256 indexed tokenId, address indexed owner);
+    event RecallResolved(uint256 indexed recallId, uint256 indexed tokenId, address indexed serviceCenter, string serviceLog);
+
+    // 按型号召回：影响调用者生产的所有该型号产品 (包括之后铸造的)
+    function openModelRecall(WarrantyState storage s, string memory modelDetails, string memory description, string memory remedyURI)
+        public returns (uint256 recallId)
+    {
+        require(bytes(modelDetails).length > 0, "WM: Model required.");
+        recallId = _openRecall(s, modelDetails, description, remedyURI);
+        s.modelRecallIds[msg.sender][keccak256(bytes(modelDetails))].push(recallId);
+    }
+
+    // 按产品列表召回：只能召回调用者自己生产的产品
+    function openTokenRecall(WarrantyState storage s, uint256[] memory tokenIds, string memory description, string memory remedyURI)
+        public returns (uint256 recallId)
+    {
+        require(tokenIds.length > 0, "WM: No products to recall.");
+        require(s.productRegistryAddress != address(0), "WM: Registry address not set.");
+
+        recallId = _openRecall(s, "", description, remedyURI);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            uint256 tokenId = tokenIds[i];
+            (address manufacturer, ) = s.registry().getProductOrigin(tokenId);
+            require(manufacturer == msg.sender, "WM: Not your product.");
+            if (s.recallTokens[recallId][tokenId]) {
+                continue;
+            }
+            s.recallTokens[recallId][tokenId] = true;
+            s.tokenRecallIds[tokenId].push(recallId);
+            emit ProductRecalled(recallId, tokenId);
+        }
+    }
+
+    function closeRecall(WarrantyState storage s, uint256 recallId) public {
+        Recall storage recall = s.recalls[recallId];
+        require(recall.status == RecallStatus.Open, "WM: Recall not open.");
+        require(recall.manufacturer == msg.sender, "WM: Not recall owner.");
+
+        recall.status = RecallStatus.Closed;
+        recall.closedAt = block.timestamp;
+        emit RecallClosed(recallId);
+    }
+
+    // 产品所有者登记召回服务
+    function registerForRecall(WarrantyState storage s, uint256 tokenId, uint256 recallId) public {
+        require(s.recalls[recallId].status == RecallStatus.Open, "WM: Recall not open.");
+        require(isAffectedByRecall(s, tokenId, recallId), "WM: Product not affected by recall.");
+        require(s.registry().ownerOf(tokenId) == msg.sender, "Caller is not the product owner.");
+
+        RecallService storage service = s.recallServices[recallId][tokenId];
+        require(service.status == RecallServiceStatus.None, "WM: Already registered for recall.");
+
+        service.status = RecallServiceStatus.Registered;
+        service.owner = msg.sender;
+        service.registeredAt = block.timestamp;
+        emit RecallServiceRequested(recallId, tokenId, msg.sender);
+    }
+
+    // 服务中心完成召回补救：不消耗 claimedCount，不影响保修状态 (服务中心角色由 WarrantyManager 校验)
+    function resolveRecall(WarrantyState storage s, uint256 tokenId, uint256 recallId, string memory serviceLog) public {
+        require(s.recalls[recallId].status == RecallStatus.Open, "WM: Recall not open.");
+        require(s.inServiceNetwork(tokenId, msg.sender), "WM: Service center not authorized.");
+
+        RecallService storage service = s.recallServices[recallId][tokenId];
+        require(service.status == RecallServiceStatus.Registered, "WM: Not registered for recall.");
+
+        service.status = RecallServiceStatus.Resolved;
+        service.serviceCenter = msg.sender;
+        service.serviceLog = serviceLog;
+        service.resolvedAt = block.timestamp;
+        emit RecallResolved(recallId, tokenId, msg.sender, serviceLog);
+    }
+
+    function isAffectedByRecall(WarrantyState storage s, uint256 tokenId, uint256 recallId) public view returns (bool) {
+        Recall storage recall = s.recalls[recallId];
+        if (recall.status == RecallStatus.None) {
+            return false;
+        }
+        if (bytes(recall.modelDetails).length == 0) {
+            return s.recallTokens[recallId][tokenId];
+        }
+        (address manufacturer, string memory modelDetails) = s.registry().getProductOrigin(tokenId);
+        return manufacturer == recall.manufacturer && keccak256(bytes(modelDetails)) == keccak256(bytes(recall.modelDetails));
+    }
+
+    // 影响该产品、仍处于 Open 且尚未完成补救的召回 (供 verifyProduct 与 Marketplace 在购买前展示)
+    function getOpenRecalls(WarrantyState storage s, uint256 tokenId) public view returns (uint256[] memory openIds) {
+        (address manufacturer, string memory modelDetails) = s.registry().getProductOrigin(tokenId);
+        uint256[] storage modelIds = s.modelRecallIds[manufacturer][keccak256(bytes(modelDetails))];
+        uint256[] storage tokenIds = s.tokenRecallIds[tokenId];
+
+        uint256[] memory candidates = new uint256[](modelIds.length + tokenIds.length);
+        uint256 count = 0;
+        for (uint256 i = 0; i < modelIds.length + tokenIds.length; i++) {
+            uint256 recallId = i < modelIds.length ? modelIds[i] : tokenIds[i - modelIds.length];
+            if (s.recalls[recallId].status == RecallStatus.Open &&
+                s.recallServices[recallId][tokenId].status != RecallServiceStatus.Resolved) {
+                candidates[count++] = recallId;
+            }
+        }
+
+        openIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            openIds[i] = candidates[i];
+        }
+    }
+
+    function _openRecall(WarrantyState storage s, string memory modelDetails, string memory description, string memory remedyURI)
+        private returns (uint256 recallId)
+    {
+        recallId = s.nextRecallId++;
+        s.recalls[recallId] = Recall({
+            recallId: recallId,
+            manufacturer: msg.sender,
+            modelDetails: modelDetails,
+            description: description,
+            remedyURI: remedyURI,
+            openedAt: block.timestamp,
+            closedAt: 0,
+            status: RecallStatus.Open
+        });
+        emit RecallOpened(recallId, msg.sender, modelDetails, description, remedyURI);
+    }
+}
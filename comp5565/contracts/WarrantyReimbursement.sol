@@ -0,0 +1,114 @@
+// File: WarrantyReimbursement.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./WarrantyStorage.sol";
+
+// 维修报销 (Reimbursement Pool)：由 WarrantyManager 以 delegatecall 调用，ETH 由 WarrantyManager 持有和转出
+library WarrantyReimbursement {
+    using WarrantyStorage for WarrantyState;
+
+    // 与 WarrantyManager 中的声明一致，事件由 WarrantyManager 的地址发出
+    event ReserveDeposited(address indexed manufacturer, uint256 amount, uint256 newReserve);
+    event ReserveWithdrawn(address indexed manufacturer, uint256 amount, uint256 newReserve);
+    event ModelReimbursementSet(address indexed manufacturer, string modelDetails, uint256 amount);
+    event LowReserveThresholdSet(address indexed manufacturer, uint256 threshold);
+    event ServiceReimbursed(uint256 indexed claimId, address indexed serviceCenter, address indexed manufacturer, uint256 amount);
+    event ReimbursementDeferred(uint256 indexed claimId, address indexed serviceCenter, address indexed manufacturer, uint256 amount);
+    event LowReserve(address indexed manufacturer, uint256 reserve, uint256 threshold);
+    event ReimbursementWithdrawn(address indexed serviceCenter, uint256 amount);
+
+    // amount 为 WarrantyManager.depositReserve 收到的 msg.value (库函数不能是 payable)
+    function depositReserve(WarrantyState storage s, uint256 amount) public {
+        require(amount > 0, "WM: Nothing to deposit.");
+        s.warrantyReserves[msg.sender] += amount;
+        emit ReserveDeposited(msg.sender, amount, s.warrantyReserves[msg.sender]);
+    }
+
+    // 制造商取回未使用的准备金 (已记入服务中心余额的报销不受影响)；只能取回超出未付报销合计的部分
+    function withdrawReserve(WarrantyState storage s, uint256 amount) public {
+        require(amount > 0 && amount <= s.warrantyReserves[msg.sender], "WM: Insufficient reserve.");
+        require(amount <= availableReserve(s, msg.sender), "WM: Reserve owed to service centers.");
+        s.warrantyReserves[msg.sender] -= amount;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "WM: Withdrawal failed.");
+        emit ReserveWithdrawn(msg.sender, amount, s.warrantyReserves[msg.sender]);
+    }
+
+    // 可取回的准备金：准备金减去尚未支付给服务中心的报销
+    function availableReserve(WarrantyState storage s, address manufacturer) internal view returns (uint256) {
+        uint256 reserve = s.warrantyReserves[manufacturer];
+        uint256 owed = s.totalOutstandingReimbursements[manufacturer];
+        return reserve > owed ? reserve - owed : 0;
+    }
+
+    // 设置调用者某型号每次批准索赔的报销金额，0 表示不报销
+    function setModelReimbursement(WarrantyState storage s, string memory modelDetails, uint256 amount) public {
+        require(bytes(modelDetails).length > 0, "WM: Model required.");
+        s.modelReimbursement[msg.sender][keccak256(bytes(modelDetails))] = amount;
+        emit ModelReimbursementSet(msg.sender, modelDetails, amount);
+    }
+
+    function setLowReserveThreshold(WarrantyState storage s, uint256 threshold) public {
+        s.lowReserveThreshold[msg.sender] = threshold;
+        emit LowReserveThresholdSet(msg.sender, threshold);
+    }
+
+    // 准备金补充后，服务中心领取此前记为欠款的报销 (准备金仍不足时领取可用部分)
+    function collectOutstanding(WarrantyState storage s, address manufacturer) public {
+        uint256 owed = s.outstandingReimbursements[manufacturer][msg.sender];
+        require(owed > 0, "WM: Nothing outstanding.");
+        uint256 paid = _debitReserve(s, manufacturer, owed);
+        require(paid > 0, "WM: Reserve empty.");
+        s.outstandingReimbursements[manufacturer][msg.sender] = owed - paid;
+        s.totalOutstandingReimbursements[manufacturer] -= paid;
+        s.reimbursementBalances[msg.sender] += paid;
+        // claimId 为 0 表示领取的是欠款
+        emit ServiceReimbursed(0, msg.sender, manufacturer, paid);
+    }
+
+    function withdrawReimbursement(WarrantyState storage s) public {
+        uint256 amount = s.reimbursementBalances[msg.sender];
+        require(amount > 0, "WM: Nothing to withdraw.");
+
+        s.reimbursementBalances[msg.sender] = 0;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "WM: Withdrawal failed.");
+
+        emit ReimbursementWithdrawn(msg.sender, amount);
+    }
+
+    // 批准索赔后按产品型号的报销金额为处理的服务中心记账；准备金不足的部分记为欠款，不阻止批准。
+    // 仲裁员直接批准已升级的索赔时并未提供维修服务，不从准备金中记账
+    function reimburseServiceCenter(WarrantyState storage s, uint256 tokenId, uint256 claimId) public {
+        if (!s.isAuthorizedServiceCenter(tokenId, msg.sender)) {
+            return;
+        }
+        (address manufacturer, string memory modelDetails) = s.registry().getProductOrigin(tokenId);
+        uint256 amount = s.modelReimbursement[manufacturer][keccak256(bytes(modelDetails))];
+        if (amount == 0) {
+            return;
+        }
+
+        uint256 paid = _debitReserve(s, manufacturer, amount);
+        if (paid > 0) {
+            s.reimbursementBalances[msg.sender] += paid;
+            emit ServiceReimbursed(claimId, msg.sender, manufacturer, paid);
+        }
+        if (paid < amount) {
+            s.outstandingReimbursements[manufacturer][msg.sender] += amount - paid;
+            s.totalOutstandingReimbursements[manufacturer] += amount - paid;
+            emit ReimbursementDeferred(claimId, msg.sender, manufacturer, amount - paid);
+        }
+    }
+
+    // 从准备金中扣除至多 amount，返回实际扣除的金额
+    function _debitReserve(WarrantyState storage s, address manufacturer, uint256 amount) private returns (uint256 paid) {
+        uint256 reserve = s.warrantyReserves[manufacturer];
+        paid = amount < reserve ? amount : reserve;
+        s.warrantyReserves[manufacturer] = reserve - paid;
+        if (s.warrantyReserves[manufacturer] <= s.lowReserveThreshold[manufacturer]) {
+            emit LowReserve(manufacturer, s.warrantyReserves[manufacturer], s.lowReserveThreshold[manufacturer]);
+        }
+    }
+}
@@ -0,0 +1,73 @@
+// File: WarrantySLA.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./WarrantyStorage.sol";
+
+// 服务时限 (SLA)：超时索赔的升级、改派与查询，由 WarrantyManager 以 delegatecall 调用
+library WarrantySLA {
+    using WarrantyStorage for WarrantyState;
+
+    // 与 WarrantyManager 中的声明一致，事件由 WarrantyManager 的地址发出
+    event ClaimEscalated(uint256 indexed tokenId, uint256 indexed claimId, address indexed owner);
+    event ClaimRerouted(uint256 indexed tokenId, uint256 indexed claimId, address indexed serviceCenter, uint256 newDeadline);
+
+    // 超时后所有者可将索赔升级，仲裁员随即可以直接处理
+    function escalateClaim(WarrantyState storage s, uint256 tokenId) public {
+        ClaimRecord storage record = _overdueClaimOfOwner(s, tokenId);
+        require(!record.escalated, "WM: Already escalated.");
+        record.escalated = true;
+        emit ClaimEscalated(tokenId, record.claimId, msg.sender);
+    }
+
+    // 超时后所有者可将索赔改派给另一服务中心，并重新计算响应期限
+    function rerouteClaim(WarrantyState storage s, uint256 tokenId, address serviceCenter) public {
+        ClaimRecord storage record = _overdueClaimOfOwner(s, tokenId);
+        require(s.roles().isServiceCenter(serviceCenter), "WM: Not a service center.");
+        require(s.inServiceNetwork(tokenId, serviceCenter), "WM: Service center not authorized.");
+        require(serviceCenter != record.assignedServiceCenter, "WM: Already assigned.");
+        record.assignedServiceCenter = serviceCenter;
+        record.deadline = block.timestamp + s.serviceResponseDeadline;
+        emit ClaimRerouted(tokenId, record.claimId, serviceCenter, record.deadline);
+    }
+
+    // 分页返回已超过响应期限的 Pending 索赔 ID。
+    // serviceCenter 非 0 时只返回该服务中心可处理的索赔 (在制造商授权网络内，且未指定或指定给它)
+    function getOverdueClaimIds(WarrantyState storage s, address serviceCenter, uint256 offset, uint256 limit)
+        public view returns (uint256[] memory claimIds)
+    {
+        uint256 total = s.pendingClaimIds.length;
+        uint256[] memory matched = new uint256[](total < limit ? total : limit);
+        uint256 skipped = 0;
+        uint256 count = 0;
+        for (uint256 i = 0; i < total && count < matched.length; i++) {
+            ClaimRecord storage record = s.claims[s.pendingClaimIds[i]];
+            if (block.timestamp <= record.deadline) {
+                continue;
+            }
+            if (serviceCenter != address(0) &&
+                ((record.assignedServiceCenter != address(0) && record.assignedServiceCenter != serviceCenter) ||
+                 !s.isAuthorizedServiceCenter(record.tokenId, serviceCenter))) {
+                continue;
+            }
+            if (skipped < offset) {
+                skipped++;
+                continue;
+            }
+            matched[count++] = record.claimId;
+        }
+
+        claimIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            claimIds[i] = matched[i];
+        }
+    }
+
+    function _overdueClaimOfOwner(WarrantyState storage s, uint256 tokenId) private view returns (ClaimRecord storage record) {
+        uint256 claimId = s.pendingClaimId[tokenId];
+        require(claimId != 0, "WM: No pending claim.");
+        require(s.registry().ownerOf(tokenId) == msg.sender, "Caller is not the product owner.");
+        record = s.claims[claimId];
+        require(block.timestamp > record.deadline, "WM: Claim not overdue.");
+    }
+}
@@ -0,0 +1,51 @@
+// File: WarrantyServiceNetwork.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./WarrantyStorage.sol";
+
+// 授权服务网络 (Service Networks)：由 WarrantyManager 以 delegatecall 调用，msg.sender 为调用 WarrantyManager 的制造商
+library WarrantyServiceNetwork {
+    using WarrantyStorage for WarrantyState;
+
+    // 与 WarrantyManager 中的声明一致，事件由 WarrantyManager 的地址发出
+    event ServiceCenterAuthorized(address indexed manufacturer, address indexed serviceCenter);
+    event ServiceCenterRevoked(address indexed manufacturer, address indexed serviceCenter);
+    event ServiceNetworkEnforced(address indexed manufacturer, bool enforced);
+
+    function authorizeServiceCenter(WarrantyState storage s, address serviceCenter) public {
+        require(s.roles().isServiceCenter(serviceCenter), "WM: Not a service center.");
+        require(!s.authorizedServiceCenters[msg.sender][serviceCenter], "WM: Already authorized.");
+
+        s.authorizedServiceCenters[msg.sender][serviceCenter] = true;
+        s.serviceNetworkIndex[msg.sender][serviceCenter] = s.serviceNetwork[msg.sender].length;
+        s.serviceNetwork[msg.sender].push(serviceCenter);
+        emit ServiceCenterAuthorized(msg.sender, serviceCenter);
+        if (!s.serviceNetworkEnforced[msg.sender]) {
+            s.serviceNetworkEnforced[msg.sender] = true;
+            emit ServiceNetworkEnforced(msg.sender, true);
+        }
+    }
+
+    // 显式启用或停用名单；停用后任何服务中心均可处理，名单保留以便重新启用
+    function setServiceNetworkEnforced(WarrantyState storage s, bool enforced) public {
+        require(s.serviceNetworkEnforced[msg.sender] != enforced, "WM: Enforcement unchanged.");
+        s.serviceNetworkEnforced[msg.sender] = enforced;
+        emit ServiceNetworkEnforced(msg.sender, enforced);
+    }
+
+    // 移除最后一个服务中心后名单仍处于启用状态，此时没有服务中心能处理，需停用名单或重新授权
+    function revokeServiceCenter(WarrantyState storage s, address serviceCenter) public {
+        require(s.authorizedServiceCenters[msg.sender][serviceCenter], "WM: Not authorized.");
+
+        address[] storage network = s.serviceNetwork[msg.sender];
+        uint256 index = s.serviceNetworkIndex[msg.sender][serviceCenter];
+        address last = network[network.length - 1];
+        network[index] = last;
+        s.serviceNetworkIndex[msg.sender][last] = index;
+        network.pop();
+        delete s.serviceNetworkIndex[msg.sender][serviceCenter];
+        s.authorizedServiceCenters[msg.sender][serviceCenter] = false;
+        emit ServiceCenterRevoked(msg.sender, serviceCenter);
+    }
+}
@@ -0,0 +1,251 @@
+// File: WarrantyStorage.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./I_Interfaces.sol";
+
+// WarrantyManager 的数据类型与全部状态。申诉、服务时限、维修报销、授权服务网络、保障条款与召回
+// 拆分为外部库 (Warranty*.sol)，以 delegatecall 读写同一份 WarrantyState，使 WarrantyManager 不超过 EIP-170 的合约大小上限
+
+// Void：产品已回收 (NFT 已销毁)，保修作废；只由查询动态返回，不写入存储
+enum ClaimStatus { None, Active, Pending, Expired, Fulfilled, Void }
+
+struct Warranty {
+    uint256 startDate;
+    uint256 durationDays;
+    uint8 maxClaims;
+    uint8 claimedCount;
+    ClaimStatus status;
+    string serviceLog;       // 最近一次处理日志，完整记录见索赔账本
+}
+
+// 单次索赔的处理结果
+enum ClaimDecision { Pending, Approved, Rejected }
+
+// 链上索赔账本中的一条记录 (每次 requestService 生成一条，不会被覆盖)
+struct ClaimRecord {
+    uint256 claimId;
+    uint256 tokenId;
+    address owner;
+    string reason;
+    string category;         // 索赔类别，未定义保障条款的产品为空
+    address serviceCenter;
+    ClaimDecision decision;
+    string resolutionNote;   // 批准时为维修日志，拒绝时为拒绝原因
+    uint256 requestedAt;
+    uint256 resolvedAt;
+    uint256 deadline;              // 服务中心的响应期限 (申请或改派时设定)
+    address assignedServiceCenter; // 改派后的指定服务中心，0 表示任意服务中心均可处理
+    bool escalated;                // 超时后由所有者升级，仲裁员也可处理
+}
+
+// 被拒绝的索赔可在申诉期内由当前所有者申诉，仲裁员或该产品的制造商复核
+enum AppealStatus { None, Open, Upheld, Overturned }
+
+struct Appeal {
+    AppealStatus status;
+    address appellant;
+    string statement;
+    address reviewer;
+    string ruling;
+    uint256 filedAt;
+    uint256 decidedAt;
+}
+
+// 制造商按型号或单个产品定义索赔类别；已定义条款的产品申请保修时必须指定类别。
+// 每个类别可单独限制索赔次数与保障期限，且仍受保修整体的 maxClaims 与期限约束。
+struct CoverageTerm {
+    string category;         // 如 "HARDWARE"、"BATTERY"、"ACCIDENTAL_DAMAGE"
+    bool covered;            // false 表示该类别明确不在保障范围内
+    uint8 maxClaims;         // 该类别的索赔次数上限，0 表示只受整体上限约束
+    uint256 durationDays;    // 自保修开始起的保障天数，0 表示与整体保修期限相同
+}
+
+// 制造商发布延保计划，产品所有者通过 Marketplace 购买；延保叠加在原保修上，随 NFT 一起转让
+struct ExtensionPlan {
+    uint256 planId;
+    address manufacturer;
+    uint256 extraDays;
+    uint8 extraClaims;
+    uint256 price;           // ETH
+    bool active;
+}
+
+struct ExtensionRecord {
+    uint256 planId;
+    address purchaser;
+    uint256 extraDays;
+    uint8 extraClaims;
+    uint256 price;
+    uint256 purchasedAt;
+}
+
+// 召回与保修索赔相互独立：处理召回不消耗 claimedCount，也不改变保修状态
+enum RecallStatus { None, Open, Closed }
+enum RecallServiceStatus { None, Registered, Resolved }
+
+struct Recall {
+    uint256 recallId;
+    address manufacturer;
+    string modelDetails;     // 按型号召回时为型号，按产品列表召回时为空
+    string description;
+    string remedyURI;
+    uint256 openedAt;
+    uint256 closedAt;
+    RecallStatus status;
+}
+
+// 单个产品在某次召回中的服务记录
+struct RecallService {
+    RecallServiceStatus status;
+    address owner;
+    address serviceCenter;
+    string serviceLog;
+    uint256 registeredAt;
+    uint256 resolvedAt;
+}
+
+struct WarrantyState {
+    address productRegistryAddress;
+    address rolesContractAddress;
+    address marketplaceContract;
+
+    mapping(uint256 => Warranty) warranties;
+
+    // 索赔 ID 从 1 开始，0 表示“无待处理索赔”
+    uint256 nextClaimId;
+    mapping(uint256 => ClaimRecord) claims;
+    mapping(uint256 => uint256[]) tokenClaimIds;
+    // 每个产品当前处于 Pending 的索赔 ID
+    mapping(uint256 => uint256) pendingClaimId;
+
+    // --- 服务时限 (SLA) ---
+    // 服务中心须在期限内处理索赔，超时后所有者可升级或改派；Pending 期间保修时钟暂停
+    uint256 serviceResponseDeadline;
+    // 历次索赔累计的 Pending 时长，顺延保修到期时间
+    mapping(uint256 => uint256) pausedSeconds;
+    // 所有 Pending 索赔 ID (用于超时查询，删除时交换到末尾再弹出)
+    uint256[] pendingClaimIds;
+    mapping(uint256 => uint256) pendingClaimIndex;
+
+    // --- 申诉 (Appeals) ---
+    uint256 appealWindow;
+    // 索赔 ID => 申诉 (每个索赔最多申诉一次)
+    mapping(uint256 => Appeal) appeals;
+
+    // --- 授权服务网络 (Service Networks) ---
+    // 制造商维护自己的授权服务中心名单；启用名单后只有名单中的服务中心能处理该制造商产品的索赔与召回，
+    // 未启用时任何服务中心均可处理。首次授权即启用，移出全部服务中心不会自动停用
+    mapping(address => address[]) serviceNetwork;
+    mapping(address => mapping(address => uint256)) serviceNetworkIndex;
+    mapping(address => mapping(address => bool)) authorizedServiceCenters;
+    mapping(address => bool) serviceNetworkEnforced;
+
+    // --- 维修报销 (Reimbursement Pool) ---
+    // 制造商预存保修准备金，并按型号设定每次索赔的报销金额；服务中心批准索赔后从该制造商的准备金中记账，
+    // 之后自行提现。准备金不足时先支付余额，差额记为欠款，制造商补充准备金后服务中心可调用 collectOutstanding 领取
+    mapping(address => uint256) warrantyReserves;
+    // 制造商 => 型号哈希 => 每次索赔的报销金额 (wei)
+    mapping(address => mapping(bytes32 => uint256)) modelReimbursement;
+    // 准备金低于等于该值时发出 LowReserve
+    mapping(address => uint256) lowReserveThreshold;
+    // 服务中心可提现余额
+    mapping(address => uint256) reimbursementBalances;
+    // 制造商 => 服务中心 => 未付报销
+    mapping(address => mapping(address => uint256)) outstandingReimbursements;
+    // 制造商 => 所有服务中心的未付报销合计；准备金中这部分不能取回
+    mapping(address => uint256) totalOutstandingReimbursements;
+
+    // --- 保障条款 (Coverage Terms) ---
+    // 按型号定义：制造商 => 型号哈希 => 条款；按产品定义的条款优先于型号条款
+    mapping(address => mapping(bytes32 => CoverageTerm[])) modelCoverage;
+    mapping(uint256 => CoverageTerm[]) productCoverage;
+    // tokenId => 类别哈希 => 已批准的索赔次数
+    mapping(uint256 => mapping(bytes32 => uint8)) categoryClaimCount;
+
+    // --- 付费延保 (Extension Plans) ---
+    // 延保计划 ID 从 1 开始
+    uint256 nextPlanId;
+    mapping(uint256 => ExtensionPlan) extensionPlans;
+    mapping(uint256 => ExtensionRecord[]) extensionHistory;
+
+    // --- 召回 (Recall) ---
+    // 召回 ID 从 1 开始
+    uint256 nextRecallId;
+    mapping(uint256 => Recall) recalls;
+    // 按型号召回：制造商 => 型号哈希 => 召回 ID 列表
+    mapping(address => mapping(bytes32 => uint256[])) modelRecallIds;
+    // 按产品列表召回：tokenId => 召回 ID 列表，以及召回 ID => tokenId => 是否受影响
+    mapping(uint256 => uint256[]) tokenRecallIds;
+    mapping(uint256 => mapping(uint256 => bool)) recallTokens;
+    mapping(uint256 => mapping(uint256 => RecallService)) recallServices;
+}
+
+// WarrantyManager 与各外部库共用的内部规则 (编译时内联到调用方)
+library WarrantyStorage {
+    function registry(WarrantyState storage s) internal view returns (IProductRegistry) {
+        return IProductRegistry(s.productRegistryAddress);
+    }
+
+    function roles(WarrantyState storage s) internal view returns (IRolesContract) {
+        return IRolesContract(s.rolesContractAddress);
+    }
+
+    // 保修到期时间：开始时间 + 期限 + 累计 Pending 时长；当前 Pending 期间同样顺延
+    function warrantyExpiry(WarrantyState storage s, uint256 tokenId) internal view returns (uint256) {
+        Warranty storage w = s.warranties[tokenId];
+        uint256 expiry = w.startDate + (w.durationDays * 1 days) + s.pausedSeconds[tokenId];
+        uint256 claimId = s.pendingClaimId[tokenId];
+        if (claimId != 0) {
+            expiry += block.timestamp - s.claims[claimId].requestedAt;
+        }
+        return expiry;
+    }
+
+    // 制造商未启用名单，或服务中心在名单中
+    function inServiceNetwork(WarrantyState storage s, uint256 tokenId, address serviceCenter) internal view returns (bool) {
+        (address manufacturer, ) = registry(s).getProductOrigin(tokenId);
+        return !s.serviceNetworkEnforced[manufacturer] || s.authorizedServiceCenters[manufacturer][serviceCenter];
+    }
+
+    // 某服务中心能否处理该产品：须持有服务中心角色，且制造商未启用名单或在名单中
+    function isAuthorizedServiceCenter(WarrantyState storage s, uint256 tokenId, address serviceCenter) internal view returns (bool) {
+        return roles(s).isServiceCenter(serviceCenter) && inServiceNetwork(s, tokenId, serviceCenter);
+    }
+
+    // 产品当前生效的条款：产品条款优先，其次为型号条款
+    function effectiveCoverage(WarrantyState storage s, uint256 tokenId) internal view returns (CoverageTerm[] storage) {
+        if (s.productCoverage[tokenId].length > 0) {
+            return s.productCoverage[tokenId];
+        }
+        (address manufacturer, string memory modelDetails) = registry(s).getProductOrigin(tokenId);
+        return s.modelCoverage[manufacturer][keccak256(bytes(modelDetails))];
+    }
+
+    // 校验某类别的索赔是否在条款范围内；requestedAt 用于判断该类别的保障期限
+    function checkCoverage(WarrantyState storage s, uint256 tokenId, string memory category, uint256 requestedAt) internal view {
+        CoverageTerm[] storage terms = effectiveCoverage(s, tokenId);
+        if (terms.length == 0) {
+            // 未定义条款的产品沿用原有规则，不接受类别
+            require(bytes(category).length == 0, "WM: No coverage terms defined.");
+            return;
+        }
+        require(bytes(category).length > 0, "WM: Claim category required.");
+
+        bytes32 categoryHash = keccak256(bytes(category));
+        for (uint256 i = 0; i < terms.length; i++) {
+            if (keccak256(bytes(terms[i].category)) != categoryHash) {
+                continue;
+            }
+            require(terms[i].covered, "WM: Category not covered.");
+            if (terms[i].durationDays > 0) {
+                require(requestedAt < s.warranties[tokenId].startDate + (terms[i].durationDays * 1 days) + s.pausedSeconds[tokenId], "WM: Category coverage expired.");
+            }
+            if (terms[i].maxClaims > 0) {
+                require(s.categoryClaimCount[tokenId][categoryHash] < terms[i].maxClaims, "WM: Category claim limit reached.");
+            }
+            return;
+        }
+        revert("WM: Unknown claim category.");
+    }
+}
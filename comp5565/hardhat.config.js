@@ -1,22 +1,24 @@
 // hardhat.config.js
 
 require("@nomicfoundation/hardhat-chai-matchers");
+require("@nomicfoundation/hardhat-ignition-ethers");
+require("./tasks/ops");
+require("./tasks/simulate");
 
 module.exports = {
   // 设置 Solidity 编译版本
-  solidity: "0.8.20",
+  // 开启优化器并按最小部署体积优化 (runs = 1)，使合约运行时字节码不超过 EIP-170 的 24,576 字节上限
+  solidity: {
+    version: "0.8.20",
+    settings: {
+      optimizer: { enabled: true, runs: 1 }
+    }
+  },
   // 确保 Hardhat 能够找到您的合约文件
   paths: {
     sources: "./contracts",
     tests: "./test",
     cache: "./cache",
     artifacts: "./artifacts"
-  },
-  // 配置网络 (这里是默认的本地开发网络)
-  networks: {
-    hardhat: {
-      // 用于测试时快速跳过时间的配置
-      allowUnlimitedContractSize: true
-    }
   }
 };
\ No newline at end of file
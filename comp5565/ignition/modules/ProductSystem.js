@@ -0,0 +1,49 @@
+// File: ignition/modules/ProductSystem.js
+// 部署并链接整套系统：RolesContract -> WarrantyManager (及其外部库) -> ProductRegistry (及 ProductMetadata) / Marketplace，
+// 然后按依赖顺序调用四个只能设置一次的 set*Address，最后按参数分配初始角色。
+// Ignition 会记录每一步的执行结果 (本地节点保存在 ignition/deployments/chain-<id>)，重复运行不会重复部署或重复调用。
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { id } = require("ethers");
+
+// 参数名 => 角色哈希；每个参数都是地址数组，默认为空
+const ROLE_PARAMETERS = {
+    manufacturers: id("MANUFACTURER_ROLE"),
+    retailers: id("RETAILER_ROLE"),
+    serviceCenters: id("SERVICECENTER_ROLE"),
+    arbiters: id("ARBITER_ROLE"),
+    recyclers: id("RECYCLER_ROLE"),
+};
+
+// WarrantyManager 的功能拆分在这些外部库中 (见 contracts/Warranty*.sol)，部署时链接
+const WARRANTY_LIBRARIES = [
+    "WarrantyClaims",
+    "WarrantyServiceNetwork",
+    "WarrantySLA",
+    "WarrantyReimbursement",
+    "WarrantyAppeals",
+    "WarrantyCoverage",
+    "WarrantyExtensions",
+    "WarrantyRecalls",
+];
+
+module.exports = buildModule("ProductSystemModule", (m) => {
+    const roles = m.contract("RolesContract");
+    const libraries = Object.fromEntries(WARRANTY_LIBRARIES.map((name) => [name, m.library(name)]));
+    const warrantyManager = m.contract("WarrantyManager", [roles], { libraries });
+    const productMetadata = m.library("ProductMetadata");
+    const productRegistry = m.contract("ProductRegistry", [roles, warrantyManager], { libraries: { ProductMetadata: productMetadata } });
+    const marketplace = m.contract("Marketplace", [roles, warrantyManager]);
+
+    // 按依赖顺序链接：WarrantyManager 先认识 ProductRegistry，最后才设置 Marketplace
+    const linkRegistry = m.call(warrantyManager, "setProductRegistryAddress", [productRegistry]);
+    const linkMarketplace = m.call(productRegistry, "setMarketplaceAddress", [marketplace], { after: [linkRegistry] });
+    const linkMarketRegistry = m.call(marketplace, "setProductRegistryAddress", [productRegistry], { after: [linkMarketplace] });
+    m.call(warrantyManager, "setMarketplaceAddress", [marketplace], { after: [linkMarketRegistry] });
+
+    for (const [parameter, role] of Object.entries(ROLE_PARAMETERS)) {
+        m.call(roles, "grantRoleBatch", [role, m.getParameter(parameter, [])], { id: `grant_${parameter}` });
+    }
+
+    return { roles, warrantyManager, productRegistry, marketplace };
+});
@@ -0,0 +1,50 @@
+// File: scripts/apiServer.js
+// 启动只读 REST/JSON 接口 (路由见 scripts/lib/apiServer.js)，按部署清单连接指定的 RPC 节点。
+//
+//   npx hardhat node
+//   npx hardhat run scripts/deploy.js --network localhost
+//   node scripts/apiServer.js
+//
+// 环境变量：API_RPC_URL (默认 http://127.0.0.1:8545)、API_NETWORK (部署清单名或清单文件路径，默认 localhost)、
+// API_PORT (默认 3000)、API_HOST (默认 127.0.0.1)。
+
+const { JsonRpcProvider } = require("ethers");
+const { loadManifest, attachContracts } = require("./lib/manifest");
+const { createApiServer } = require("./lib/apiServer");
+
+// 按清单连接 RPC 并开始监听；chainId 与清单不一致时拒绝启动。返回 { server, provider, manifest }
+async function startApiServer({ rpcUrl, network, port, host, logger = console }) {
+    const manifest = loadManifest(network);
+    const provider = new JsonRpcProvider(rpcUrl);
+
+    const chainId = Number((await provider.getNetwork()).chainId);
+    if (chainId !== manifest.chainId) {
+        provider.destroy();
+        throw new Error(`RPC ${rpcUrl} is chain ${chainId}, but the manifest was written for chain ${manifest.chainId}.`);
+    }
+
+    const server = createApiServer(attachContracts(manifest, provider), { logger });
+    await new Promise((resolve) => server.listen(port, host, resolve));
+    return { server, provider, manifest };
+}
+
+async function main() {
+    const rpcUrl = process.env.API_RPC_URL || "http://127.0.0.1:8545";
+    const host = process.env.API_HOST || "127.0.0.1";
+    const { server, manifest } = await startApiServer({
+        rpcUrl,
+        network: process.env.API_NETWORK || "localhost",
+        port: Number(process.env.API_PORT || 3000),
+        host,
+    });
+    console.log(`✅ API 已启动: http://${host}:${server.address().port} (网络: ${manifest.network}，RPC: ${rpcUrl})`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { startApiServer };
@@ -0,0 +1,109 @@
+// File: scripts/deploy.js
+// 使用 Ignition 模块部署整套系统并写出部署清单 deployments/<network>.json。
+//
+//   npx hardhat run scripts/deploy.js                     # 进程内 Hardhat 网络
+//   npx hardhat node                                      # 另开终端启动本地节点
+//   npx hardhat run scripts/deploy.js --network localhost # 部署到本地节点，重复运行不会重复部署
+//
+// 初始角色从 DEPLOY_PARAMETERS 指定的文件读取，未指定时使用 ignition/parameters/<network>.json (若存在)。
+
+const fs = require("fs");
+const path = require("path");
+const { deploy, DeploymentResultType } = require("@nomicfoundation/ignition-core");
+const {
+    HardhatArtifactResolver,
+    errorDeploymentResultToExceptionMessage,
+    readDeploymentParameters,
+} = require("@nomicfoundation/hardhat-ignition/helpers");
+const ProductSystemModule = require("../ignition/modules/ProductSystem");
+const { SYSTEM_CONTRACTS, writeManifest } = require("./lib/manifest");
+
+// 部署 (或续接已有部署) 并写出清单。
+// deploymentDir 为 Ignition 的执行日志目录：进程内 Hardhat 网络默认不保存 (每次都是新链)，
+// 其他网络默认与 `npx hardhat ignition deploy` 相同 (ignition/deployments/chain-<chainId>)，因此两者可以互相续接；
+// 显式传入的目录 (如测试中的临时目录) 按原样使用。
+async function deploySystem(hre, { parameters = {}, deploymentDir, manifestDir } = {}) {
+    const chainId = Number(await hre.network.provider.request({ method: "eth_chainId" }));
+    const accounts = await hre.network.provider.request({ method: "eth_accounts" });
+    const deploymentId = `chain-${chainId}`;
+    if (deploymentDir === undefined && hre.network.name !== "hardhat") {
+        deploymentDir = path.join(hre.config.paths.ignition, "deployments", deploymentId);
+        if (chainId === 31337) {
+            await discardStaleJournal(hre, deploymentDir, deploymentId);
+        }
+    }
+
+    const result = await deploy({
+        config: hre.config.ignition,
+        provider: hre.network.provider,
+        artifactResolver: new HardhatArtifactResolver(hre),
+        deploymentDir,
+        ignitionModule: ProductSystemModule,
+        deploymentParameters: parameters,
+        accounts,
+    });
+    if (result.type !== DeploymentResultType.SUCCESSFUL_DEPLOYMENT) {
+        throw new Error(errorDeploymentResultToExceptionMessage(result));
+    }
+
+    const contracts = {};
+    for (const name of Object.keys(SYSTEM_CONTRACTS)) {
+        const { abi } = await hre.artifacts.readArtifact(name);
+        contracts[name] = { address: result.contracts[`${ProductSystemModule.id}#${name}`].address, abi };
+    }
+
+    const manifestFile = writeManifest({
+        network: hre.network.name,
+        chainId,
+        deploymentId: deploymentDir ? deploymentId : null,
+        contracts,
+    }, manifestDir);
+    return { contracts, manifestFile };
+}
+
+// 本地节点重启后旧的执行日志已失效：与 Ignition CLI 相同，按节点实例 ID 判断并清除，
+// 两者共用 cache/.hardhat-network-instances.json，因此可以交替使用
+async function discardStaleJournal(hre, deploymentDir, deploymentId) {
+    const instanceFile = path.join(hre.config.paths.cache, ".hardhat-network-instances.json");
+    const instances = fs.existsSync(instanceFile) ? JSON.parse(fs.readFileSync(instanceFile, "utf8")) : {};
+    const { instanceId } = await hre.network.provider.request({ method: "hardhat_metadata" });
+    if (instances[deploymentId] !== instanceId) {
+        fs.rmSync(deploymentDir, { recursive: true, force: true });
+    }
+    instances[deploymentId] = instanceId;
+    fs.mkdirSync(path.dirname(instanceFile), { recursive: true });
+    fs.writeFileSync(instanceFile, JSON.stringify(instances, null, 2));
+}
+
+async function resolveParameters(hre) {
+    const file = process.env.DEPLOY_PARAMETERS ||
+        path.join(hre.config.paths.ignition, "parameters", `${hre.network.name}.json`);
+    if (!fs.existsSync(file)) {
+        if (process.env.DEPLOY_PARAMETERS) {
+            throw new Error(`Parameters file not found: ${file}`);
+        }
+        return {};
+    }
+    return readDeploymentParameters(file);
+}
+
+async function main() {
+    const hre = require("hardhat");
+    const parameters = await resolveParameters(hre);
+    const { contracts, manifestFile } = await deploySystem(hre, { parameters });
+
+    console.log(`网络: ${hre.network.name}`);
+    for (const [name, { address }] of Object.entries(contracts)) {
+        console.log(`   - ${name}: ${address}`);
+    }
+    console.log(`✅ 部署清单已写入 ${path.relative(process.cwd(), manifestFile)}`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { deploySystem };
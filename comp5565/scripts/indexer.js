@@ -0,0 +1,38 @@
+// File: scripts/indexer.js
+// 按部署清单索引链上事件，结果保存到 indexer-data/<network>.json，重复运行时从上次的区块继续。
+//
+//   npx hardhat run scripts/deploy.js --network localhost
+//   npx hardhat run scripts/indexer.js --network localhost
+//
+// 环境变量：INDEXER_START_BLOCK (首次索引的起始区块，默认 0)、INDEXER_STORE (存储文件路径)、
+// INDEXER_BATCH_SIZE (每批查询的区块数，默认 2000)。
+
+const path = require("path");
+const { loadManifest, attachContracts } = require("./lib/manifest");
+const { syncIndexer, getListedProducts, getPendingClaims } = require("./lib/indexer");
+
+async function main() {
+    const hre = require("hardhat");
+    const network = hre.network.name;
+    const storeFile = process.env.INDEXER_STORE || path.join(__dirname, "..", "indexer-data", `${network}.json`);
+
+    const contracts = attachContracts(loadManifest(network), hre.ethers.provider);
+    const { store, processed } = await syncIndexer({
+        contracts,
+        storeFile,
+        startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+        batchSize: process.env.INDEXER_BATCH_SIZE ? Number(process.env.INDEXER_BATCH_SIZE) : undefined,
+    });
+
+    console.log(`网络: ${network}，已索引至区块 ${store.lastBlock}，本次处理 ${processed} 条事件`);
+    console.log(`   - 产品: ${Object.keys(store.products).length}`);
+    console.log(`   - 在售: ${getListedProducts(store).length}`);
+    console.log(`   - 待处理索赔: ${getPendingClaims(store).length}`);
+    console.log(`   - 销售记录: ${store.sales.length}`);
+    console.log(`✅ 索引已保存到 ${path.relative(process.cwd(), storeFile)}`);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,225 @@
+// File: scripts/lib/apiServer.js
+// 只读 REST/JSON 接口：供售后客服、零售 POS 等外部系统查询产品溯源与保修，不需要编写 ethers 代码。
+// 所有数据都实时读取合约 (verifyProduct、getWarrantyStatus、getPlayerInventory、getProductMarketInfo 等)，不发送交易。
+//
+//   GET /products/:tokenId            产品信息与所有权历史
+//   GET /products/by-serial/:sn       按序列号查询 (重复序列号需附带 ?manufacturer=<地址>)
+//   GET /products/:tokenId/history    所有权历史与索赔记录
+//   GET /products/:tokenId/warranty   保修状态
+//   GET /owners/:addr/inventory       某地址持有的产品
+//   GET /listings?offset=&limit=      当前在售产品 (分页)
+
+const http = require("http");
+const { AbiCoder, isAddress, getAddress, ZeroAddress } = require("ethers");
+const { formatProduct, formatWarranty, formatClaim, formatMarketInfo } = require("./format");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_UINT256 = 2n ** 256n - 1n;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// 合约 revert 原因 => HTTP 状态码
+const REVERT_STATUS = [
+    [/Unknown serial number|Does not exist/, 404],
+    [/Ambiguous serial number/, 409],
+];
+
+// token id 为 uint256：超出范围的值无法编码为调用参数，按非法参数处理
+function _parseTokenId(value) {
+    if (!/^\d+$/.test(value) || BigInt(value) > MAX_UINT256) {
+        throw new HttpError(400, `Invalid token id: ${value}`);
+    }
+    return BigInt(value);
+}
+
+function _parseAddress(value) {
+    if (!isAddress(value)) {
+        throw new HttpError(400, `Invalid address: ${value}`);
+    }
+    return getAddress(value);
+}
+
+function _decodeSegment(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw new HttpError(400, `Malformed path segment: ${value}`);
+    }
+}
+
+function _parseInteger(value, name, fallback) {
+    if (value === null) {
+        return fallback;
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new HttpError(400, `Invalid ${name}: ${value}`);
+    }
+    return Number(value);
+}
+
+// Error(string) 的选择器
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+
+// 取出 revert 原因：JSON-RPC 节点返回 ethers 的 CALL_EXCEPTION，进程内 Hardhat 网络只附带原始 revert 数据
+function _revertReason(error) {
+    if (error.code === "CALL_EXCEPTION" && error.reason) {
+        return error.reason;
+    }
+    if (typeof error.data === "string" && error.data.startsWith(ERROR_STRING_SELECTOR)) {
+        return AbiCoder.defaultAbiCoder().decode(["string"], "0x" + error.data.slice(10))[0];
+    }
+    return null;
+}
+
+// 将合约 revert 转换为 HTTP 错误，其他错误 (如 RPC 不可用) 原样抛出
+function _fromContractError(error) {
+    const reason = _revertReason(error);
+    if (reason) {
+        const match = REVERT_STATUS.find(([pattern]) => pattern.test(reason));
+        return new HttpError(match ? match[1] : 400, reason);
+    }
+    return error;
+}
+
+function createApiHandlers({ roles, warrantyManager, productRegistry }) {
+    async function requireProduct(tokenId) {
+        if (await productRegistry.manufacturerOf(tokenId) === ZeroAddress) {
+            throw new HttpError(404, "PR: Does not exist.");
+        }
+    }
+
+    // 列表项：市场信息 + 序列号与型号
+    async function summarize(tokenId) {
+        const [marketInfo, staticData] = await Promise.all([
+            productRegistry.getProductMarketInfo(tokenId),
+            productRegistry.staticData(tokenId),
+        ]);
+        return {
+            ...formatMarketInfo(tokenId, marketInfo),
+            serialNumber: staticData.serialNumber,
+            modelDetails: staticData.modelDetails,
+        };
+    }
+
+    async function product({ tokenId }) {
+        return formatProduct(await productRegistry.verifyProduct(_parseTokenId(tokenId)));
+    }
+
+    async function productBySerial({ sn }, query) {
+        const manufacturer = query.get("manufacturer");
+        const tokenId = manufacturer === null
+            ? await productRegistry["getTokenIdBySerialNumber(string)"](sn)
+            : await productRegistry["getTokenIdBySerialNumber(address,string)"](_parseAddress(manufacturer), sn);
+        return formatProduct(await productRegistry.verifyProduct(tokenId));
+    }
+
+    async function history({ tokenId }) {
+        const id = _parseTokenId(tokenId);
+        const data = await productRegistry.verifyProduct(id);
+        const claimCount = await warrantyManager.getClaimCount(id);
+        const claims = await warrantyManager.getClaimHistory(id, 0, claimCount);
+        return {
+            tokenId: id.toString(),
+            ownershipHistory: formatProduct(data).ownershipHistory,
+            claims: claims.map(formatClaim),
+        };
+    }
+
+    async function warranty({ tokenId }) {
+        const id = _parseTokenId(tokenId);
+        await requireProduct(id);
+        const [status, expiresAt] = await Promise.all([
+            warrantyManager.getWarrantyStatus(id),
+            warrantyManager.getWarrantyExpiry(id),
+        ]);
+        return formatWarranty(id, status, expiresAt);
+    }
+
+    async function inventory({ addr }) {
+        const owner = _parseAddress(addr);
+        const tokenIds = await productRegistry.getPlayerInventory(owner);
+        const [isManufacturer, isRetailer] = await Promise.all([roles.isManufacturer(owner), roles.isRetailer(owner)]);
+        return {
+            owner,
+            role: isManufacturer ? "manufacturer" : isRetailer ? "retailer" : "customer",
+            products: await Promise.all(tokenIds.map(summarize)),
+        };
+    }
+
+    async function listings(params, query) {
+        const offset = _parseInteger(query.get("offset"), "offset", 0);
+        const limit = Math.min(_parseInteger(query.get("limit"), "limit", DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+        const [total, tokenIds] = await Promise.all([
+            productRegistry.getListedProductCount(),
+            productRegistry.getListedProducts(offset, limit),
+        ]);
+        const items = await Promise.all(tokenIds.map(async (tokenId) => ({
+            ...await summarize(tokenId),
+            seller: await productRegistry.ownerOf(tokenId),
+        })));
+        return { total: Number(total), offset, limit, items };
+    }
+
+    // 顺序即匹配优先级：by-serial 必须排在 :tokenId 之前
+    return [
+        [/^\/products\/by-serial\/([^/]+)$/, ["sn"], productBySerial],
+        [/^\/products\/([^/]+)\/history$/, ["tokenId"], history],
+        [/^\/products\/([^/]+)\/warranty$/, ["tokenId"], warranty],
+        [/^\/products\/([^/]+)$/, ["tokenId"], product],
+        [/^\/owners\/([^/]+)\/inventory$/, ["addr"], inventory],
+        [/^\/listings$/, [], listings],
+    ];
+}
+
+function _send(res, status, body) {
+    const json = JSON.stringify(body, null, 2);
+    res.writeHead(status, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Length": Buffer.byteLength(json),
+    });
+    res.end(json);
+}
+
+// contracts 为 attachContracts 返回的合约实例 (只读，runner 为 Provider 即可)；返回未监听的 http.Server
+function createApiServer(contracts, { logger = null } = {}) {
+    const routes = createApiHandlers(contracts);
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        try {
+            if (req.method !== "GET") {
+                res.setHeader("Allow", "GET");
+                throw new HttpError(405, `Method ${req.method} not allowed`);
+            }
+            for (const [pattern, names, handler] of routes) {
+                const match = url.pathname.match(pattern);
+                if (match) {
+                    const params = {};
+                    names.forEach((name, i) => { params[name] = _decodeSegment(match[i + 1]); });
+                    try {
+                        return _send(res, 200, await handler(params, url.searchParams));
+                    } catch (error) {
+                        throw _fromContractError(error);
+                    }
+                }
+            }
+            throw new HttpError(404, `Route not found: ${url.pathname}`);
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                if (logger) {
+                    logger.error(error);
+                }
+                return _send(res, 502, { error: "Upstream RPC error" });
+            }
+            _send(res, error.status, { error: error.message });
+        }
+    });
+}
+
+module.exports = { HttpError, createApiServer };
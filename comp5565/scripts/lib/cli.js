@@ -0,0 +1,225 @@
+// File: scripts/lib/cli.js
+// 运维命令行 (tasks/ops.js) 的辅助函数：角色名解析、签名账户选择、产品 CSV 解析与可读输出。
+// 只依赖 ethers，不需要 Hardhat 运行时。
+
+const { id, ZeroHash, isAddress, getAddress, parseUnits, formatUnits } = require("ethers");
+
+// 命令行中的角色名 => 角色哈希 (admin 为 AccessControl 的 DEFAULT_ADMIN_ROLE)
+const ROLE_NAMES = {
+    admin: ZeroHash,
+    manufacturer: id("MANUFACTURER_ROLE"),
+    retailer: id("RETAILER_ROLE"),
+    serviceCenter: id("SERVICECENTER_ROLE"),
+    arbiter: id("ARBITER_ROLE"),
+    recycler: id("RECYCLER_ROLE"),
+};
+
+// 产品 CSV 的列：前七列必填，对应 Marketplace.registerProduct 的参数
+const CSV_REQUIRED_COLUMNS = ["serialNumber", "modelDetails", "manufacturerDetails", "price", "warrantyTermsURI", "durationDays", "maxClaims"];
+const CSV_OPTIONAL_COLUMNS = ["royaltyBps", "paymentToken"];
+
+// 十进制金额 (如 "2"、"1.5")，小数位数在换算时按计价币种检查
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+
+function roleHash(name) {
+    if (!Object.prototype.hasOwnProperty.call(ROLE_NAMES, name)) {
+        throw new Error(`Unknown role "${name}". Expected one of: ${Object.keys(ROLE_NAMES).join(", ")}.`);
+    }
+    return ROLE_NAMES[name];
+}
+
+// selector 为账户序号 (如 "2") 或角色名 (取第一个拥有该角色的账户)
+async function resolveSigner(signers, roles, selector) {
+    if (/^\d+$/.test(selector)) {
+        const signer = signers[Number(selector)];
+        if (!signer) {
+            throw new Error(`Signer index ${selector} out of range (${signers.length} accounts available).`);
+        }
+        return signer;
+    }
+    const role = roleHash(selector);
+    for (const signer of signers) {
+        if (await roles.hasRole(role, signer.address)) {
+            return signer;
+        }
+    }
+    throw new Error(`No available account has the ${selector} role.`);
+}
+
+// 解析 CSV 文本 (支持双引号包裹的字段与 "" 转义)；返回每行的字段数组，跳过空行
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, "");
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error("CSV: Unterminated quoted field.");
+    }
+    row.push(field);
+    rows.push(row);
+    return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+// 将产品 CSV 转换为 registerProduct 的参数，行号从表头下一行的 2 开始。
+// price 保留为十进制字符串 (如 "1.5")：计价币种的小数位数需读取链上 decimals()，由调用方用 parseAmount 换算
+function parseProductCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        throw new Error("CSV: File is empty.");
+    }
+    const columns = header.map((name) => name.trim());
+    const missing = CSV_REQUIRED_COLUMNS.filter((name) => !columns.includes(name));
+    if (missing.length > 0) {
+        throw new Error(`CSV: Missing column(s): ${missing.join(", ")}.`);
+    }
+    const unknown = columns.filter((name) => !CSV_REQUIRED_COLUMNS.includes(name) && !CSV_OPTIONAL_COLUMNS.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`CSV: Unknown column(s): ${unknown.join(", ")}.`);
+    }
+
+    const seen = new Set();
+    return rows.map((fields, index) => {
+        const line = index + 2;
+        const value = (name) => (fields[columns.indexOf(name)] || "").trim();
+        const fail = (message) => { throw new Error(`CSV line ${line}: ${message}`); };
+
+        if (fields.length !== columns.length) {
+            fail(`Expected ${columns.length} fields, found ${fields.length}.`);
+        }
+        for (const name of CSV_REQUIRED_COLUMNS) {
+            if (value(name) === "" && name !== "warrantyTermsURI") {
+                fail(`${name} is required.`);
+            }
+        }
+        const serialNumber = value("serialNumber");
+        if (seen.has(serialNumber.toUpperCase())) {
+            fail(`Duplicate serialNumber ${serialNumber}.`);
+        }
+        seen.add(serialNumber.toUpperCase());
+
+        const price = value("price");
+        if (!DECIMAL_PATTERN.test(price)) {
+            fail(`Invalid price ${price}.`);
+        }
+        for (const name of ["durationDays", "maxClaims", "royaltyBps"]) {
+            if (value(name) !== "" && !/^\d+$/.test(value(name))) {
+                fail(`${name} must be a non-negative integer.`);
+            }
+        }
+        if (Number(value("maxClaims")) > 255) {
+            fail("maxClaims must be at most 255.");
+        }
+        const paymentToken = value("paymentToken");
+        if (paymentToken !== "" && !isAddress(paymentToken)) {
+            fail(`Invalid paymentToken ${paymentToken}.`);
+        }
+
+        return {
+            line,
+            serialNumber,
+            modelDetails: value("modelDetails"),
+            manufacturerDetails: value("manufacturerDetails"),
+            price,
+            warrantyTermsURI: value("warrantyTermsURI"),
+            durationDays: BigInt(value("durationDays")),
+            maxClaims: Number(value("maxClaims")),
+            royaltyBps: value("royaltyBps") === "" ? null : BigInt(value("royaltyBps")),
+            paymentToken: paymentToken === "" ? null : getAddress(paymentToken),
+        };
+    });
+}
+
+// 按计价币种的小数位数将十进制金额 (如 "1.5") 换算为最小单位
+function parseAmount(value, decimals) {
+    if (!DECIMAL_PATTERN.test(value)) {
+        throw new Error(`Invalid amount ${value}.`);
+    }
+    try {
+        return parseUnits(value, decimals);
+    } catch (error) {
+        throw new Error(`Amount ${value} has more than ${decimals} decimal places.`);
+    }
+}
+
+// --- 可读输出 (输入为 scripts/lib/format.js 的 JSON 结构) ---
+
+function _time(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString() : "-";
+}
+
+// decimals 为计价币种的小数位数 (与 parseAmount 相同)，输出可直接作为 --price 再次输入
+function _amount(price, paymentToken, decimals) {
+    const amount = formatUnits(price, decimals);
+    return paymentToken === "ETH" ? `${amount} ETH` : `${amount} (token ${paymentToken})`;
+}
+
+// 代币计价的产品需传入该代币的 decimals，ETH 计价为 18
+function renderProduct(product, { decimals = 18 } = {}) {
+    const lines = [
+        `产品 #${product.tokenId}  ${product.serialNumber}`,
+        `   - 型号: ${product.modelDetails}`,
+        `   - 制造商: ${product.manufacturerDetails}`,
+        `   - 注册时间: ${_time(product.registrationTimestamp)}`,
+        `   - 当前所有者: ${product.isRecycled ? "已回收" : product.currentOwner}`,
+        `   - 市场: ${product.market.isListed ? `在售 ${_amount(product.market.price, product.market.paymentToken, decimals)}` : "未上架"}`,
+        `   - 未结召回: ${product.openRecallIds.length > 0 ? product.openRecallIds.join(", ") : "无"}`,
+        "   - 所有权历史:",
+    ];
+    product.ownershipHistory.forEach((log, i) => {
+        lines.push(`       ${i + 1}. ${_time(log.timestamp)}  ${log.eventType}  ${log.from} -> ${log.to}`);
+    });
+    return lines.join("\n");
+}
+
+function renderWarranty(warranty) {
+    return [
+        `保修 #${warranty.tokenId}: ${warranty.status}`,
+        `   - 起始: ${_time(warranty.startDate)}`,
+        `   - 到期: ${_time(warranty.expiresAt)} (保修期 ${warranty.durationDays} 天)`,
+        `   - 已索赔次数: ${warranty.claimedCount} / ${warranty.maxClaims}`,
+        `   - 服务日志: ${warranty.serviceLog || "-"}`,
+    ].join("\n");
+}
+
+module.exports = {
+    ROLE_NAMES,
+    CSV_REQUIRED_COLUMNS,
+    CSV_OPTIONAL_COLUMNS,
+    roleHash,
+    resolveSigner,
+    parseCsv,
+    parseProductCsv,
+    parseAmount,
+    renderProduct,
+    renderWarranty,
+};
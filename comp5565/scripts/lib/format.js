@@ -0,0 +1,109 @@
+// File: scripts/lib/format.js
+// 将合约返回值转换为可直接序列化的 JSON：枚举解码为名称，uint256 金额为十进制字符串，时间戳与计数为数字。
+// 供 API 服务与命令行工具共用，只依赖 ethers。
+
+const { ZeroAddress } = require("ethers");
+
+// --- 与合约中的枚举一一对应 (顺序不可调整) ---
+
+// ClaimStatus (WarrantyStorage.sol)
+const ClaimStatus = ["None", "Active", "Pending", "Expired", "Fulfilled", "Void"];
+// ClaimDecision (WarrantyStorage.sol)
+const ClaimDecision = ["Pending", "Approved", "Rejected"];
+// AppealStatus (WarrantyStorage.sol)
+const AppealStatus = ["None", "Open", "Upheld", "Overturned"];
+
+function decodeEnum(names, value) {
+    const index = Number(value);
+    return names[index] !== undefined ? names[index] : `Unknown(${index})`;
+}
+
+// 计价币种：address(0) 表示 ETH
+function formatPaymentToken(paymentToken) {
+    return paymentToken === ZeroAddress ? "ETH" : paymentToken;
+}
+
+function formatTransferLog(log) {
+    return {
+        from: log.from,
+        to: log.to,
+        timestamp: Number(log.timestamp),
+        eventType: log.eventType,
+    };
+}
+
+// ProductRegistry.verifyProduct 的返回值
+function formatProduct(data) {
+    return {
+        tokenId: data.tokenId.toString(),
+        serialNumber: data.serialNumber,
+        modelDetails: data.modelDetails,
+        manufacturerDetails: data.manufacturerDetails,
+        registrationTimestamp: Number(data.registrationTimestamp),
+        currentOwner: data.isRecycled ? null : data.currentOwner,
+        isRecycled: data.isRecycled,
+        market: {
+            price: data.currentPrice.toString(),
+            isListed: data.isListed,
+            paymentToken: formatPaymentToken(data.paymentToken),
+        },
+        openRecallIds: data.openRecallIds.map((id) => id.toString()),
+        ownershipHistory: data.ownershipHistory.map(formatTransferLog),
+    };
+}
+
+// WarrantyManager.getWarrantyStatus 的返回值 (已按当前时间判断过期)；expiresAt 来自 getWarrantyExpiry
+function formatWarranty(tokenId, status, expiresAt) {
+    const [startDate, durationDays, maxClaims, claimedCount, statusCode, serviceLog] = status;
+    return {
+        tokenId: tokenId.toString(),
+        status: decodeEnum(ClaimStatus, statusCode),
+        statusCode: Number(statusCode),
+        startDate: Number(startDate),
+        durationDays: Number(durationDays),
+        expiresAt: expiresAt === undefined ? null : Number(expiresAt),
+        maxClaims: Number(maxClaims),
+        claimedCount: Number(claimedCount),
+        serviceLog,
+    };
+}
+
+// ClaimRecord (WarrantyStorage.sol)
+function formatClaim(claim) {
+    return {
+        claimId: claim.claimId.toString(),
+        tokenId: claim.tokenId.toString(),
+        owner: claim.owner,
+        reason: claim.reason,
+        category: claim.category,
+        decision: decodeEnum(ClaimDecision, claim.decision),
+        serviceCenter: claim.serviceCenter === ZeroAddress ? null : claim.serviceCenter,
+        resolutionNote: claim.resolutionNote,
+        requestedAt: Number(claim.requestedAt),
+        resolvedAt: Number(claim.resolvedAt) || null,
+        deadline: Number(claim.deadline),
+        assignedServiceCenter: claim.assignedServiceCenter === ZeroAddress ? null : claim.assignedServiceCenter,
+        escalated: claim.escalated,
+    };
+}
+
+// ProductRegistry.getProductMarketInfo 的返回值
+function formatMarketInfo(tokenId, [price, isListed, paymentToken]) {
+    return {
+        tokenId: tokenId.toString(),
+        price: price.toString(),
+        isListed,
+        paymentToken: formatPaymentToken(paymentToken),
+    };
+}
+
+module.exports = {
+    ClaimStatus,
+    ClaimDecision,
+    AppealStatus,
+    decodeEnum,
+    formatProduct,
+    formatWarranty,
+    formatClaim,
+    formatMarketInfo,
+};
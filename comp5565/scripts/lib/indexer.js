@@ -0,0 +1,293 @@
+// File: scripts/lib/indexer.js
+// 链下事件索引：重放上架 / 下架 / 成交 / 退货 (ProductListed、AuctionCreated、ProductDelisted、ProductSold、PurchaseReturned)、
+// 挂失与找回、报废回收、索赔 (ServiceRequested、ClaimResolved、ClaimRejected) 与 ERC721 Transfer，
+// 构建产品、上架、索赔和销售视图 (前端页面 B/E/F 与制造商审计表使用)，保存为本地 JSON 并支持断点续传。
+
+const fs = require("fs");
+const path = require("path");
+
+// 版本 2 起索引下架与挂失事件；版本 3 起索引退货与回收事件并记录上架币种，转移不再改变上架状态。
+// 旧版本的存储需要删除后重新索引
+const STORE_VERSION = 3;
+const DEFAULT_BATCH_SIZE = 2000;
+
+// 索引的事件：合约键 (与 attachContracts 返回值一致) => 事件名
+const INDEXED_EVENTS = [
+    ["marketplace", "ProductListed"],
+    ["marketplace", "AuctionCreated"],
+    ["marketplace", "ProductDelisted"],
+    ["marketplace", "ProductSold"],
+    ["marketplace", "PurchaseReturned"],
+    ["productRegistry", "ProductReportedLostOrStolen"],
+    ["productRegistry", "ProductRecovered"],
+    ["productRegistry", "ProductHandedToRecycler"],
+    ["productRegistry", "ProductRecycled"],
+    ["warrantyManager", "ServiceRequested"],
+    ["warrantyManager", "ClaimResolved"],
+    ["warrantyManager", "ClaimRejected"],
+    ["productRegistry", "Transfer"],
+];
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+function createStore({ chainId, addresses, startBlock = 0 }) {
+    return {
+        version: STORE_VERSION,
+        chainId,
+        addresses,
+        startBlock,
+        lastBlock: startBlock - 1,
+        products: {},
+        claims: {},
+        sales: [],
+    };
+}
+
+function loadStore(file) {
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    const store = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (store.version !== STORE_VERSION) {
+        throw new Error(`Unsupported indexer store version ${store.version} in ${file}`);
+    }
+    return store;
+}
+
+// 先写临时文件再改名，避免中途退出留下损坏的存储
+function saveStore(store, file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(store, null, 2) + "\n");
+    fs.renameSync(tmp, file);
+}
+
+function _product(store, tokenId) {
+    if (!store.products[tokenId]) {
+        store.products[tokenId] = {
+            tokenId,
+            owner: null,
+            listed: false,
+            price: null,
+            paymentToken: null,
+            seller: null,
+            sellerType: null,
+            lostOrStolen: false,
+            transfers: [],
+        };
+    }
+    return store.products[tokenId];
+}
+
+// 按上架时 (该区块) 的角色判断卖家类型
+async function _sellerType(roles, seller, blockTag) {
+    if (await roles.isManufacturer(seller, { blockTag })) {
+        return "manufacturer";
+    }
+    if (await roles.isRetailer(seller, { blockTag })) {
+        return "retailer";
+    }
+    return "customer";
+}
+
+async function _applyLog(store, contracts, log, timestamp) {
+    const { eventName, args, blockNumber, transactionHash } = log;
+    const at = { blockNumber, transactionHash, timestamp };
+
+    switch (eventName) {
+        case "Transfer": {
+            // 上架状态只由上架 / 下架类事件决定：绕过 Marketplace 的转移不会改变链上的 isListed
+            const product = _product(store, args.tokenId.toString());
+            product.owner = args.to === ZERO_ADDRESS ? null : args.to;
+            product.transfers.push({ from: args.from, to: args.to, ...at });
+            break;
+        }
+        case "ProductListed":
+        case "AuctionCreated": {
+            // 拍卖中的产品同样显示为在售，价格为起拍价 (拍卖以 ETH 计价)
+            const product = _product(store, args.productId.toString());
+            product.listed = true;
+            product.price = (eventName === "AuctionCreated" ? args.startPrice : args.price).toString();
+            product.paymentToken = eventName === "AuctionCreated" ? ZERO_ADDRESS : args.paymentToken;
+            product.seller = args.seller;
+            product.sellerType = await _sellerType(contracts.roles, args.seller, blockNumber);
+            product.listedAt = at;
+            break;
+        }
+        case "ProductDelisted": {
+            const product = _product(store, args.productId.toString());
+            product.listed = false;
+            product.delistedAt = at;
+            break;
+        }
+        case "ProductReportedLostOrStolen": {
+            // 挂失时产品自动下架
+            const product = _product(store, args.tokenId.toString());
+            product.listed = false;
+            product.lostOrStolen = true;
+            product.delistedAt = at;
+            break;
+        }
+        case "ProductRecovered": {
+            _product(store, args.tokenId.toString()).lostOrStolen = false;
+            break;
+        }
+        case "ProductHandedToRecycler":
+        case "ProductRecycled": {
+            // 交给回收商与销毁时产品自动下架
+            const product = _product(store, args.tokenId.toString());
+            product.listed = false;
+            product.delistedAt = at;
+            break;
+        }
+        case "ProductSold": {
+            const tokenId = args.productId.toString();
+            const product = _product(store, tokenId);
+            product.listed = false;
+            store.sales.push({
+                tokenId,
+                buyer: args.buyer,
+                seller: args.seller,
+                price: args.price.toString(),
+                platformFee: args.platformFee.toString(),
+                royalty: args.royalty.toString(),
+                paymentToken: args.paymentToken,
+                ...at,
+            });
+            break;
+        }
+        case "PurchaseReturned": {
+            // 担保购买退货：撤销最近一次对应的成交记录，产品退回卖家且保持未上架
+            const tokenId = args.productId.toString();
+            _product(store, tokenId).listed = false;
+            const index = store.sales.findLastIndex((sale) =>
+                sale.tokenId === tokenId && sale.buyer === args.buyer && sale.seller === args.seller);
+            if (index !== -1) {
+                store.sales.splice(index, 1);
+            }
+            break;
+        }
+        case "ServiceRequested": {
+            const claimId = args.claimId.toString();
+            store.claims[claimId] = {
+                claimId,
+                tokenId: args.tokenId.toString(),
+                customer: args.customer,
+                reason: args.reason,
+                status: "Pending",
+                serviceCenter: null,
+                note: null,
+                requested: at,
+                resolved: null,
+            };
+            break;
+        }
+        case "ClaimResolved":
+        case "ClaimRejected": {
+            const claim = store.claims[args.claimId.toString()];
+            if (!claim) {
+                break; // 索赔发生在 startBlock 之前
+            }
+            claim.status = eventName === "ClaimResolved" ? "Approved" : "Rejected";
+            claim.serviceCenter = args.serviceCenter;
+            claim.note = eventName === "ClaimRejected" ? args.reason : null;
+            claim.resolved = at;
+            break;
+        }
+    }
+}
+
+// 索引 [fromBlock, toBlock] 内的事件，按 (区块, 日志序号) 顺序应用
+async function indexRange(store, contracts, fromBlock, toBlock) {
+    const logs = [];
+    for (const [key, eventName] of INDEXED_EVENTS) {
+        logs.push(...await contracts[key].queryFilter(eventName, fromBlock, toBlock));
+    }
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const timestamps = {};
+    for (const log of logs) {
+        if (timestamps[log.blockNumber] === undefined) {
+            timestamps[log.blockNumber] = (await log.getBlock()).timestamp;
+        }
+        await _applyLog(store, contracts, log, timestamps[log.blockNumber]);
+    }
+    store.lastBlock = toBlock;
+    return logs.length;
+}
+
+// 从上次处理的区块继续同步到最新区块；每处理一批就保存一次，重启后从断点继续。
+// contracts 为 attachContracts 返回的合约实例 (runner 需带 provider)
+async function syncIndexer({ contracts, storeFile, startBlock = 0, batchSize = DEFAULT_BATCH_SIZE, toBlock }) {
+    const provider = contracts.marketplace.runner.provider || contracts.marketplace.runner;
+    const chainId = Number((await provider.getNetwork()).chainId);
+    const addresses = {};
+    for (const [key, contract] of Object.entries(contracts)) {
+        addresses[key] = await contract.getAddress();
+    }
+
+    let store = loadStore(storeFile);
+    if (store && (store.chainId !== chainId || JSON.stringify(store.addresses) !== JSON.stringify(addresses))) {
+        throw new Error(`Indexer store ${storeFile} belongs to a different deployment; remove it to re-index.`);
+    }
+    if (!store) {
+        store = createStore({ chainId, addresses, startBlock });
+    }
+
+    const head = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+    let processed = 0;
+    for (let from = store.lastBlock + 1; from <= head; from += batchSize) {
+        const to = Math.min(from + batchSize - 1, head);
+        processed += await indexRange(store, contracts, from, to);
+        saveStore(store, storeFile);
+    }
+    return { store, processed };
+}
+
+// --- 查询 ---
+
+// 在售产品；sellerType 可为 "manufacturer"、"retailer"、"customer"
+function getListedProducts(store, { sellerType } = {}) {
+    return Object.values(store.products)
+        .filter((product) => product.listed && (!sellerType || product.sellerType === sellerType))
+        .sort((a, b) => Number(a.tokenId) - Number(b.tokenId));
+}
+
+// 待处理索赔 (按发起时间正序)；now 传入时附带已等待秒数
+function getPendingClaims(store, { now } = {}) {
+    return Object.values(store.claims)
+        .filter((claim) => claim.status === "Pending")
+        .sort((a, b) => a.requested.blockNumber - b.requested.blockNumber || Number(a.claimId) - Number(b.claimId))
+        .map((claim) => (now === undefined ? claim : { ...claim, ageSeconds: now - claim.requested.timestamp }));
+}
+
+function getClaimsForProduct(store, tokenId) {
+    return Object.values(store.claims).filter((claim) => claim.tokenId === tokenId.toString());
+}
+
+// 某地址的买入与卖出记录
+function getSalesByAddress(store, address) {
+    const account = address.toLowerCase();
+    return {
+        purchases: store.sales.filter((sale) => sale.buyer.toLowerCase() === account),
+        sales: store.sales.filter((sale) => sale.seller.toLowerCase() === account),
+    };
+}
+
+function getProduct(store, tokenId) {
+    return store.products[tokenId.toString()] || null;
+}
+
+module.exports = {
+    INDEXED_EVENTS,
+    createStore,
+    loadStore,
+    saveStore,
+    indexRange,
+    syncIndexer,
+    getListedProducts,
+    getPendingClaims,
+    getClaimsForProduct,
+    getSalesByAddress,
+    getProduct,
+};
@@ -0,0 +1,70 @@
+// File: scripts/lib/manifest.js
+// 部署清单 (deployments/<network>.json)：记录各合约地址与 ABI，供脚本、测试和链下服务加载。
+// 只依赖 ethers，不需要 Hardhat 运行时。
+
+const fs = require("fs");
+const path = require("path");
+const { Contract } = require("ethers");
+
+const DEFAULT_MANIFEST_DIR = path.join(__dirname, "..", "..", "deployments");
+
+// 清单中的合约名 => Ignition 模块返回值中的键
+const SYSTEM_CONTRACTS = {
+    RolesContract: "roles",
+    WarrantyManager: "warrantyManager",
+    ProductRegistry: "productRegistry",
+    Marketplace: "marketplace",
+};
+
+function manifestPath(network, dir = DEFAULT_MANIFEST_DIR) {
+    return path.join(dir, `${network}.json`);
+}
+
+// contracts: { 合约名: { address, abi } }
+function writeManifest({ network, chainId, deploymentId, contracts }, dir = DEFAULT_MANIFEST_DIR) {
+    const manifest = {
+        network,
+        chainId,
+        deploymentId: deploymentId || null,
+        generatedAt: new Date().toISOString(),
+        contracts,
+    };
+    fs.mkdirSync(dir, { recursive: true });
+    const file = manifestPath(network, dir);
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+    return file;
+}
+
+// 参数可以是网络名或清单文件路径
+function loadManifest(networkOrFile, dir = DEFAULT_MANIFEST_DIR) {
+    const file = networkOrFile.endsWith(".json") ? networkOrFile : manifestPath(networkOrFile, dir);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Deployment manifest not found: ${file}`);
+    }
+    const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const name of Object.keys(SYSTEM_CONTRACTS)) {
+        if (!manifest.contracts || !manifest.contracts[name]) {
+            throw new Error(`Deployment manifest ${file} is missing ${name}.`);
+        }
+    }
+    return manifest;
+}
+
+// 按清单创建合约实例；runner 为 ethers 的 Provider 或 Signer。返回键与 Ignition 模块一致
+function attachContracts(manifest, runner) {
+    const contracts = {};
+    for (const [name, key] of Object.entries(SYSTEM_CONTRACTS)) {
+        const { address, abi } = manifest.contracts[name];
+        contracts[key] = new Contract(address, abi, runner);
+    }
+    return contracts;
+}
+
+module.exports = {
+    DEFAULT_MANIFEST_DIR,
+    SYSTEM_CONTRACTS,
+    manifestPath,
+    writeManifest,
+    loadManifest,
+    attachContracts,
+};
@@ -0,0 +1,625 @@
+// File: scripts/lib/simulation.js
+// 场景驱动的系统模拟：按场景文件 (JSON / YAML) 部署整套系统、分配角色，逐步执行注册、购买、上架、索赔、
+// 时间推进与断言，并在每一步后记录余额、所有者与保修状态；另提供随机负载模式，统计每类操作的 Gas。
+// 需要支持 evm_increaseTime / hardhat_setBalance / 账户模拟的网络 (进程内 Hardhat 网络或 hardhat node)。
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const yaml = require("js-yaml");
+const { deploySystem } = require("../deploy");
+const { attachContracts } = require("./manifest");
+const { ClaimStatus, decodeEnum, formatClaim } = require("./format");
+
+// 演员角色 => Ignition 模块参数 (见 ignition/modules/ProductSystem.js)
+const ROLE_PARAMETERS = {
+    manufacturer: "manufacturers",
+    retailer: "retailers",
+    serviceCenter: "serviceCenters",
+    arbiter: "arbiters",
+    recycler: "recyclers",
+};
+
+const SCENARIO_ACTIONS = ["register", "buy", "list", "delist", "withdraw", "claim", "approve", "reject", "advanceTime", "expect"];
+
+const CLAIM_ACTIONS = ["claim", "approve", "reject"];
+
+const DAY = 24 * 60 * 60;
+
+// --- 场景加载与校验 ---
+
+function loadScenario(file) {
+    const text = fs.readFileSync(file, "utf8");
+    const scenario = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+    return validateScenario(scenario, path.basename(file));
+}
+
+// 检查场景结构与引用 (演员、产品、动作)，错误信息带步骤序号
+function validateScenario(scenario, label = "scenario") {
+    const fail = (message) => { throw new Error(`${label}: ${message}`); };
+    if (!scenario || typeof scenario !== "object") {
+        fail("Scenario must be an object.");
+    }
+    const actors = scenario.actors || {};
+    const products = scenario.products || {};
+    if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+        fail("steps must be a non-empty list.");
+    }
+    if (Object.prototype.hasOwnProperty.call(actors, "admin")) {
+        fail('"admin" is reserved for the deployer account.');
+    }
+    for (const [name, actor] of Object.entries(actors)) {
+        if (actor && actor.role !== undefined && !ROLE_PARAMETERS[actor.role]) {
+            fail(`Actor ${name} has unknown role ${actor.role}.`);
+        }
+    }
+    const isActor = (name) => name === "admin" || Object.prototype.hasOwnProperty.call(actors, name);
+    for (const [key, product] of Object.entries(products)) {
+        for (const field of ["manufacturer", "serialNumber", "price", "warrantyDays", "maxClaims"]) {
+            if (product[field] === undefined) {
+                fail(`Product ${key} is missing ${field}.`);
+            }
+        }
+        if (!isActor(product.manufacturer)) {
+            fail(`Product ${key} references unknown actor ${product.manufacturer}.`);
+        }
+    }
+
+    scenario.steps.forEach((step, i) => {
+        const at = (message) => fail(`Step ${i + 1} (${step.action}): ${message}`);
+        if (!SCENARIO_ACTIONS.includes(step.action)) {
+            fail(`Step ${i + 1}: Unknown action ${step.action}. Expected one of: ${SCENARIO_ACTIONS.join(", ")}.`);
+        }
+        if (step.actor !== undefined && !isActor(step.actor)) {
+            at(`Unknown actor ${step.actor}.`);
+        }
+        if (step.product !== undefined && !products[step.product]) {
+            at(`Unknown product ${step.product}.`);
+        }
+        const required = {
+            register: ["product"], buy: ["actor", "product"], list: ["actor", "product", "price"],
+            delist: ["actor", "product"], withdraw: ["actor"], claim: ["actor", "product"],
+            approve: ["actor", "product"], reject: ["actor", "product"], advanceTime: [], expect: [],
+        }[step.action];
+        for (const field of required) {
+            if (step[field] === undefined) {
+                at(`${field} is required.`);
+            }
+        }
+        if (step.action === "advanceTime" && step.days === undefined && step.seconds === undefined) {
+            at("days or seconds is required.");
+        }
+        if (step.action === "expect") {
+            for (const [check, entries] of Object.entries(step)) {
+                if (["action", "description"].includes(check)) {
+                    continue;
+                }
+                const target = check === "pendingWithdrawal" ? isActor : (key) => Boolean(products[key]);
+                if (!EXPECTATIONS[check]) {
+                    at(`Unknown expectation ${check}.`);
+                }
+                for (const key of Object.keys(entries || {})) {
+                    if (!target(key)) {
+                        at(`${check} references unknown ${check === "pendingWithdrawal" ? "actor" : "product"} ${key}.`);
+                    }
+                }
+            }
+        }
+    });
+    return scenario;
+}
+
+// --- 状态读取 ---
+
+function _eth(hre, wei) {
+    return hre.ethers.formatEther(wei);
+}
+
+function _wei(hre, amount) {
+    return hre.ethers.parseEther(String(amount));
+}
+
+async function _productState(hre, contracts, tokenId, nameOf) {
+    const [owner, [price, isListed], warranty, claimCount] = await Promise.all([
+        contracts.productRegistry.ownerOf(tokenId),
+        contracts.productRegistry.getProductMarketInfo(tokenId),
+        contracts.warrantyManager.getWarrantyStatus(tokenId),
+        contracts.warrantyManager.getClaimCount(tokenId),
+    ]);
+    const claims = (await contracts.warrantyManager.getClaimHistory(tokenId, 0, claimCount)).map(formatClaim);
+    return {
+        tokenId: tokenId.toString(),
+        owner: nameOf(owner),
+        listed: isListed,
+        price: _eth(hre, price),
+        warranty: decodeEnum(ClaimStatus, warranty[4]),
+        claimedCount: Number(warranty[3]),
+        // 索赔账本：每条索赔的结果、处理的服务中心与维修日志 / 拒绝原因
+        claims: claims.map((claim) => ({
+            claimId: claim.claimId,
+            decision: claim.decision,
+            serviceCenter: claim.serviceCenter && nameOf(claim.serviceCenter),
+            note: claim.resolutionNote,
+        })),
+    };
+}
+
+function _productField(field) {
+    return async (ctx, key) => (await _productState(ctx.hre, ctx.contracts, ctx.tokenIds[key], ctx.nameOf))[field];
+}
+
+// expect 步骤支持的检查：实际值读取函数 (键为产品名，pendingWithdrawal 为演员名)；claims 为按顺序的索赔结果列表
+const EXPECTATIONS = {
+    owner: _productField("owner"),
+    listed: _productField("listed"),
+    price: _productField("price"),
+    warranty: _productField("warranty"),
+    claimedCount: _productField("claimedCount"),
+    claims: async (ctx, key) => (await _productField("claims")(ctx, key)).map((claim) => claim.decision),
+    historyLength: async (ctx, key) => (await ctx.contracts.productRegistry.verifyProduct(ctx.tokenIds[key])).ownershipHistory.length,
+    pendingWithdrawal: async (ctx, key) => _eth(ctx.hre, await ctx.contracts.marketplace.pendingWithdrawals(ctx.accounts[key].address)),
+};
+
+function _sameValue(check, actual, expected) {
+    if (check === "price" || check === "pendingWithdrawal") {
+        return Number(actual) === Number(expected);
+    }
+    if (Array.isArray(actual)) {
+        return JSON.stringify(actual) === JSON.stringify(expected);
+    }
+    return actual === expected;
+}
+
+async function _snapshot(ctx) {
+    const balances = {};
+    for (const name of ctx.actorNames) {
+        balances[name] = _eth(ctx.hre, await ctx.hre.ethers.provider.getBalance(ctx.accounts[name].address));
+    }
+    const products = {};
+    for (const [key, tokenId] of Object.entries(ctx.tokenIds)) {
+        products[key] = await _productState(ctx.hre, ctx.contracts, tokenId, ctx.nameOf);
+    }
+    return { balances, products };
+}
+
+// --- 部署 ---
+
+// 每次运行都部署一套新系统，roleAssignments 为 { 角色: 地址数组 }。
+// 执行日志与清单写入临时目录并在结束后删除，因此在本地节点上也不会续接 scripts/deploy.js 的部署
+async function _deployFresh(hre, roleAssignments) {
+    const parameters = {};
+    for (const [role, addresses] of Object.entries(roleAssignments)) {
+        parameters[ROLE_PARAMETERS[role]] = addresses;
+    }
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "simulation-"));
+    try {
+        const { contracts } = await deploySystem(hre, {
+            parameters: { ProductSystemModule: parameters },
+            deploymentDir: path.join(workDir, "ignition"),
+            manifestDir: workDir,
+        });
+        return { contracts };
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+async function _advanceTime(hre, seconds) {
+    await hre.network.provider.send("evm_increaseTime", [seconds]);
+    await hre.network.provider.send("evm_mine");
+}
+
+// 优先取合约的 revert 原因 (进程内网络的错误只在消息中带有原因字符串)
+function _revertMessage(error) {
+    const message = error.reason || error.shortMessage || error.message || String(error);
+    const match = message.match(/reverted with reason string '(.*)'/);
+    return match ? match[1] : message;
+}
+
+// --- 场景执行 ---
+
+async function _executeStep(ctx, step) {
+    const { hre, contracts, tokenIds } = ctx;
+    const as = (actor) => attachContracts(ctx.manifest, ctx.accounts[actor]);
+    const tokenId = tokenIds[step.product];
+    const requireRegistered = () => {
+        if (tokenId === undefined) {
+            throw new Error(`Product ${step.product} has not been registered.`);
+        }
+    };
+
+    switch (step.action) {
+        case "register": {
+            const p = ctx.scenario.products[step.product];
+            const { marketplace, productRegistry } = as(p.manufacturer);
+            const tx = await marketplace.registerProduct(
+                p.serialNumber, p.model || "", p.manufacturerDetails || "", _wei(hre, p.price),
+                p.warrantyTermsURI || "", p.warrantyDays, p.maxClaims
+            );
+            const receipt = await tx.wait();
+            tokenIds[step.product] = await productRegistry["getTokenIdBySerialNumber(address,string)"](ctx.accounts[p.manufacturer].address, p.serialNumber);
+            return receipt;
+        }
+        case "buy": {
+            requireRegistered();
+            const [price] = await contracts.productRegistry.getProductMarketInfo(tokenId);
+            return (await as(step.actor).marketplace.buyProduct(tokenId, { value: price })).wait();
+        }
+        case "list":
+            requireRegistered();
+            return (await as(step.actor).marketplace["listProduct(uint256,uint256)"](tokenId, _wei(hre, step.price))).wait();
+        case "delist":
+            requireRegistered();
+            return (await as(step.actor).marketplace.delistProduct(tokenId)).wait();
+        case "withdraw":
+            return (await as(step.actor).marketplace.withdraw()).wait();
+        case "claim": {
+            requireRegistered();
+            const wm = as(step.actor).warrantyManager;
+            const tx = step.category === undefined
+                ? await wm["requestService(uint256,string)"](tokenId, step.reason || "")
+                : await wm["requestService(uint256,string,string)"](tokenId, step.reason || "", step.category);
+            return tx.wait();
+        }
+        case "approve":
+            requireRegistered();
+            return (await as(step.actor).warrantyManager.approveClaim(tokenId, step.log || "")).wait();
+        case "reject":
+            requireRegistered();
+            return (await as(step.actor).warrantyManager.rejectClaim(tokenId, step.reason || "")).wait();
+        case "advanceTime":
+            await _advanceTime(hre, (step.days || 0) * DAY + (step.seconds || 0));
+            return null;
+        case "expect": {
+            const mismatches = [];
+            for (const [check, entries] of Object.entries(step)) {
+                if (!EXPECTATIONS[check]) {
+                    continue;
+                }
+                for (const [key, expected] of Object.entries(entries)) {
+                    if (check !== "pendingWithdrawal" && tokenIds[key] === undefined) {
+                        throw new Error(`Product ${key} has not been registered.`);
+                    }
+                    const actual = await EXPECTATIONS[check](ctx, key);
+                    if (!_sameValue(check, actual, expected)) {
+                        mismatches.push(`${check}.${key}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+                    }
+                }
+            }
+            if (mismatches.length > 0) {
+                throw new Error(`Expectation failed: ${mismatches.join("; ")}`);
+            }
+            return null;
+        }
+    }
+}
+
+function _describe(step) {
+    if (step.description) {
+        return step.description;
+    }
+    const parts = [step.action];
+    if (step.actor) parts.push(step.actor);
+    if (step.product) parts.push(step.product);
+    if (step.price !== undefined) parts.push(`@ ${step.price} ETH`);
+    if (step.days !== undefined) parts.push(`+${step.days}d`);
+    if (step.seconds !== undefined) parts.push(`+${step.seconds}s`);
+    return parts.join(" ");
+}
+
+// 执行场景并返回报告；onStep(stepReport) 在每步完成后调用 (用于实时输出)。
+// 步骤失败 (意外回退、未按预期回退或断言不符) 时停止执行，报告 passed = false。
+async function runScenario(hre, scenario, { onStep } = {}) {
+    validateScenario(scenario, scenario.name || "scenario");
+    const signers = await hre.ethers.getSigners();
+    const actorNames = Object.keys(scenario.actors || {});
+    if (actorNames.length + 1 > signers.length) {
+        throw new Error(`Scenario needs ${actorNames.length + 1} accounts, but only ${signers.length} are available.`);
+    }
+
+    // signers[0] 为部署者 (admin)，演员按声明顺序使用后续账户
+    const accounts = { admin: signers[0] };
+    const roleAssignments = {};
+    for (const [i, name] of actorNames.entries()) {
+        const actor = scenario.actors[name] || {};
+        accounts[name] = signers[i + 1];
+        if (actor.role) {
+            (roleAssignments[actor.role] = roleAssignments[actor.role] || []).push(signers[i + 1].address);
+        }
+        if (actor.balance !== undefined) {
+            await hre.network.provider.send("hardhat_setBalance", [signers[i + 1].address, hre.ethers.toQuantity(_wei(hre, actor.balance))]);
+        }
+    }
+    const names = new Map(Object.entries(accounts).map(([name, signer]) => [signer.address, name]));
+
+    const { contracts: deployed } = await _deployFresh(hre, roleAssignments);
+    const manifest = { contracts: deployed };
+    const ctx = {
+        hre,
+        scenario,
+        manifest,
+        contracts: attachContracts(manifest, hre.ethers.provider),
+        accounts,
+        actorNames,
+        tokenIds: {},
+        nameOf: (address) => names.get(address) || address,
+    };
+
+    const report = { scenario: scenario.name || null, passed: true, totalGas: "0", steps: [] };
+    let totalGas = 0n;
+    for (const [i, step] of scenario.steps.entries()) {
+        const stepReport = { index: i + 1, action: step.action, description: _describe(step), status: "passed", gasUsed: null };
+        try {
+            const receipt = await _executeStep(ctx, step);
+            if (receipt) {
+                stepReport.gasUsed = receipt.gasUsed.toString();
+                totalGas += receipt.gasUsed;
+            }
+            if (step.expectRevert !== undefined) {
+                stepReport.status = "failed";
+                stepReport.error = `Expected revert "${step.expectRevert}", but the step succeeded.`;
+            }
+        } catch (error) {
+            const message = _revertMessage(error);
+            if (step.expectRevert !== undefined && message.includes(step.expectRevert)) {
+                stepReport.reverted = step.expectRevert;
+            } else {
+                stepReport.status = "failed";
+                stepReport.error = message;
+            }
+        }
+        stepReport.state = await _snapshot(ctx);
+        report.steps.push(stepReport);
+        if (onStep) {
+            onStep(stepReport);
+        }
+        if (stepReport.status === "failed") {
+            report.passed = false;
+            break;
+        }
+    }
+    report.totalGas = totalGas.toString();
+    return report;
+}
+
+// --- 随机负载模式 ---
+
+// 可复现的伪随机数 (mulberry32)
+function _random(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 按种子派生的确定性地址，以账户模拟方式签名
+async function _generatedActors(hre, seed, role, count, balance) {
+    const actors = [];
+    for (let i = 0; i < count; i++) {
+        const address = hre.ethers.getAddress(hre.ethers.dataSlice(hre.ethers.id(`simulation:${seed}:${role}:${i}`), 12));
+        await hre.network.provider.send("hardhat_setBalance", [address, hre.ethers.toQuantity(balance)]);
+        actors.push(await hre.ethers.getImpersonatedSigner(address));
+    }
+    return actors;
+}
+
+function _gasStats(samples) {
+    const stats = {};
+    for (const [operation, { gas, reverted }] of Object.entries(samples)) {
+        const total = gas.reduce((sum, value) => sum + value, 0n);
+        stats[operation] = {
+            count: gas.length,
+            reverted,
+            totalGas: total.toString(),
+            minGas: gas.length ? gas.reduce((a, b) => (b < a ? b : a)).toString() : null,
+            maxGas: gas.length ? gas.reduce((a, b) => (b > a ? b : a)).toString() : null,
+            avgGas: gas.length ? (total / BigInt(gas.length)).toString() : null,
+        };
+    }
+    return stats;
+}
+
+// 随机生成演员与产品，执行 operations 次随机操作 (购买、上架、下架、索赔、批准/拒绝、提现、时间推进)。
+// 只挑选按当前链上状态可行的操作；合约仍然回退的 (如索赔次数用尽、保修过期) 按原因计数。
+async function runLoadTest(hre, {
+    seed = 1,
+    manufacturers = 2,
+    retailers = 3,
+    serviceCenters = 2,
+    customers = 10,
+    products = 20,
+    operations = 100,
+} = {}) {
+    const random = _random(seed);
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const started = Date.now();
+    const balance = hre.ethers.parseEther("1000000");
+
+    const actors = {
+        manufacturer: await _generatedActors(hre, seed, "manufacturer", manufacturers, balance),
+        retailer: await _generatedActors(hre, seed, "retailer", retailers, balance),
+        serviceCenter: await _generatedActors(hre, seed, "serviceCenter", serviceCenters, balance),
+        customer: await _generatedActors(hre, seed, "customer", customers, balance),
+    };
+    const roleOf = new Map();
+    for (const [role, signers] of Object.entries(actors)) {
+        signers.forEach((signer) => roleOf.set(signer.address, role));
+    }
+    const { contracts: deployed } = await _deployFresh(hre, {
+        manufacturer: actors.manufacturer.map((s) => s.address),
+        retailer: actors.retailer.map((s) => s.address),
+        serviceCenter: actors.serviceCenter.map((s) => s.address),
+    });
+    const manifest = { contracts: deployed };
+    const read = attachContracts(manifest, hre.ethers.provider);
+    const signerOf = new Map(Object.values(actors).flat().map((signer) => [signer.address, signer]));
+
+    const samples = {};
+    const reverts = {};
+    const record = async (operation, send) => {
+        samples[operation] = samples[operation] || { gas: [], reverted: 0 };
+        try {
+            const receipt = await (await send()).wait();
+            samples[operation].gas.push(receipt.gasUsed);
+            return receipt;
+        } catch (error) {
+            const reason = _revertMessage(error);
+            samples[operation].reverted++;
+            reverts[reason] = (reverts[reason] || 0) + 1;
+            return null;
+        }
+    };
+
+    // 本地镜像：tokenId => { owner, listed, pendingClaim }
+    const state = new Map();
+    const pendingWithdrawals = new Set();
+    let timeAdvances = 0;
+    for (let i = 0; i < products; i++) {
+        const manufacturer = actors.manufacturer[i % manufacturers];
+        const { marketplace, productRegistry } = attachContracts(manifest, manufacturer);
+        const serialNumber = `SIM-${seed}-${i}`;
+        const price = hre.ethers.parseEther(String(1 + Math.floor(random() * 10)));
+        if (await record("registerProduct", () => marketplace.registerProduct(serialNumber, "Model-Sim", "Sim Corp", price, "ipfs://sim", 30 + Math.floor(random() * 335), 1 + Math.floor(random() * 3)))) {
+            const tokenId = await productRegistry["getTokenIdBySerialNumber(address,string)"](manufacturer.address, serialNumber);
+            state.set(tokenId, { owner: manufacturer.address, listed: true, pendingClaim: false });
+        }
+    }
+
+    const entries = () => [...state.entries()];
+    // 制造商的产品卖给零售商，其余卖给客户；只有一个客户时，客户转售的产品没有买家
+    const buyersOf = (product) => (roleOf.get(product.owner) === "manufacturer" ? actors.retailer : actors.customer)
+        .filter((signer) => signer.address !== product.owner);
+    const candidates = {
+        buy: () => entries().filter(([, p]) => p.listed && buyersOf(p).length > 0),
+        list: () => entries().filter(([, p]) => !p.listed && roleOf.get(p.owner) !== "manufacturer" && !p.pendingClaim),
+        delist: () => entries().filter(([, p]) => p.listed && roleOf.get(p.owner) !== "manufacturer"),
+        requestService: () => entries().filter(([, p]) => !p.pendingClaim && roleOf.get(p.owner) === "customer"),
+        resolveClaim: () => entries().filter(([, p]) => p.pendingClaim),
+        withdraw: () => [...pendingWithdrawals],
+        advanceTime: () => [true],
+    };
+    const weights = { buy: 5, list: 3, delist: 1, requestService: 3, resolveClaim: 3, withdraw: 1, advanceTime: 0.3 };
+
+    for (let n = 0; n < operations; n++) {
+        const available = Object.keys(weights).filter((op) => candidates[op]().length > 0);
+        let roll = random() * available.reduce((sum, op) => sum + weights[op], 0);
+        const operation = available.find((op) => (roll -= weights[op]) < 0) || available[available.length - 1];
+        const target = pick(candidates[operation]());
+
+        if (operation === "buy") {
+            const [tokenId, product] = target;
+            const buyer = pick(buyersOf(product));
+            const [price] = await read.productRegistry.getProductMarketInfo(tokenId);
+            if (await record("buyProduct", () => attachContracts(manifest, buyer).marketplace.buyProduct(tokenId, { value: price }))) {
+                pendingWithdrawals.add(product.owner);
+                Object.assign(product, { owner: buyer.address, listed: false });
+            }
+        } else if (operation === "list") {
+            const [tokenId, product] = target;
+            const price = hre.ethers.parseEther(String(1 + Math.floor(random() * 20)));
+            if (await record("listProduct", () => attachContracts(manifest, signerOf.get(product.owner)).marketplace["listProduct(uint256,uint256)"](tokenId, price))) {
+                product.listed = true;
+            }
+        } else if (operation === "delist") {
+            const [tokenId, product] = target;
+            if (await record("delistProduct", () => attachContracts(manifest, signerOf.get(product.owner)).marketplace.delistProduct(tokenId))) {
+                product.listed = false;
+            }
+        } else if (operation === "requestService") {
+            const [tokenId, product] = target;
+            if (await record("requestService", () => attachContracts(manifest, signerOf.get(product.owner)).warrantyManager["requestService(uint256,string)"](tokenId, "Load test"))) {
+                product.pendingClaim = true;
+            }
+        } else if (operation === "resolveClaim") {
+            const [tokenId, product] = target;
+            const wm = attachContracts(manifest, pick(actors.serviceCenter)).warrantyManager;
+            const approve = random() < 0.7;
+            if (await record(approve ? "approveClaim" : "rejectClaim", () => (approve ? wm.approveClaim(tokenId, "Repaired") : wm.rejectClaim(tokenId, "Not covered")))) {
+                product.pendingClaim = false;
+            }
+        } else if (operation === "withdraw") {
+            if (await record("withdraw", () => attachContracts(manifest, signerOf.get(target)).marketplace.withdraw())) {
+                pendingWithdrawals.delete(target);
+            }
+        } else {
+            await _advanceTime(hre, (1 + Math.floor(random() * 60)) * DAY);
+            timeAdvances++;
+        }
+    }
+
+    const [listed, sold] = await Promise.all([
+        read.productRegistry.getListedProductCount(),
+        read.marketplace.queryFilter("ProductSold"),
+    ]);
+    return {
+        seed,
+        actors: { manufacturers, retailers, serviceCenters, customers },
+        products: state.size,
+        operations,
+        timeAdvances,
+        durationMs: Date.now() - started,
+        gas: _gasStats(samples),
+        reverts,
+        final: {
+            listedProducts: Number(listed),
+            sales: sold.length,
+            pendingClaims: [...state.values()].filter((p) => p.pendingClaim).length,
+        },
+    };
+}
+
+// --- 可读输出 ---
+
+function renderStep(step) {
+    const mark = step.status === "failed" ? "❌" : "✅";
+    const lines = [`[${String(step.index).padStart(2)}] ${mark} ${step.description}${step.gasUsed ? `  (gas ${step.gasUsed})` : ""}`];
+    if (step.reverted) {
+        lines.push(`     ↩ 按预期回退: ${step.reverted}`);
+    }
+    if (step.error) {
+        lines.push(`     ! ${step.error}`);
+    }
+    for (const [key, p] of Object.entries(step.state.products)) {
+        const market = p.listed ? `在售 ${p.price} ETH` : "未上架";
+        lines.push(`     - ${key} #${p.tokenId}: 所有者 ${p.owner}，${market}，保修 ${p.warranty} (已索赔 ${p.claimedCount})`);
+        // 索赔相关的步骤后输出完整的索赔账本
+        if (CLAIM_ACTIONS.includes(step.action)) {
+            for (const claim of p.claims) {
+                lines.push(`       #${claim.claimId} [${claim.decision}] 服务中心: ${claim.serviceCenter || "-"}，日志: ${claim.note || "-"}`);
+            }
+        }
+    }
+    const balances = Object.entries(step.state.balances).map(([name, value]) => `${name}=${Number(value).toFixed(4)}`);
+    lines.push(`     - 余额 (ETH): ${balances.join(", ")}`);
+    return lines.join("\n");
+}
+
+function renderLoadReport(report) {
+    const lines = [
+        `随机负载 (seed ${report.seed})：${report.products} 个产品，${report.operations} 次操作，时间推进 ${report.timeAdvances} 次，用时 ${report.durationMs} ms`,
+        `   - 演员: 制造商 ${report.actors.manufacturers}，零售商 ${report.actors.retailers}，服务中心 ${report.actors.serviceCenters}，客户 ${report.actors.customers}`,
+        "   - Gas (次数 / 回退 / 平均 / 最小 / 最大):",
+    ];
+    for (const [operation, stats] of Object.entries(report.gas)) {
+        lines.push(`       ${operation.padEnd(16)} ${stats.count} / ${stats.reverted} / ${stats.avgGas || "-"} / ${stats.minGas || "-"} / ${stats.maxGas || "-"}`);
+    }
+    for (const [reason, count] of Object.entries(report.reverts)) {
+        lines.push(`   - 回退 ${count} 次: ${reason}`);
+    }
+    lines.push(`   - 结束时: 在售 ${report.final.listedProducts}，成交 ${report.final.sales}，待处理索赔 ${report.final.pendingClaims}`);
+    return lines.join("\n");
+}
+
+module.exports = {
+    SCENARIO_ACTIONS,
+    loadScenario,
+    validateScenario,
+    runScenario,
+    runLoadTest,
+    renderStep,
+    renderLoadReport,
+};
@@ -0,0 +1,260 @@
+// File: tasks/ops.js
+// 运维命令行 (Hardhat 任务)：角色管理、CSV 批量注册、上架/下架/购买、索赔处理与产品/保修查询。
+// 合约地址读取部署清单 (默认 deployments/<network>.json，可用 --manifest 指定网络名或文件)；
+// --signer 按账户序号 ("0"、"2") 或角色名 ("manufacturer"、"serviceCenter" 等) 选择签名账户。
+//
+//   npx hardhat roles:grant --role retailer --account 0x... --network localhost
+//   npx hardhat product:register --file products.csv --network localhost
+//   npx hardhat product:verify --serial SN-001 --json --network localhost
+//
+// 各任务同时返回结果对象，供测试与其他脚本通过 hre.run 调用。
+
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { loadManifest, attachContracts } = require("../scripts/lib/manifest");
+const { formatProduct, formatWarranty } = require("../scripts/lib/format");
+const { roleHash, resolveSigner, parseProductCsv, parseAmount, renderProduct, renderWarranty } = require("../scripts/lib/cli");
+
+const SIGNER_HELP = "Signer account index or role (admin, manufacturer, retailer, serviceCenter, arbiter, recycler)";
+
+// 加载清单、检查链上确有合约，并按 --signer 连接合约
+async function _connect(hre, { manifest: manifestArg, signer: selector }) {
+    const manifest = loadManifest(manifestArg || hre.network.name);
+    const provider = hre.ethers.provider;
+    const chainId = Number((await provider.getNetwork()).chainId);
+    if (chainId !== manifest.chainId) {
+        throw new Error(`Network ${hre.network.name} is chain ${chainId}, but the manifest was written for chain ${manifest.chainId}.`);
+    }
+    const readOnly = attachContracts(manifest, provider);
+    if (await provider.getCode(await readOnly.marketplace.getAddress()) === "0x") {
+        throw new Error(`No contracts at the manifest addresses on ${hre.network.name}; redeploy with scripts/deploy.js.`);
+    }
+    if (selector === undefined) {
+        return { manifest, contracts: readOnly };
+    }
+    const signer = await resolveSigner(await hre.ethers.getSigners(), readOnly.roles, selector);
+    return { manifest, signer, contracts: attachContracts(manifest, signer) };
+}
+
+async function _send(label, txPromise) {
+    const receipt = await (await txPromise).wait();
+    console.log(`✅ ${label} (tx: ${receipt.hash})`);
+    return receipt;
+}
+
+// 计价币种的小数位数：ETH 为 18，ERC-20 读取 decimals()
+async function _decimals(hre, paymentToken) {
+    if (!paymentToken || paymentToken === hre.ethers.ZeroAddress) {
+        return 18;
+    }
+    const token = new hre.ethers.Contract(paymentToken, ["function decimals() view returns (uint8)"], hre.ethers.provider);
+    try {
+        return Number(await token.decimals());
+    } catch (error) {
+        throw new Error(`Cannot read decimals() of payment token ${paymentToken}.`);
+    }
+}
+
+function _tokenId(value) {
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid token id: ${value}`);
+    }
+    return BigInt(value);
+}
+
+// 带有公共参数的任务
+function opsTask(name, description, defaultSigner) {
+    const definition = task(name, description)
+        .addOptionalParam("manifest", "Deployment manifest network name or file (defaults to the current network)");
+    if (defaultSigner !== undefined) {
+        definition.addOptionalParam("signer", SIGNER_HELP, defaultSigner);
+    }
+    return definition;
+}
+
+// --- 角色 ---
+
+for (const [name, method, verb] of [["roles:grant", "grantRole", "Grant"], ["roles:revoke", "revokeRole", "Revoke"]]) {
+    opsTask(name, `${verb} a role on RolesContract`, "admin")
+        .addParam("role", "Role name (manufacturer, retailer, serviceCenter, arbiter, recycler, admin)")
+        .addParam("account", "Account address")
+        .setAction(async (args, hre) => {
+            const role = roleHash(args.role);
+            const account = hre.ethers.getAddress(args.account);
+            const { contracts } = await _connect(hre, args);
+            const receipt = await _send(`${verb} ${args.role}: ${account}`, contracts.roles[method](role, account));
+            return { role: args.role, account, hasRole: await contracts.roles.hasRole(role, account), txHash: receipt.hash };
+        });
+}
+
+// --- 产品注册与交易 ---
+
+opsTask("product:register", "Register products from a CSV file via Marketplace.registerProduct", "manufacturer")
+    .addParam("file", "CSV file with columns serialNumber, modelDetails, manufacturerDetails, price, warrantyTermsURI, durationDays, maxClaims [, royaltyBps, paymentToken]")
+    .addFlag("dryRun", "Validate the file without sending transactions")
+    .setAction(async (args, hre) => {
+        const products = parseProductCsv(fs.readFileSync(args.file, "utf8"));
+        console.log(`📄 ${args.file}: ${products.length} 个产品`);
+        if (args.dryRun) {
+            return { registered: [], validated: products.length };
+        }
+
+        const { signer, contracts } = await _connect(hre, args);
+
+        // 发送交易前按各行的计价币种换算全部价格，精度不符的行不会留下部分注册
+        const decimals = {};
+        const prices = [];
+        for (const p of products) {
+            const token = p.paymentToken || "ETH";
+            if (decimals[token] === undefined) {
+                decimals[token] = await _decimals(hre, p.paymentToken);
+            }
+            try {
+                prices.push(parseAmount(p.price, decimals[token]));
+            } catch (error) {
+                throw new Error(`CSV line ${p.line}: ${error.message}`);
+            }
+        }
+
+        const registered = [];
+        for (const [i, p] of products.entries()) {
+            const base = [p.serialNumber, p.modelDetails, p.manufacturerDetails, prices[i], p.warrantyTermsURI, p.durationDays, p.maxClaims];
+            let tx;
+            if (p.paymentToken) {
+                tx = contracts.marketplace["registerProduct(string,string,string,uint256,string,uint256,uint8,uint96,address)"](...base, p.royaltyBps || 0n, p.paymentToken);
+            } else if (p.royaltyBps !== null) {
+                tx = contracts.marketplace["registerProduct(string,string,string,uint256,string,uint256,uint8,uint96)"](...base, p.royaltyBps);
+            } else {
+                tx = contracts.marketplace["registerProduct(string,string,string,uint256,string,uint256,uint8)"](...base);
+            }
+            try {
+                await (await tx).wait();
+            } catch (error) {
+                throw new Error(`CSV line ${p.line} (${p.serialNumber}) failed after ${registered.length} registration(s): ${error.message}`);
+            }
+            const tokenId = await contracts.productRegistry["getTokenIdBySerialNumber(address,string)"](signer.address, p.serialNumber);
+            registered.push({ serialNumber: p.serialNumber, tokenId: tokenId.toString() });
+            console.log(`   - ${p.serialNumber} => #${tokenId}`);
+        }
+        console.log(`✅ 已注册 ${registered.length} 个产品`);
+        return { registered, validated: products.length };
+    });
+
+opsTask("product:list", "List (or re-price) a product for sale", "0")
+    .addParam("tokenId", "Product token id")
+    .addParam("price", "Price in ETH (or in whole tokens, using the token's decimals(), when --payment-token is set)")
+    .addOptionalParam("paymentToken", "Allowed ERC-20 payment token address")
+    .setAction(async (args, hre) => {
+        const tokenId = _tokenId(args.tokenId);
+        const { contracts } = await _connect(hre, args);
+        const price = parseAmount(args.price, await _decimals(hre, args.paymentToken));
+        const tx = args.paymentToken
+            ? contracts.marketplace["listProduct(uint256,uint256,address)"](tokenId, price, args.paymentToken)
+            : contracts.marketplace["listProduct(uint256,uint256)"](tokenId, price);
+        const receipt = await _send(`Listed #${tokenId} at ${args.price}`, tx);
+        return { tokenId: tokenId.toString(), price: price.toString(), txHash: receipt.hash };
+    });
+
+opsTask("product:delist", "Remove a product from sale", "0")
+    .addParam("tokenId", "Product token id")
+    .setAction(async (args, hre) => {
+        const tokenId = _tokenId(args.tokenId);
+        const { contracts } = await _connect(hre, args);
+        const receipt = await _send(`Delisted #${tokenId}`, contracts.marketplace.delistProduct(tokenId));
+        return { tokenId: tokenId.toString(), txHash: receipt.hash };
+    });
+
+opsTask("product:buy", "Buy a listed product at its current ETH price", "0")
+    .addParam("tokenId", "Product token id")
+    .setAction(async (args, hre) => {
+        const tokenId = _tokenId(args.tokenId);
+        const { signer, contracts } = await _connect(hre, args);
+        const [price, isListed, paymentToken] = await contracts.productRegistry.getProductMarketInfo(tokenId);
+        if (!isListed) {
+            throw new Error(`Product #${tokenId} is not listed.`);
+        }
+        if (paymentToken !== hre.ethers.ZeroAddress) {
+            throw new Error(`Product #${tokenId} is priced in token ${paymentToken}; only ETH purchases are supported.`);
+        }
+        const receipt = await _send(`Bought #${tokenId} for ${hre.ethers.formatEther(price)} ETH`, contracts.marketplace.buyProduct(tokenId, { value: price }));
+        return { tokenId: tokenId.toString(), buyer: signer.address, price: price.toString(), txHash: receipt.hash };
+    });
+
+// --- 保修索赔 ---
+
+opsTask("claim:request", "Request warranty service for an owned product", "0")
+    .addParam("tokenId", "Product token id")
+    .addOptionalParam("reason", "Claim description", "")
+    .addOptionalParam("category", "Coverage category (required when the product has coverage terms)")
+    .addOptionalParam("serviceCenter", "Preferred service center in the manufacturer's network")
+    .setAction(async (args, hre) => {
+        const tokenId = _tokenId(args.tokenId);
+        const { contracts } = await _connect(hre, args);
+        const wm = contracts.warrantyManager;
+        let tx;
+        if (args.serviceCenter) {
+            tx = wm["requestService(uint256,string,string,address)"](tokenId, args.reason, args.category || "", args.serviceCenter);
+        } else if (args.category !== undefined) {
+            tx = wm["requestService(uint256,string,string)"](tokenId, args.reason, args.category);
+        } else {
+            tx = wm["requestService(uint256,string)"](tokenId, args.reason);
+        }
+        const receipt = await _send(`Requested service for #${tokenId}`, tx);
+        const claimCount = await wm.getClaimCount(tokenId);
+        const [claim] = await wm.getClaimHistory(tokenId, claimCount - 1n, 1);
+        return { tokenId: tokenId.toString(), claimId: claim.claimId.toString(), txHash: receipt.hash };
+    });
+
+for (const [name, method, noteParam, verb] of [
+    ["claim:approve", "approveClaim", "log", "Approved"],
+    ["claim:reject", "rejectClaim", "reason", "Rejected"],
+]) {
+    opsTask(name, `Resolve the pending warranty claim of a product (${method})`, "serviceCenter")
+        .addParam("tokenId", "Product token id")
+        .addParam(noteParam, noteParam === "log" ? "Service log" : "Rejection reason")
+        .setAction(async (args, hre) => {
+            const tokenId = _tokenId(args.tokenId);
+            const { contracts } = await _connect(hre, args);
+            const receipt = await _send(`${verb} claim for #${tokenId}`, contracts.warrantyManager[method](tokenId, args[noteParam]));
+            return { tokenId: tokenId.toString(), txHash: receipt.hash };
+        });
+}
+
+// --- 查询 ---
+
+opsTask("product:verify", "Print ProductRegistry.verifyProduct output")
+    .addOptionalParam("tokenId", "Product token id")
+    .addOptionalParam("serial", "Serial number (alternative to --token-id)")
+    .addFlag("json", "Print JSON instead of human-readable text")
+    .setAction(async (args, hre) => {
+        if ((args.tokenId === undefined) === (args.serial === undefined)) {
+            throw new Error("Pass exactly one of --token-id or --serial.");
+        }
+        const { contracts } = await _connect(hre, args);
+        const tokenId = args.serial === undefined
+            ? _tokenId(args.tokenId)
+            : await contracts.productRegistry["getTokenIdBySerialNumber(string)"](args.serial);
+        const product = formatProduct(await contracts.productRegistry.verifyProduct(tokenId));
+        if (args.json) {
+            console.log(JSON.stringify(product, null, 2));
+        } else {
+            const { paymentToken } = product.market;
+            console.log(renderProduct(product, { decimals: await _decimals(hre, paymentToken === "ETH" ? null : paymentToken) }));
+        }
+        return product;
+    });
+
+opsTask("warranty:status", "Print WarrantyManager.getWarrantyStatus output")
+    .addParam("tokenId", "Product token id")
+    .addFlag("json", "Print JSON instead of human-readable text")
+    .setAction(async (args, hre) => {
+        const tokenId = _tokenId(args.tokenId);
+        const { contracts } = await _connect(hre, args);
+        const [status, expiresAt] = await Promise.all([
+            contracts.warrantyManager.getWarrantyStatus(tokenId),
+            contracts.warrantyManager.getWarrantyExpiry(tokenId),
+        ]);
+        const warranty = formatWarranty(tokenId, status, expiresAt);
+        console.log(args.json ? JSON.stringify(warranty, null, 2) : renderWarranty(warranty));
+        return warranty;
+    });
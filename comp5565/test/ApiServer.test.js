@@ -0,0 +1,212 @@
+// File: test/ApiServer.test.js
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { attachContracts } = require("../scripts/lib/manifest");
+const { createApiServer } = require("../scripts/lib/apiServer");
+const { startApiServer } = require("../scripts/apiServer");
+const { deployTestSystem, startLocalNode } = require("./helpers/system");
+
+// API Test: 在 Hardhat 网络上部署整套系统，通过 HTTP 调用只读接口并检查 JSON 响应与枚举解码。
+describe("API Server: Read-only REST Endpoints", function () {
+    let manufacturer, manufacturer2, retailer, serviceCenter, customer1;
+    let system, tmpDir, manifestFile, manifest, server, baseUrl;
+    let t1, t2, t3;
+
+    const PRICE_MFG = ethers.parseEther("1");
+    const PRICE_RETAIL = ethers.parseEther("2");
+
+    const as = (signer) => attachContracts(manifest, signer);
+
+    async function register(signer, serialNumber) {
+        const { marketplace, productRegistry } = as(signer);
+        await marketplace.registerProduct(serialNumber, "Model-X", "Acme Corp", PRICE_MFG, "ipfs://terms", 365, 3);
+        return (await productRegistry["getTokenIdBySerialNumber(address,string)"](signer.address, serialNumber)).toString();
+    }
+
+    async function get(pathname, method = "GET", url = baseUrl) {
+        const res = await fetch(url + pathname, { method });
+        return { status: res.status, body: await res.json() };
+    }
+
+    before(async function () {
+        [, manufacturer, retailer, serviceCenter, customer1, manufacturer2] = await ethers.getSigners();
+        system = await deployTestSystem("api-", {
+            manufacturers: [manufacturer.address, manufacturer2.address],
+            retailers: [retailer.address],
+            serviceCenters: [serviceCenter.address],
+        });
+        ({ tmpDir, manifestFile, manifest } = system);
+
+        // t1: 制造商 -> 零售商 -> 客户，发起一次索赔并被批准；t2: 零售商重新上架；t3: 制造商在售
+        t1 = await register(manufacturer, "SN-API-1");
+        t2 = await register(manufacturer, "SN-API-2");
+        t3 = await register(manufacturer, "SN-API-DUP");
+        await register(manufacturer2, "SN-API-DUP");
+        await as(retailer).marketplace.buyProduct(t1, { value: PRICE_MFG });
+        await as(retailer).marketplace.buyProduct(t2, { value: PRICE_MFG });
+        await as(retailer).marketplace["listProduct(uint256,uint256)"](t1, PRICE_RETAIL);
+        await as(customer1).marketplace.buyProduct(t1, { value: PRICE_RETAIL });
+        await as(retailer).marketplace["listProduct(uint256,uint256)"](t2, PRICE_RETAIL);
+        await as(customer1).warrantyManager.requestService(t1);
+        await as(serviceCenter).warrantyManager.approveClaim(t1, "Replaced battery");
+        await as(customer1).warrantyManager.requestService(t1);
+
+        server = createApiServer(attachContracts(manifest, ethers.provider));
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async function () {
+        await new Promise((resolve) => server.close(resolve));
+        system.cleanup();
+    });
+
+    describe("产品查询", function () {
+        it("GET /products/:tokenId 应返回产品信息、所有者与所有权历史", async function () {
+            const { status, body } = await get(`/products/${t1}`);
+            expect(status).to.equal(200);
+            expect(body.tokenId).to.equal(t1);
+            expect(body.serialNumber).to.equal("SN-API-1");
+            expect(body.currentOwner).to.equal(customer1.address);
+            expect(body.market).to.deep.equal({ price: PRICE_RETAIL.toString(), isListed: false, paymentToken: "ETH" });
+            expect(body.ownershipHistory.map((log) => log.to)).to.deep.equal([manufacturer.address, retailer.address, customer1.address]);
+            expect(body.ownershipHistory[0].timestamp).to.be.a("number");
+        });
+
+        it("GET /products/by-serial/:sn 应按序列号查询，重复序列号可用 manufacturer 参数区分", async function () {
+            expect((await get("/products/by-serial/SN-API-2")).body.tokenId).to.equal(t2);
+
+            const ambiguous = await get("/products/by-serial/SN-API-DUP");
+            expect(ambiguous.status).to.equal(409);
+            expect(ambiguous.body.error).to.equal("PR: Ambiguous serial number.");
+
+            const { body } = await get(`/products/by-serial/SN-API-DUP?manufacturer=${manufacturer.address}`);
+            expect(body.tokenId).to.equal(t3);
+        });
+
+        it("GET /products/:tokenId/history 应返回所有权历史与解码后的索赔记录", async function () {
+            const { status, body } = await get(`/products/${t1}/history`);
+            expect(status).to.equal(200);
+            expect(body.ownershipHistory).to.have.length(3);
+            expect(body.claims.map((claim) => claim.decision)).to.deep.equal(["Approved", "Pending"]);
+            expect(body.claims[0].serviceCenter).to.equal(serviceCenter.address);
+            expect(body.claims[0].resolutionNote).to.equal("Replaced battery");
+            expect(body.claims[1].resolvedAt).to.equal(null);
+        });
+
+        it("GET /products/:tokenId/warranty 应将状态枚举解码为名称", async function () {
+            const { status, body } = await get(`/products/${t1}/warranty`);
+            expect(status).to.equal(200);
+            expect(body.status).to.equal("Pending");
+            expect(body.statusCode).to.equal(2);
+            expect(body.claimedCount).to.equal(1);
+            expect(body.maxClaims).to.equal(3);
+
+            // 索赔待处理期间保修时钟暂停，到期时间只会推后
+            expect(body.expiresAt).to.be.gte(body.startDate + 365 * 24 * 60 * 60);
+
+            const active = (await get(`/products/${t2}/warranty`)).body;
+            expect(active.status).to.equal("Active");
+            expect(active.expiresAt).to.equal(active.startDate + 365 * 24 * 60 * 60);
+        });
+    });
+
+    describe("库存与在售列表", function () {
+        it("GET /owners/:addr/inventory 应返回持有的产品与市场信息", async function () {
+            const { status, body } = await get(`/owners/${retailer.address.toLowerCase()}/inventory`);
+            expect(status).to.equal(200);
+            expect(body.owner).to.equal(retailer.address);
+            expect(body.role).to.equal("retailer");
+            expect(body.products).to.have.length(1);
+            expect(body.products[0]).to.include({ tokenId: t2, serialNumber: "SN-API-2", isListed: true, price: PRICE_RETAIL.toString() });
+
+            expect((await get(`/owners/${customer1.address}/inventory`)).body.role).to.equal("customer");
+        });
+
+        it("GET /listings 应分页返回在售产品与卖家", async function () {
+            const { body } = await get("/listings");
+            expect(body.total).to.equal(3);
+            expect(body.items.map((item) => item.tokenId).sort()).to.deep.equal([t2, t3, String(Number(t3) + 1)].sort());
+            expect(body.items.find((item) => item.tokenId === t2).seller).to.equal(retailer.address);
+
+            const page = await get("/listings?offset=1&limit=1");
+            expect(page.body).to.include({ total: 3, offset: 1, limit: 1 });
+            expect(page.body.items).to.have.length(1);
+        });
+    });
+
+    describe("错误处理 (负面测试)", function () {
+        it("不存在的产品或序列号应返回 404", async function () {
+            expect((await get("/products/999")).status).to.equal(404);
+            expect((await get("/products/999/warranty")).status).to.equal(404);
+            const { status, body } = await get("/products/by-serial/NO-SUCH-SN");
+            expect(status).to.equal(404);
+            expect(body.error).to.equal("PR: Unknown serial number.");
+        });
+
+        it("非法参数应返回 400，未知路由返回 404，非 GET 请求返回 405", async function () {
+            expect((await get("/products/abc")).status).to.equal(400);
+            expect((await get(`/products/${2n ** 256n}`)).status).to.equal(400);
+            expect((await get(`/products/${2n ** 256n}/warranty`)).body.error).to.equal(`Invalid token id: ${2n ** 256n}`);
+            expect((await get("/owners/0x1234/inventory")).status).to.equal(400);
+            expect((await get("/listings?limit=-1")).status).to.equal(400);
+            expect((await get("/unknown")).status).to.equal(404);
+            expect((await get(`/products/${t1}`, "POST")).status).to.equal(405);
+        });
+    });
+
+    // 与 `npx hardhat node` 相同，用 Hardhat 的 JSON-RPC 服务暴露当前网络，再按部署清单启动 (scripts/apiServer.js)
+    describe("通过部署清单与 JSON-RPC 节点启动", function () {
+        let node, rpcUrl, api, apiUrl;
+
+        before(async function () {
+            node = await startLocalNode();
+            rpcUrl = node.url;
+            api = await startApiServer({ rpcUrl, network: manifestFile, port: 0, host: "127.0.0.1", logger: null });
+            apiUrl = `http://127.0.0.1:${api.server.address().port}`;
+        });
+
+        after(async function () {
+            await new Promise((resolve) => api.server.close(resolve));
+            api.provider.destroy();
+            await node.close();
+        });
+
+        it("应读取与进程内网络相同的链上数据", async function () {
+            const { status, body } = await get(`/products/${t1}`, "GET", apiUrl);
+            expect(status).to.equal(200);
+            expect(body).to.deep.equal((await get(`/products/${t1}`)).body);
+            expect((await get(`/products/${t1}/history`, "GET", apiUrl)).body.claims).to.have.length(2);
+        });
+
+        it("JSON-RPC 返回的 revert 原因应映射为相同的 HTTP 状态码", async function () {
+            const missing = await get("/products/999", "GET", apiUrl);
+            expect(missing.status).to.equal(404);
+            expect(missing.body.error).to.equal("PR: Does not exist.");
+
+            const unknown = await get("/products/by-serial/NO-SUCH-SN", "GET", apiUrl);
+            expect(unknown.status).to.equal(404);
+            expect(unknown.body.error).to.equal("PR: Unknown serial number.");
+
+            const ambiguous = await get("/products/by-serial/SN-API-DUP", "GET", apiUrl);
+            expect(ambiguous.status).to.equal(409);
+            expect(ambiguous.body.error).to.equal("PR: Ambiguous serial number.");
+        });
+
+        it("RPC 的 chainId 与清单不一致时应拒绝启动", async function () {
+            const otherFile = path.join(tmpDir, "other-chain.json");
+            fs.writeFileSync(otherFile, JSON.stringify({ ...manifest, chainId: manifest.chainId + 1 }));
+
+            let error;
+            try {
+                await startApiServer({ rpcUrl, network: otherFile, port: 0, host: "127.0.0.1", logger: null });
+            } catch (e) {
+                error = e;
+            }
+            expect(error && error.message).to.include(`is chain ${manifest.chainId}`);
+        });
+    });
+});
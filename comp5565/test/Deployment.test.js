@@ -0,0 +1,154 @@
+// File: test/Deployment.test.js
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const path = require("path");
+const { deploySystem } = require("../scripts/deploy");
+const { loadManifest, attachContracts } = require("../scripts/lib/manifest");
+const { deployTestSystem, startLocalNode } = require("./helpers/system");
+
+// EIP-170：合约运行时字节码的最大字节数
+const MAX_CONTRACT_SIZE = 24576;
+
+// Deployment Test: 使用 Ignition 模块部署整套系统，验证链接、初始角色、部署清单与重复运行。
+describe("Deployment: ProductSystemModule", function () {
+    let deployer, manufacturer, retailer, serviceCenter, customer1;
+    let tmpDir, deployment, contracts;
+
+    before(async function () {
+        [deployer, manufacturer, retailer, serviceCenter, customer1] = await ethers.getSigners();
+        // 指定执行日志目录，以便在进程内网络上验证重复运行
+        deployment = await deployTestSystem("product-system-", {
+            manufacturers: [manufacturer.address],
+            retailers: [retailer.address],
+            serviceCenters: [serviceCenter.address],
+        }, { journal: true });
+        ({ tmpDir } = deployment);
+        contracts = attachContracts(deployment.manifest, deployer);
+    });
+
+    after(function () {
+        deployment.cleanup();
+    });
+
+    it("应部署四个合约并按顺序完成地址链接", async function () {
+        const { roles, warrantyManager, productRegistry, marketplace } = contracts;
+        expect(await warrantyManager.rolesContractAddress()).to.equal(await roles.getAddress());
+        expect(await warrantyManager.productRegistryAddress()).to.equal(await productRegistry.getAddress());
+        expect(await warrantyManager.marketplaceContract()).to.equal(await marketplace.getAddress());
+        expect(await productRegistry.marketplaceContract()).to.equal(await marketplace.getAddress());
+        expect(await marketplace.productRegistry()).to.equal(await productRegistry.getAddress());
+    });
+
+    it("应按参数授予初始角色，未提供的角色参数为空", async function () {
+        const { roles } = contracts;
+        expect(await roles.isManufacturer(manufacturer.address)).to.be.true;
+        expect(await roles.isRetailer(retailer.address)).to.be.true;
+        expect(await roles.isServiceCenter(serviceCenter.address)).to.be.true;
+        expect(await roles.hasAnyRole(customer1.address)).to.be.false;
+        expect(await roles.hasRole(ethers.ZeroHash, deployer.address)).to.be.true;
+    });
+
+    it("部署清单应包含地址与 ABI，可直接用于发送交易", async function () {
+        const manifest = loadManifest(deployment.manifestFile);
+        expect(manifest.network).to.equal("hardhat");
+        expect(manifest.chainId).to.equal(31337);
+        expect(manifest.contracts.Marketplace.address).to.equal(deployment.contracts.Marketplace.address);
+        expect(manifest.contracts.Marketplace.abi.some((item) => item.name === "registerProduct")).to.be.true;
+
+        const { marketplace, productRegistry } = attachContracts(manifest, manufacturer);
+        await marketplace.registerProduct("SN-DEPLOY-1", "Model-X", "Acme Corp", ethers.parseEther("1"), "ipfs://terms", 365, 2);
+        const tokenId = await productRegistry["getTokenIdBySerialNumber(string)"]("SN-DEPLOY-1");
+        expect(await productRegistry.ownerOf(tokenId)).to.equal(manufacturer.address);
+    });
+
+    it("重复运行时应复用已有部署，不发送新交易", async function () {
+        const blockBefore = await ethers.provider.getBlockNumber();
+        const rerun = await deploySystem(hre, deployment.options);
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+        for (const name of Object.keys(deployment.contracts)) {
+            expect(rerun.contracts[name].address).to.equal(deployment.contracts[name].address);
+        }
+    });
+
+    // 逐个报告四个合约及其链接的外部库的大小，超限时指出是哪个合约
+    it("部署的合约与外部库的运行时字节码不应超过 EIP-170 上限", async function () {
+        const names = new Set();
+        for (const name of Object.keys(deployment.contracts)) {
+            names.add(name);
+            const { linkReferences } = await hre.artifacts.readArtifact(name);
+            for (const libraries of Object.values(linkReferences)) {
+                Object.keys(libraries).forEach((library) => names.add(library));
+            }
+        }
+        expect(names.size).to.be.greaterThan(4);
+        for (const name of names) {
+            const { deployedBytecode } = await hre.artifacts.readArtifact(name);
+            const size = (deployedBytecode.length - 2) / 2;
+            expect(size, `${name} is ${size} bytes`).to.be.lte(MAX_CONTRACT_SIZE);
+        }
+    });
+
+    it("缺少清单或清单不完整时应报错", async function () {
+        expect(() => loadManifest("missing-network", tmpDir)).to.throw("Deployment manifest not found");
+
+        const broken = path.join(tmpDir, "broken.json");
+        fs.writeFileSync(broken, JSON.stringify({ contracts: { RolesContract: {} } }));
+        expect(() => loadManifest(broken)).to.throw("missing WarrantyManager");
+    });
+
+    // 与 `npx hardhat node` + `scripts/deploy.js --network localhost` 相同：经 HTTP 连接节点，
+    // 执行日志与节点实例记录写入临时目录下的 ignition/ 与 cache/，不影响仓库中的目录
+    describe("部署到本地节点 (localhost)", function () {
+        let node, nodeHre, paths;
+
+        const deployToNode = () => deploySystem(nodeHre, { parameters: deployment.options.parameters, manifestDir: tmpDir });
+
+        before(async function () {
+            node = await startLocalNode();
+            paths = { ...hre.config.paths, ignition: path.join(tmpDir, "ignition"), cache: path.join(tmpDir, "cache") };
+            nodeHre = { ...hre, network: node.network, config: { ...hre.config, paths } };
+        });
+
+        after(async function () {
+            await node.close();
+        });
+
+        it("应使用默认执行日志目录，重复运行时复用已有部署", async function () {
+            const first = await deployToNode();
+            const manifest = loadManifest("localhost", tmpDir);
+            expect(manifest.network).to.equal("localhost");
+            expect(manifest.deploymentId).to.equal("chain-31337");
+            expect(fs.existsSync(path.join(paths.ignition, "deployments", "chain-31337", "journal.jsonl"))).to.be.true;
+
+            const provider = new ethers.JsonRpcProvider(node.url);
+            try {
+                const { roles, marketplace } = attachContracts(manifest, provider);
+                expect(await roles.isManufacturer(manufacturer.address)).to.be.true;
+                expect(await marketplace.productRegistry()).to.equal(manifest.contracts.ProductRegistry.address);
+            } finally {
+                provider.destroy();
+            }
+
+            const blockBefore = await ethers.provider.getBlockNumber();
+            const rerun = await deployToNode();
+            expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+            for (const name of Object.keys(first.contracts)) {
+                expect(rerun.contracts[name].address).to.equal(first.contracts[name].address);
+            }
+        });
+
+        it("节点重启 (实例 ID 变化) 后应清除旧执行日志并重新部署", async function () {
+            const instanceFile = path.join(paths.cache, ".hardhat-network-instances.json");
+            fs.writeFileSync(instanceFile, JSON.stringify({ "chain-31337": "restarted-node" }));
+            const previous = loadManifest("localhost", tmpDir);
+
+            const redeployed = await deployToNode();
+            expect(redeployed.contracts.Marketplace.address).to.not.equal(previous.contracts.Marketplace.address);
+            const { instanceId } = await hre.network.provider.request({ method: "hardhat_metadata" });
+            expect(JSON.parse(fs.readFileSync(instanceFile, "utf8"))["chain-31337"]).to.equal(instanceId);
+        });
+    });
+});
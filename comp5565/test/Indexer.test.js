@@ -0,0 +1,212 @@
+// File: test/Indexer.test.js
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const path = require("path");
+const { attachContracts } = require("../scripts/lib/manifest");
+const { deployTestSystem } = require("./helpers/system");
+const {
+    syncIndexer,
+    loadStore,
+    saveStore,
+    getListedProducts,
+    getPendingClaims,
+    getClaimsForProduct,
+    getSalesByAddress,
+    getProduct,
+} = require("../scripts/lib/indexer");
+
+// Indexer Test: 在 Hardhat 网络上执行生命周期流程，验证事件索引、断点续传与查询函数。
+describe("Indexer: Event Replay", function () {
+    let deployer, manufacturer, retailer, serviceCenter, customer1;
+    let system, tmpDir, storeFile, manifest, readContracts, startBlock;
+    let t1, t2, t3;
+
+    const PRICE_MFG = ethers.parseEther("1");
+    const PRICE_RETAIL = ethers.parseEther("2");
+
+    // 以指定账户连接清单中的合约
+    const as = (signer) => attachContracts(manifest, signer);
+
+    async function register(serialNumber) {
+        const { marketplace, productRegistry } = as(manufacturer);
+        await marketplace.registerProduct(serialNumber, "Model-X", "Acme Corp", PRICE_MFG, "ipfs://terms", 365, 3);
+        return (await productRegistry["getTokenIdBySerialNumber(string)"](serialNumber)).toString();
+    }
+
+    before(async function () {
+        [deployer, manufacturer, retailer, serviceCenter, customer1] = await ethers.getSigners();
+        system = await deployTestSystem("indexer-", {
+            manufacturers: [manufacturer.address],
+            retailers: [retailer.address],
+            serviceCenters: [serviceCenter.address],
+        });
+        ({ tmpDir, manifest } = system);
+        storeFile = path.join(tmpDir, "store.json");
+        readContracts = attachContracts(manifest, ethers.provider);
+        startBlock = await ethers.provider.getBlockNumber() + 1;
+    });
+
+    after(function () {
+        system.cleanup();
+    });
+
+    it("首次同步：应索引注册、分销、零售与索赔", async function () {
+        t1 = await register("SN-IDX-1");
+        t2 = await register("SN-IDX-2");
+        t3 = await register("SN-IDX-3");
+        await as(retailer).marketplace.buyProduct(t1, { value: PRICE_MFG });
+        await as(retailer).marketplace.buyProduct(t2, { value: PRICE_MFG });
+        await as(retailer).marketplace["listProduct(uint256,uint256)"](t1, PRICE_RETAIL);
+        await as(customer1).marketplace.buyProduct(t1, { value: PRICE_RETAIL });
+        await as(customer1).warrantyManager.requestService(t1);
+
+        const { store, processed } = await syncIndexer({ contracts: readContracts, storeFile, startBlock });
+        expect(processed).to.be.gt(0);
+        expect(store.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+
+        expect(getListedProducts(store, { sellerType: "manufacturer" }).map((p) => p.tokenId)).to.deep.equal([t3]);
+        expect(getListedProducts(store, { sellerType: "retailer" })).to.have.length(0);
+
+        const product = getProduct(store, t1);
+        expect(product.owner).to.equal(customer1.address);
+        expect(product.transfers.map((t) => t.to)).to.deep.equal([manufacturer.address, retailer.address, customer1.address]);
+
+        const pending = getPendingClaims(store);
+        expect(pending).to.have.length(1);
+        expect(pending[0].tokenId).to.equal(t1);
+        expect(pending[0].customer).to.equal(customer1.address);
+
+        const retailerSales = getSalesByAddress(store, retailer.address);
+        expect(retailerSales.purchases.map((s) => s.tokenId)).to.deep.equal([t1, t2]);
+        expect(retailerSales.sales).to.have.length(1);
+        expect(retailerSales.sales[0].price).to.equal(PRICE_RETAIL.toString());
+    });
+
+    it("重启后应从上次的区块继续，只处理新事件", async function () {
+        const lastBlock = loadStore(storeFile).lastBlock;
+        const { warrantyManager } = as(serviceCenter);
+        await warrantyManager.approveClaim(t1, "Replaced screen");
+        await as(customer1).warrantyManager.requestService(t1);
+        await warrantyManager.rejectClaim(t1, "User damage");
+        await as(retailer).marketplace["listProduct(uint256,uint256)"](t2, PRICE_RETAIL);
+        await as(customer1).warrantyManager.requestService(t1);
+
+        const { store, processed } = await syncIndexer({ contracts: readContracts, storeFile, startBlock });
+        expect(processed).to.equal(5); // 批准、申请、拒绝、上架、申请
+        expect(store.lastBlock).to.be.gt(lastBlock);
+
+        const claims = getClaimsForProduct(store, t1);
+        expect(claims.map((c) => c.status)).to.deep.equal(["Approved", "Rejected", "Pending"]);
+        expect(claims[0].serviceCenter).to.equal(serviceCenter.address);
+        expect(claims[1].note).to.equal("User damage");
+
+        const now = (await ethers.provider.getBlock("latest")).timestamp;
+        const pending = getPendingClaims(store, { now });
+        expect(pending).to.have.length(1);
+        expect(pending[0].ageSeconds).to.be.gte(0);
+
+        expect(getListedProducts(store, { sellerType: "retailer" }).map((p) => p.tokenId)).to.deep.equal([t2]);
+        expect(getListedProducts(store).map((p) => p.tokenId)).to.deep.equal([t2, t3]);
+
+        // 没有新区块时不做任何处理
+        expect((await syncIndexer({ contracts: readContracts, storeFile, startBlock })).processed).to.equal(0);
+    });
+
+    it("下架、拍卖取消后应从在售列表中移除", async function () {
+        await as(retailer).marketplace.delistProduct(t2);
+        let { store } = await syncIndexer({ contracts: readContracts, storeFile, startBlock });
+        expect(getListedProducts(store).map((p) => p.tokenId)).to.deep.equal([t3]);
+        expect(getProduct(store, t2).delistedAt.blockNumber).to.equal(store.lastBlock);
+
+        const { marketplace } = as(manufacturer);
+        await marketplace.createEnglishAuction(t3, PRICE_RETAIL, 1, 3600);
+        ({ store } = await syncIndexer({ contracts: readContracts, storeFile, startBlock }));
+        expect(getProduct(store, t3).listed).to.equal(true);
+        expect(getProduct(store, t3).price).to.equal(PRICE_RETAIL.toString());
+
+        await marketplace.cancelAuction(await readContracts.marketplace.activeAuctionId(t3));
+        ({ store } = await syncIndexer({ contracts: readContracts, storeFile, startBlock }));
+        expect(getListedProducts(store)).to.have.length(0);
+    });
+
+    it("挂失时应下架并标记，找回后解除标记", async function () {
+        const t4 = await register("SN-IDX-4");
+        let { store } = await syncIndexer({ contracts: readContracts, storeFile, startBlock });
+        expect(getListedProducts(store).map((p) => p.tokenId)).to.deep.equal([t4]);
+
+        const { productRegistry } = as(manufacturer);
+        await productRegistry.reportLostOrStolen(t4, ethers.id("police-report-4"));
+        ({ store } = await syncIndexer({ contracts: readContracts, storeFile, startBlock }));
+        expect(getProduct(store, t4).lostOrStolen).to.equal(true);
+        expect(getListedProducts(store)).to.have.length(0);
+
+        await productRegistry.recoverProduct(t4);
+        ({ store } = await syncIndexer({ contracts: readContracts, storeFile, startBlock }));
+        expect(getProduct(store, t4).lostOrStolen).to.equal(false);
+        expect(getProduct(store, t4).listed).to.equal(false);
+        expect(await readContracts.productRegistry.getListedProductCount()).to.equal(0);
+    });
+
+    it("代币计价上架应记录币种，绕过市场的转移不改变上架状态", async function () {
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const usdc = await MockERC20.deploy("Mock USD Coin", "mUSDC");
+        await as(deployer).marketplace.setPaymentTokenAllowed(usdc.target, true);
+
+        const t5 = await register("SN-IDX-5");
+        await as(retailer).marketplace.buyProduct(t5, { value: PRICE_MFG });
+        await as(retailer).marketplace["listProduct(uint256,uint256,address)"](t5, 800n, usdc.target);
+        let { store } = await syncIndexer({ contracts: readContracts, storeFile, startBlock });
+        expect(getProduct(store, t5)).to.include({ listed: true, price: "800", paymentToken: usdc.target });
+
+        // 与链上一致：转移后 isListed 仍为 true，需由新所有者下架
+        await as(retailer).productRegistry.transferFrom(retailer.address, customer1.address, t5);
+        ({ store } = await syncIndexer({ contracts: readContracts, storeFile, startBlock }));
+        expect(getProduct(store, t5)).to.include({ owner: customer1.address, listed: true });
+        expect((await readContracts.productRegistry.getProductMarketInfo(t5)).isListed).to.equal(true);
+
+        await as(customer1).marketplace.delistProduct(t5);
+        ({ store } = await syncIndexer({ contracts: readContracts, storeFile, startBlock }));
+        expect(getProduct(store, t5).listed).to.equal(false);
+    });
+
+    it("担保购买退货后应撤销对应的成交记录", async function () {
+        const t6 = await register("SN-IDX-6");
+        await as(retailer).marketplace.buyProductWithEscrow(t6, { value: PRICE_MFG });
+        let { store } = await syncIndexer({ contracts: readContracts, storeFile, startBlock });
+        expect(getSalesByAddress(store, retailer.address).purchases.map((s) => s.tokenId)).to.include(t6);
+
+        await as(retailer).marketplace.openReturn(t6);
+        ({ store } = await syncIndexer({ contracts: readContracts, storeFile, startBlock }));
+        expect(store.sales.map((s) => s.tokenId)).to.not.include(t6);
+        expect(getSalesByAddress(store, retailer.address).purchases.map((s) => s.tokenId)).to.not.include(t6);
+        expect(getSalesByAddress(store, manufacturer.address).sales.map((s) => s.tokenId)).to.not.include(t6);
+        expect(getProduct(store, t6)).to.include({ owner: manufacturer.address, listed: false });
+    });
+
+    it("分批完整重建的结果应与增量索引一致", async function () {
+        const incremental = loadStore(storeFile);
+        const rebuiltFile = path.join(tmpDir, "rebuilt.json");
+        const { store } = await syncIndexer({ contracts: readContracts, storeFile: rebuiltFile, startBlock, batchSize: 3 });
+
+        expect(store.lastBlock).to.equal(incremental.lastBlock);
+        expect(store.products).to.deep.equal(incremental.products);
+        expect(store.claims).to.deep.equal(incremental.claims);
+        expect(store.sales).to.deep.equal(incremental.sales);
+    });
+
+    it("存储属于其他部署时应拒绝续传", async function () {
+        const store = loadStore(storeFile);
+        store.addresses.marketplace = deployer.address;
+        const otherFile = path.join(tmpDir, "other.json");
+        saveStore(store, otherFile);
+
+        let error;
+        try {
+            await syncIndexer({ contracts: readContracts, storeFile: otherFile, startBlock });
+        } catch (e) {
+            error = e;
+        }
+        expect(error && error.message).to.include("different deployment");
+    });
+});
@@ -0,0 +1,216 @@
+// File: test/Ops.test.js
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const path = require("path");
+const { attachContracts } = require("../scripts/lib/manifest");
+const { parseProductCsv, parseAmount, resolveSigner } = require("../scripts/lib/cli");
+const { deployTestSystem } = require("./helpers/system");
+
+// Ops Test: 通过 hre.run 调用 tasks/ops.js 中的运维任务，验证签名账户选择、CSV 注册、交易、索赔与查询输出。
+describe("Ops CLI: Hardhat Tasks", function () {
+    let signers, deployer, manufacturer, retailer, serviceCenter, customer1, newcomer;
+    let system, tmpDir, manifestFile, contracts;
+    let t1;
+
+    const CSV = [
+        "serialNumber,modelDetails,manufacturerDetails,price,warrantyTermsURI,durationDays,maxClaims,royaltyBps",
+        "SN-OPS-1,Model-X,\"Acme, Inc.\",1,ipfs://terms,365,2,",
+        "SN-OPS-2,Model-Y,Acme,0.5,ipfs://terms,180,1,250",
+        "",
+    ].join("\n");
+
+    // 执行任务并捕获 console.log 输出
+    async function run(name, args = {}) {
+        const lines = [];
+        const original = console.log;
+        console.log = (...parts) => lines.push(parts.join(" "));
+        try {
+            const result = await hre.run(name, { manifest: manifestFile, ...args });
+            return { result, output: lines.join("\n") };
+        } finally {
+            console.log = original;
+        }
+    }
+
+    async function expectFailure(promise, message) {
+        let error;
+        try {
+            await promise;
+        } catch (e) {
+            error = e;
+        }
+        expect(error, "expected the task to fail").to.not.equal(undefined);
+        expect(error.message).to.include(message);
+    }
+
+    before(async function () {
+        signers = await ethers.getSigners();
+        [deployer, manufacturer, retailer, serviceCenter, customer1, , newcomer] = signers;
+        system = await deployTestSystem("ops-", {
+            manufacturers: [manufacturer.address],
+            retailers: [retailer.address],
+            serviceCenters: [serviceCenter.address],
+        });
+        ({ tmpDir, manifestFile } = system);
+        contracts = attachContracts(system.manifest, ethers.provider);
+    });
+
+    after(function () {
+        system.cleanup();
+    });
+
+    describe("签名账户与角色", function () {
+        it("resolveSigner 应按序号或角色选择账户", async function () {
+            expect((await resolveSigner(signers, contracts.roles, "4")).address).to.equal(customer1.address);
+            expect((await resolveSigner(signers, contracts.roles, "admin")).address).to.equal(deployer.address);
+            expect((await resolveSigner(signers, contracts.roles, "serviceCenter")).address).to.equal(serviceCenter.address);
+            await expectFailure(resolveSigner(signers, contracts.roles, "arbiter"), "No available account has the arbiter role.");
+            await expectFailure(resolveSigner(signers, contracts.roles, "99"), "out of range");
+            await expectFailure(resolveSigner(signers, contracts.roles, "owner"), 'Unknown role "owner"');
+        });
+
+        it("roles:grant / roles:revoke 应由管理员授予和撤销角色", async function () {
+            const granted = await run("roles:grant", { role: "arbiter", account: newcomer.address });
+            expect(granted.result.hasRole).to.equal(true);
+            expect(await contracts.roles.isArbiter(newcomer.address)).to.equal(true);
+
+            const revoked = await run("roles:revoke", { role: "arbiter", account: newcomer.address });
+            expect(revoked.result.hasRole).to.equal(false);
+            expect(revoked.output).to.include("Revoke arbiter");
+        });
+
+        it("非管理员账户授予角色应失败 (负面测试)", async function () {
+            await expectFailure(
+                run("roles:grant", { role: "retailer", account: newcomer.address, signer: "4" }),
+                "AccessControlUnauthorizedAccount"
+            );
+        });
+    });
+
+    describe("CSV 批量注册", function () {
+        it("parseProductCsv 应解析引号字段与可选列，并按行号报告错误", function () {
+            const [first, second] = parseProductCsv(CSV);
+            expect(first).to.include({ line: 2, serialNumber: "SN-OPS-1", manufacturerDetails: "Acme, Inc.", royaltyBps: null });
+            expect(first.price).to.equal("1");
+            expect(second.royaltyBps).to.equal(250n);
+            expect(parseAmount(second.price, 18)).to.equal(ethers.parseEther("0.5"));
+            expect(parseAmount("12.5", 6)).to.equal(12_500_000n);
+            expect(() => parseAmount("0.0000001", 6)).to.throw("more than 6 decimal places");
+
+            const header = CSV.split("\n")[0];
+            expect(() => parseProductCsv("serialNumber,price\nSN,1")).to.throw("Missing column(s)");
+            expect(() => parseProductCsv(`${header}\nSN-A,M,A,abc,uri,365,1,`)).to.throw("CSV line 2: Invalid price abc.");
+            expect(() => parseProductCsv(`${header}\nSN-A,M,A,1,uri,365,1,\nsn-a,M,A,1,uri,365,1,`)).to.throw("CSV line 3: Duplicate serialNumber");
+            expect(() => parseProductCsv(`${header}\nSN-A,M,A,1,uri,365,300,`)).to.throw("maxClaims must be at most 255.");
+        });
+
+        it("product:register 应以制造商账户逐行注册并返回 Token ID", async function () {
+            const file = path.join(tmpDir, "products.csv");
+            fs.writeFileSync(file, CSV);
+
+            const dryRun = await run("product:register", { file, dryRun: true });
+            expect(dryRun.result).to.deep.equal({ registered: [], validated: 2 });
+
+            const { result } = await run("product:register", { file });
+            expect(result.registered.map((p) => p.serialNumber)).to.deep.equal(["SN-OPS-1", "SN-OPS-2"]);
+            for (const { tokenId } of result.registered) {
+                expect(await contracts.productRegistry.ownerOf(tokenId)).to.equal(manufacturer.address);
+            }
+            t1 = result.registered[0].tokenId;
+        });
+    });
+
+    describe("交易与索赔", function () {
+        it("product:buy / list / delist 应按所选账户完成分销与零售", async function () {
+            await run("product:buy", { tokenId: t1, signer: "retailer" });
+            expect(await contracts.productRegistry.ownerOf(t1)).to.equal(retailer.address);
+
+            await run("product:list", { tokenId: t1, price: "2", signer: "retailer" });
+            await run("product:delist", { tokenId: t1, signer: "retailer" });
+            await expectFailure(run("product:buy", { tokenId: t1, signer: "4" }), `Product #${t1} is not listed.`);
+
+            await run("product:list", { tokenId: t1, price: "2", signer: "retailer" });
+            const { result } = await run("product:buy", { tokenId: t1, signer: "4" });
+            expect(result.price).to.equal(ethers.parseEther("2").toString());
+            expect(await contracts.productRegistry.ownerOf(t1)).to.equal(customer1.address);
+        });
+
+        it("ERC-20 计价时应按代币的 decimals() 换算价格", async function () {
+            const MockERC20Decimals = await ethers.getContractFactory("MockERC20Decimals");
+            const usdc = await MockERC20Decimals.deploy("Mock USD Coin", "mUSDC", 6);
+            await attachContracts(system.manifest, deployer).marketplace.setPaymentTokenAllowed(usdc.target, true);
+
+            const header = "serialNumber,modelDetails,manufacturerDetails,price,warrantyTermsURI,durationDays,maxClaims,royaltyBps,paymentToken";
+            const file = path.join(tmpDir, "usdc.csv");
+            fs.writeFileSync(file, `${header}\nSN-OPS-USD-1,Model-X,Acme,12.5,ipfs://terms,365,1,,${usdc.target}\n`);
+            const { result } = await run("product:register", { file });
+            const tokenId = result.registered[0].tokenId;
+            const [price, isListed, paymentToken] = await contracts.productRegistry.getProductMarketInfo(tokenId);
+            expect(price).to.equal(12_500_000n);
+            expect(isListed).to.equal(true);
+            expect(paymentToken).to.equal(usdc.target);
+
+            await run("product:list", { tokenId, price: "20.25", paymentToken: usdc.target, signer: "manufacturer" });
+            expect((await contracts.productRegistry.getProductMarketInfo(tokenId))[0]).to.equal(20_250_000n);
+            const { output } = await run("product:verify", { tokenId });
+            expect(output).to.include(`在售 20.25 (token ${usdc.target})`);
+
+            // 任一行精度超出代币小数位数时，整个文件都不发送交易
+            fs.writeFileSync(file, `${header}\nSN-OPS-ETH-3,Model-X,Acme,1,ipfs://terms,365,1,,\nSN-OPS-USD-2,Model-X,Acme,0.0000001,ipfs://terms,365,1,,${usdc.target}\n`);
+            await expectFailure(run("product:register", { file }), "CSV line 3: Amount 0.0000001 has more than 6 decimal places.");
+            await expectFailure(contracts.productRegistry["getTokenIdBySerialNumber(string)"]("SN-OPS-ETH-3"), "Unknown serial number");
+        });
+
+        it("claim:request / approve / reject 应完成索赔流程", async function () {
+            const first = await run("claim:request", { tokenId: t1, reason: "Screen flicker", signer: "4" });
+            expect(first.result.claimId).to.not.equal("0");
+            await run("claim:approve", { tokenId: t1, log: "Replaced screen" });
+
+            const second = await run("claim:request", { tokenId: t1, reason: "Dropped", signer: "4" });
+            expect(Number(second.result.claimId)).to.equal(Number(first.result.claimId) + 1);
+            await run("claim:reject", { tokenId: t1, reason: "Accidental damage" });
+
+            const claim = await contracts.warrantyManager.getClaim(second.result.claimId);
+            expect(claim.decision).to.equal(2n); // Rejected
+            expect(claim.serviceCenter).to.equal(serviceCenter.address);
+        });
+
+        it("非所有者发起索赔应失败 (负面测试)", async function () {
+            await expectFailure(run("claim:request", { tokenId: t1, signer: "retailer" }), "Caller is not the product owner.");
+        });
+    });
+
+    describe("查询输出", function () {
+        it("product:verify 应输出可读文本或 JSON", async function () {
+            const human = await run("product:verify", { serial: "SN-OPS-1" });
+            expect(human.output).to.include(`产品 #${t1}  SN-OPS-1`);
+            expect(human.output).to.include(`当前所有者: ${customer1.address}`);
+            expect(human.output).to.include("未上架");
+
+            const json = await run("product:verify", { tokenId: t1, json: true });
+            expect(JSON.parse(json.output)).to.deep.equal(json.result);
+            expect(json.result.ownershipHistory.map((log) => log.to)).to.deep.equal([manufacturer.address, retailer.address, customer1.address]);
+
+            await expectFailure(run("product:verify", {}), "Pass exactly one of --token-id or --serial.");
+        });
+
+        it("warranty:status 应解码保修状态", async function () {
+            const human = await run("warranty:status", { tokenId: t1 });
+            expect(human.output).to.include(`保修 #${t1}: Active`);
+            expect(human.output).to.include("已索赔次数: 1 / 2");
+
+            const json = await run("warranty:status", { tokenId: t1, json: true });
+            expect(JSON.parse(json.output)).to.include({ status: "Active", statusCode: 1, serviceLog: "Rejected: Accidental damage" });
+        });
+
+        it("清单与当前链不一致时应拒绝执行 (负面测试)", async function () {
+            const manifest = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+            const otherFile = path.join(tmpDir, "other-chain.json");
+            fs.writeFileSync(otherFile, JSON.stringify({ ...manifest, chainId: 1 }));
+            await expectFailure(run("warranty:status", { tokenId: t1, manifest: otherFile }), "manifest was written for chain 1");
+        });
+    });
+});
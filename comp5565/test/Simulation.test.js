@@ -0,0 +1,165 @@
+// File: test/Simulation.test.js
+
+const { expect } = require("chai");
+const hre = require("hardhat");
+const path = require("path");
+const { loadScenario, validateScenario, runScenario, runLoadTest, renderStep } = require("../scripts/lib/simulation");
+
+const SCENARIO_DIR = path.join(__dirname, "..", "scenarios");
+
+// Simulation Test: 执行 scenarios/ 下的场景文件与内联场景，验证逐步报告、断言与预期回退；随机负载模式验证可复现与 Gas 统计。
+describe("Simulation: Scenario Engine", function () {
+    // 场景会修改账户余额并推进时间，结束后恢复链状态，避免影响其他测试文件
+    let snapshotId;
+
+    before(async function () {
+        snapshotId = await hre.network.provider.send("evm_snapshot");
+    });
+
+    after(async function () {
+        await hre.network.provider.send("evm_revert", [snapshotId]);
+    });
+
+    // 最小场景：制造商注册，零售商购买
+    function baseScenario(steps) {
+        return {
+            name: "inline",
+            actors: {
+                maker: { role: "manufacturer" },
+                shop: { role: "retailer" },
+                bob: {},
+            },
+            products: {
+                item: { manufacturer: "maker", serialNumber: "SN-SIM-1", price: 1, warrantyDays: 30, maxClaims: 1 },
+            },
+            steps: [{ action: "register", product: "item" }, { action: "buy", actor: "shop", product: "item" }, ...steps],
+        };
+    }
+
+    describe("场景文件", function () {
+        it("full-lifecycle.yaml 应全部通过并记录每步的所有者、余额与保修状态", async function () {
+            const report = await runScenario(hre, loadScenario(path.join(SCENARIO_DIR, "full-lifecycle.yaml")));
+            expect(report.passed).to.equal(true);
+            expect(report.steps).to.have.length(21);
+            expect(BigInt(report.totalGas)).to.be.gt(0n);
+
+            const [register, distribution] = report.steps;
+            expect(register.gasUsed).to.not.equal(null);
+            expect(register.state.products.watch).to.include({ owner: "manufacturer", listed: true, warranty: "Active" });
+            expect(distribution.state.products.watch.owner).to.equal("retailer");
+            expect(Object.keys(distribution.state.balances)).to.deep.equal(["manufacturer", "retailer", "serviceCenter", "customer1", "customer2"]);
+
+            // 拒绝后的索赔账本：第一次批准，第二次拒绝，均由服务中心处理
+            const rejected = report.steps[16];
+            expect(rejected.action).to.equal("reject");
+            expect(rejected.state.products.watch.claims.map(({ decision, serviceCenter, note }) => ({ decision, serviceCenter, note }))).to.deep.equal([
+                { decision: "Approved", serviceCenter: "serviceCenter", note: "屏幕维修完成。" },
+                { decision: "Rejected", serviceCenter: "serviceCenter", note: "人为损坏，不在保修范围内。" },
+            ]);
+            const rendered = renderStep(rejected);
+            expect(rendered).to.include("[Approved] 服务中心: serviceCenter，日志: 屏幕维修完成。");
+            expect(rendered).to.include("[Rejected] 服务中心: serviceCenter，日志: 人为损坏，不在保修范围内。");
+            expect(renderStep(report.steps[1])).to.not.include("服务中心:");
+
+            const expired = report.steps[19];
+            expect(expired).to.include({ action: "claim", status: "passed", reverted: "Warranty has expired.", gasUsed: null });
+            expect(report.steps[20].state.products.watch).to.include({ owner: "customer2", warranty: "Expired", claimedCount: 1 });
+        });
+
+        it("retail-guardrails.json 应通过 (角色限制、下架与索赔次数用尽均按预期回退)", async function () {
+            const report = await runScenario(hre, loadScenario(path.join(SCENARIO_DIR, "retail-guardrails.json")));
+            expect(report.passed).to.equal(true);
+            expect(report.steps.filter((step) => step.reverted).map((step) => step.index)).to.deep.equal([2, 6, 7, 11, 15]);
+            expect(Number(report.steps[0].state.balances.alice)).to.equal(50);
+        });
+    });
+
+    describe("断言与失败", function () {
+        it("断言不符时应停止执行并报告差异", async function () {
+            const report = await runScenario(hre, baseScenario([
+                { action: "expect", owner: { item: "bob" }, listed: { item: false } },
+                { action: "list", actor: "shop", product: "item", price: 2 },
+            ]));
+            expect(report.passed).to.equal(false);
+            expect(report.steps).to.have.length(3);
+            expect(report.steps[2].status).to.equal("failed");
+            expect(report.steps[2].error).to.equal('Expectation failed: owner.item: expected "bob", got "shop"');
+        });
+
+        it("预期回退但执行成功、或回退原因不符时应判定失败", async function () {
+            const succeeded = await runScenario(hre, baseScenario([
+                { action: "list", actor: "shop", product: "item", price: 2, expectRevert: "MP: Not owner." },
+            ]));
+            expect(succeeded.passed).to.equal(false);
+            expect(succeeded.steps[2].error).to.include("but the step succeeded");
+
+            const otherReason = await runScenario(hre, baseScenario([
+                { action: "list", actor: "bob", product: "item", price: 2, expectRevert: "MP: Price must be > 0" },
+            ]));
+            expect(otherReason.passed).to.equal(false);
+            expect(otherReason.steps[2].error).to.equal("MP: Not owner.");
+        });
+
+        it("时间推进应使保修过期", async function () {
+            const report = await runScenario(hre, baseScenario([
+                { action: "advanceTime", days: 31 },
+                { action: "expect", warranty: { item: "Expired" }, pendingWithdrawal: { maker: 1 } },
+            ]));
+            expect(report.passed).to.equal(true);
+        });
+    });
+
+    describe("场景校验 (负面测试)", function () {
+        it("应拒绝未知动作、未知引用与缺失字段", function () {
+            const check = (scenario, message) => expect(() => validateScenario(scenario, "test")).to.throw(message);
+            check(baseScenario([{ action: "teleport" }]), "Step 3: Unknown action teleport.");
+            check(baseScenario([{ action: "buy", actor: "carol", product: "item" }]), "Step 3 (buy): Unknown actor carol.");
+            check(baseScenario([{ action: "list", actor: "shop", product: "item" }]), "Step 3 (list): price is required.");
+            check(baseScenario([{ action: "expect", owner: { phone: "bob" } }]), "owner references unknown product phone.");
+            check(baseScenario([{ action: "expect", colour: { item: "red" } }]), "Unknown expectation colour.");
+            check(baseScenario([{ action: "advanceTime" }]), "days or seconds is required.");
+
+            const reserved = baseScenario([]);
+            reserved.actors.admin = {};
+            check(reserved, '"admin" is reserved');
+
+            const missing = baseScenario([]);
+            delete missing.products.item.price;
+            check(missing, "Product item is missing price.");
+        });
+    });
+
+    describe("随机负载", function () {
+        const options = { seed: 42, manufacturers: 1, retailers: 2, serviceCenters: 1, customers: 4, products: 4, operations: 25 };
+
+        it("应统计每类操作的 Gas，且相同种子产生相同的操作序列", async function () {
+            const first = await runLoadTest(hre, options);
+            const second = await runLoadTest(hre, options);
+
+            expect(first.gas.registerProduct.count).to.equal(4);
+            expect(first.gas.buyProduct.count).to.be.gt(0);
+            for (const stats of Object.values(first.gas)) {
+                if (stats.count > 0) {
+                    expect(BigInt(stats.minGas)).to.be.lte(BigInt(stats.avgGas));
+                    expect(BigInt(stats.avgGas)).to.be.lte(BigInt(stats.maxGas));
+                }
+            }
+            const attempts = Object.values(first.gas).reduce((sum, stats) => sum + stats.count + stats.reverted, 0);
+            expect(attempts + first.timeAdvances).to.equal(options.products + options.operations);
+            expect(first.final.sales).to.equal(first.gas.buyProduct.count);
+
+            const shape = (report) => Object.fromEntries(Object.entries(report.gas).map(([op, stats]) => [op, [stats.count, stats.reverted]]));
+            expect(shape(second)).to.deep.equal(shape(first));
+            expect(second.reverts).to.deep.equal(first.reverts);
+        });
+
+        it("只有一个客户时，客户转售的产品不应被选为购买目标", async function () {
+            const report = await runLoadTest(hre, { seed: 1, manufacturers: 1, retailers: 1, serviceCenters: 1, customers: 1, products: 3, operations: 40 });
+
+            expect(report.gas.listProduct.count).to.be.gt(0);
+            expect(report.gas.buyProduct.reverted).to.equal(0);
+            expect(report.gas.buyProduct.count).to.equal(6); // 每个产品依次卖给唯一的零售商和客户
+            expect(Object.keys(report.reverts).join()).to.not.include("runner");
+        });
+    });
+});
@@ -1,6 +1,7 @@
 // File: test/Unit_Marketplace.test.js
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { getLinkedContractFactory } = require("./helpers/system");
 
 describe("Unit Test: Marketplace (E-Commerce Model)", function () {
     let roles, registry, warrantyManager, marketplace;
@@ -43,11 +44,11 @@ describe("Unit Test: Marketplace (E-Commerce Model)", function () {
         roles = await RolesContract.deploy();
         
         // B. WarrantyManager (使用真实合约)
-        const WarrantyManager = await ethers.getContractFactory("WarrantyManager");
+        const WarrantyManager = await getLinkedContractFactory("WarrantyManager");
         warrantyManager = await WarrantyManager.deploy(roles.target);
 
         // C. ProductRegistry
-        const ProductRegistry = await ethers.getContractFactory("ProductRegistry");
+        const ProductRegistry = await getLinkedContractFactory("ProductRegistry");
         registry = await ProductRegistry.deploy(roles.target, warrantyManager.target);
 
         // D. Marketplace
@@ -89,6 +90,15 @@ describe("Unit Test: Marketplace (E-Commerce Model)", function () {
             expect(inventory).to.include(BigInt(tokenId)); 
         }); // <--- 【修正点】: 闭合 it 块
 
+        it("同一制造商不能重复注册相同序列号 (忽略大小写)", async function () {
+            const tokenId = await registerProduct(PRICE_MFG);
+            await expect(
+                marketplace.connect(manufacturer).registerProduct(
+                    (TEST_SN_PREFIX + tokenId).toLowerCase(), "Model-X", "MFG Inc.", PRICE_MFG, "URI", 365, 3
+                )
+            ).to.be.revertedWith("PR: Duplicate serial number.");
+        });
+
         it("非制造商不能注册", async function () {
             await expect(
                 marketplace.connect(retailer).registerProduct(
@@ -117,7 +127,7 @@ describe("Unit Test: Marketplace (E-Commerce Model)", function () {
                 marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG })
             )
             .to.emit(marketplace, "ProductSold")
-            .withArgs(tokenId, retailer.address, manufacturer.address, PRICE_MFG);
+            .withArgs(tokenId, retailer.address, manufacturer.address, PRICE_MFG, 0, 0, ethers.ZeroAddress);
 
             // 验证 1：所有权转移
             expect(await registry.ownerOf(tokenId)).to.equal(retailer.address);
@@ -165,7 +175,7 @@ describe("Unit Test: Marketplace (E-Commerce Model)", function () {
                 marketplace.connect(retailer).listProduct(tokenId, PRICE_RETAIL)
             )
             .to.emit(marketplace, "ProductListed")
-            .withArgs(tokenId, PRICE_RETAIL, retailer.address);
+            .withArgs(tokenId, PRICE_RETAIL, retailer.address, ethers.ZeroAddress);
 
             const marketInfo = await registry.getProductMarketInfo(tokenId);
             expect(marketInfo.isListed).to.be.true;
@@ -181,7 +191,7 @@ describe("Unit Test: Marketplace (E-Commerce Model)", function () {
                 marketplace.connect(customer1).buyProduct(tokenId, { value: PRICE_RETAIL })
             )
             .to.emit(marketplace, "ProductSold")
-            .withArgs(tokenId, customer1.address, retailer.address, PRICE_RETAIL);
+            .withArgs(tokenId, customer1.address, retailer.address, PRICE_RETAIL, 0, 0, ethers.ZeroAddress);
 
             // 验证所有权
             expect(await registry.ownerOf(tokenId)).to.equal(customer1.address);
@@ -216,7 +226,7 @@ describe("Unit Test: Marketplace (E-Commerce Model)", function () {
                 marketplace.connect(customer2).buyProduct(tokenId, { value: PRICE_RESALE })
             )
             .to.emit(marketplace, "ProductSold")
-            .withArgs(tokenId, customer2.address, customer1.address, PRICE_RESALE);
+            .withArgs(tokenId, customer2.address, customer1.address, PRICE_RESALE, 0, 0, ethers.ZeroAddress);
 
             // 验证所有权
             expect(await registry.ownerOf(tokenId)).to.equal(customer2.address);
@@ -233,4 +243,1231 @@ describe("Unit Test: Marketplace (E-Commerce Model)", function () {
             ).to.be.revertedWith("MP: Not owner.");
         });
     });
-});
\ No newline at end of file
+
+    // =============================================================
+    // 测试场景 5: 担保购买 (Escrow)
+    // =============================================================
+    describe("5. Escrow Purchase & Returns", function () {
+        const EscrowStatus = { None: 0, Held: 1, Released: 2, Returned: 3 };
+        const RETURN_WINDOW = 7 * 24 * 60 * 60;
+        let tokenId;
+
+        beforeEach(async function () {
+            // Mfg -> Retailer，零售商上架
+            tokenId = await registerProduct(PRICE_MFG);
+            await marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG });
+            await marketplace.connect(retailer).listProduct(tokenId, PRICE_RETAIL);
+        });
+
+        it("担保购买应立即交付 NFT，但资金由 Marketplace 托管", async function () {
+            const mpBalanceBefore = await ethers.provider.getBalance(marketplace.target);
+
+            await expect(
+                marketplace.connect(customer1).buyProductWithEscrow(tokenId, { value: PRICE_RETAIL })
+            )
+            .to.emit(marketplace, "EscrowCreated")
+            .and.to.emit(marketplace, "ProductSold")
+            .withArgs(tokenId, customer1.address, retailer.address, PRICE_RETAIL, 0, 0, ethers.ZeroAddress);
+
+            expect(await registry.ownerOf(tokenId)).to.equal(customer1.address);
+            expect(await ethers.provider.getBalance(marketplace.target)).to.equal(mpBalanceBefore + PRICE_RETAIL);
+
+            const escrow = await marketplace.escrows(tokenId);
+            expect(escrow.status).to.equal(EscrowStatus.Held);
+            expect(escrow.amount).to.equal(PRICE_RETAIL);
+        });
+
+        it("买家确认收货后应放款给卖家", async function () {
+            await marketplace.connect(customer1).buyProductWithEscrow(tokenId, { value: PRICE_RETAIL });
+
+            const creditBefore = await marketplace.pendingWithdrawals(retailer.address);
+            await expect(marketplace.connect(customer1).confirmReceipt(tokenId))
+                .to.emit(marketplace, "EscrowReleased")
+                .withArgs(tokenId, retailer.address, PRICE_RETAIL);
+            expect(await marketplace.pendingWithdrawals(retailer.address)).to.equal(creditBefore + PRICE_RETAIL);
+
+            expect((await marketplace.escrows(tokenId)).status).to.equal(EscrowStatus.Released);
+        });
+
+        it("非买家不能确认收货", async function () {
+            await marketplace.connect(customer1).buyProductWithEscrow(tokenId, { value: PRICE_RETAIL });
+            await expect(
+                marketplace.connect(retailer).confirmReceipt(tokenId)
+            ).to.be.revertedWith("MP: Only buyer can confirm.");
+        });
+
+        it("退货期内不能强制放款，期满后任何人都可放款", async function () {
+            await marketplace.connect(customer1).buyProductWithEscrow(tokenId, { value: PRICE_RETAIL });
+
+            await expect(
+                marketplace.connect(retailer).releaseEscrow(tokenId)
+            ).to.be.revertedWith("MP: Return window still open.");
+
+            await ethers.provider.send("evm_increaseTime", [RETURN_WINDOW]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(marketplace.connect(retailer).releaseEscrow(tokenId))
+                .to.emit(marketplace, "EscrowReleased")
+                .withArgs(tokenId, retailer.address, PRICE_RETAIL);
+        });
+
+        it("退货期内买家可退货：NFT 退回卖家、资金退回买家，并记录 SALE_RETURNED", async function () {
+            await marketplace.connect(customer1).buyProductWithEscrow(tokenId, { value: PRICE_RETAIL });
+
+            await expect(marketplace.connect(customer1).openReturn(tokenId))
+                .to.emit(marketplace, "PurchaseReturned")
+                .withArgs(tokenId, customer1.address, retailer.address, PRICE_RETAIL);
+
+            expect(await registry.ownerOf(tokenId)).to.equal(retailer.address);
+            expect((await marketplace.escrows(tokenId)).status).to.equal(EscrowStatus.Returned);
+            // 退款记入买家余额，可随时提现
+            expect(await marketplace.pendingWithdrawals(customer1.address)).to.be.gte(PRICE_RETAIL);
+
+            const verifyData = await registry.verifyProduct(tokenId);
+            const history = verifyData.ownershipHistory;
+            expect(history[history.length - 2].eventType).to.equal("RETAIL_SALE");
+            expect(history[history.length - 1].eventType).to.equal("SALE_RETURNED");
+            expect(history[history.length - 1].from).to.equal(customer1.address);
+            expect(history[history.length - 1].to).to.equal(retailer.address);
+        });
+
+        it("退货期满后不能再退货", async function () {
+            await marketplace.connect(customer1).buyProductWithEscrow(tokenId, { value: PRICE_RETAIL });
+
+            await ethers.provider.send("evm_increaseTime", [RETURN_WINDOW]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(
+                marketplace.connect(customer1).openReturn(tokenId)
+            ).to.be.revertedWith("MP: Return window closed.");
+        });
+
+        it("担保期内买家不能转售产品", async function () {
+            await marketplace.connect(customer1).buyProductWithEscrow(tokenId, { value: PRICE_RETAIL });
+            await expect(
+                marketplace.connect(customer1).listProduct(tokenId, PRICE_RESALE)
+            ).to.be.revertedWith("MP: Product is in escrow.");
+        });
+
+        it("只有 Marketplace 所有者可以调整退货期", async function () {
+            await expect(
+                marketplace.connect(retailer).setReturnWindow(1)
+            ).to.be.revertedWithCustomError(marketplace, "OwnableUnauthorizedAccount");
+
+            await expect(marketplace.connect(deployer).setReturnWindow(3 * 24 * 60 * 60))
+                .to.emit(marketplace, "ReturnWindowUpdated");
+            expect(await marketplace.returnWindow()).to.equal(3 * 24 * 60 * 60);
+            await marketplace.connect(deployer).setReturnWindow(RETURN_WINDOW);
+        });
+    });
+
+    // =============================================================
+    // 测试场景 6: 提现账本与平台手续费 (Pull Payment & Platform Fee)
+    // =============================================================
+    describe("6. Withdrawals & Platform Fee", function () {
+        const FEE_BPS = 250n; // 2.5%
+        let tokenId, treasury;
+
+        before(async function () {
+            treasury = user;
+            await marketplace.connect(deployer).setTreasury(treasury.address);
+        });
+
+        beforeEach(async function () {
+            tokenId = await registerProduct(PRICE_MFG);
+        });
+
+        afterEach(async function () {
+            await marketplace.connect(deployer).setPlatformFee(0);
+        });
+
+        it("货款应记入卖家余额，并通过 withdraw() 提现", async function () {
+            const creditBefore = await marketplace.pendingWithdrawals(manufacturer.address);
+            await marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG });
+            expect(await marketplace.pendingWithdrawals(manufacturer.address)).to.equal(creditBefore + PRICE_MFG);
+
+            await expect(marketplace.connect(manufacturer).withdraw())
+                .to.changeEtherBalances([marketplace, manufacturer], [-(creditBefore + PRICE_MFG), creditBefore + PRICE_MFG]);
+            expect(await marketplace.pendingWithdrawals(manufacturer.address)).to.equal(0);
+        });
+
+        it("多付的金额应记入买家余额", async function () {
+            const overpay = ethers.parseEther("1");
+            const creditBefore = await marketplace.pendingWithdrawals(retailer.address);
+            await marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG + overpay });
+            expect(await marketplace.pendingWithdrawals(retailer.address)).to.equal(creditBefore + overpay);
+        });
+
+        it("余额为 0 时提现应失败", async function () {
+            await expect(
+                marketplace.connect(customer2).withdraw()
+            ).to.be.revertedWith("MP: Nothing to withdraw.");
+        });
+
+        it("平台手续费应按基点扣除，记入金库，并在 ProductSold 中报告", async function () {
+            await marketplace.connect(deployer).setPlatformFee(FEE_BPS);
+            const fee = PRICE_MFG * FEE_BPS / 10000n;
+
+            const sellerBefore = await marketplace.pendingWithdrawals(manufacturer.address);
+            const treasuryBefore = await marketplace.pendingWithdrawals(treasury.address);
+
+            await expect(marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG }))
+                .to.emit(marketplace, "ProductSold")
+                .withArgs(tokenId, retailer.address, manufacturer.address, PRICE_MFG, fee, 0, ethers.ZeroAddress);
+
+            expect(await marketplace.pendingWithdrawals(manufacturer.address)).to.equal(sellerBefore + PRICE_MFG - fee);
+            expect(await marketplace.pendingWithdrawals(treasury.address)).to.equal(treasuryBefore + fee);
+        });
+
+        it("只有所有者可以设置手续费，且不能超过上限", async function () {
+            await expect(
+                marketplace.connect(retailer).setPlatformFee(FEE_BPS)
+            ).to.be.revertedWithCustomError(marketplace, "OwnableUnauthorizedAccount");
+            await expect(
+                marketplace.connect(deployer).setPlatformFee(1001)
+            ).to.be.revertedWith("MP: Fee too high.");
+            await expect(
+                marketplace.connect(deployer).setTreasury(ethers.ZeroAddress)
+            ).to.be.revertedWith("MP: Invalid address.");
+        });
+
+        it("拒收 ETH 的卖家合约不影响购买，其货款保留在账本中", async function () {
+            const MockRevertingReceiver = await ethers.getContractFactory("MockRevertingReceiver");
+            const receiver = await MockRevertingReceiver.deploy(marketplace.target);
+
+            // Mfg -> Retailer -> 卖家合约 (客户)，卖家合约转售
+            await marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG });
+            await marketplace.connect(retailer).listProduct(tokenId, PRICE_RETAIL);
+            await receiver.buy(tokenId, { value: PRICE_RETAIL });
+            await receiver.list(tokenId, PRICE_RESALE);
+
+            // 购买不会因卖家拒收而失败
+            await marketplace.connect(customer2).buyProduct(tokenId, { value: PRICE_RESALE });
+            expect(await registry.ownerOf(tokenId)).to.equal(customer2.address);
+            expect(await marketplace.pendingWithdrawals(receiver.target)).to.equal(PRICE_RESALE);
+
+            // 拒收时提现失败，余额不丢失；允许收款后可正常提现
+            await expect(receiver.withdrawProceeds()).to.be.revertedWith("MP: Withdrawal failed.");
+            expect(await marketplace.pendingWithdrawals(receiver.target)).to.equal(PRICE_RESALE);
+
+            await receiver.setAcceptEther(true);
+            await receiver.withdrawProceeds();
+            expect(await ethers.provider.getBalance(receiver.target)).to.equal(PRICE_RESALE);
+        });
+    });
+
+    // =============================================================
+    // 测试场景 7: 制造商版税 (ERC-2981 Royalties)
+    // =============================================================
+    describe("7. Manufacturer Royalties", function () {
+        const ROYALTY_BPS = 500n; // 5%
+        const REGISTER_WITH_ROYALTY = "registerProduct(string,string,string,uint256,string,uint256,uint8,uint96)";
+        let tokenId;
+
+        beforeEach(async function () {
+            // 带版税注册 (8 参数重载，需使用完整函数签名)
+            tokenId = nextTokenId;
+            await marketplace.connect(manufacturer)[REGISTER_WITH_ROYALTY](
+                TEST_SN_PREFIX + tokenId, "Model-R", "MFG Inc.", PRICE_MFG,
+                "https://warranty.com/terms", 365, 3, ROYALTY_BPS
+            );
+            nextTokenId++;
+        });
+
+        it("注册时设置的版税应通过 royaltyInfo 暴露，收款方为制造商", async function () {
+            const [receiver, amount] = await registry.royaltyInfo(tokenId, PRICE_RETAIL);
+            expect(receiver).to.equal(manufacturer.address);
+            expect(amount).to.equal(PRICE_RETAIL * ROYALTY_BPS / 10000n);
+        });
+
+        it("分销销售 (制造商为卖家) 不收取版税", async function () {
+            await expect(marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG }))
+                .to.emit(marketplace, "ProductSold")
+                .withArgs(tokenId, retailer.address, manufacturer.address, PRICE_MFG, 0, 0, ethers.ZeroAddress);
+        });
+
+        it("零售与二手销售应自动拆分货款给卖家和制造商", async function () {
+            await marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG });
+            await marketplace.connect(retailer).listProduct(tokenId, PRICE_RETAIL);
+
+            const retailRoyalty = PRICE_RETAIL * ROYALTY_BPS / 10000n;
+            const earningsBefore = await marketplace.royaltyEarnings(manufacturer.address);
+            const retailerBefore = await marketplace.pendingWithdrawals(retailer.address);
+            const mfgBefore = await marketplace.pendingWithdrawals(manufacturer.address);
+
+            // RETAIL_SALE
+            await expect(marketplace.connect(customer1).buyProduct(tokenId, { value: PRICE_RETAIL }))
+                .to.emit(marketplace, "ProductSold")
+                .withArgs(tokenId, customer1.address, retailer.address, PRICE_RETAIL, 0, retailRoyalty, ethers.ZeroAddress)
+                .and.to.emit(marketplace, "RoyaltyPaid")
+                .withArgs(tokenId, manufacturer.address, retailRoyalty);
+
+            expect(await marketplace.pendingWithdrawals(retailer.address)).to.equal(retailerBefore + PRICE_RETAIL - retailRoyalty);
+            expect(await marketplace.pendingWithdrawals(manufacturer.address)).to.equal(mfgBefore + retailRoyalty);
+
+            // SECONDARY_SALE
+            const resaleRoyalty = PRICE_RESALE * ROYALTY_BPS / 10000n;
+            await marketplace.connect(customer1).listProduct(tokenId, PRICE_RESALE);
+            await marketplace.connect(customer2).buyProduct(tokenId, { value: PRICE_RESALE });
+
+            // 制造商累计版税收入
+            expect(await marketplace.royaltyEarnings(manufacturer.address))
+                .to.equal(earningsBefore + retailRoyalty + resaleRoyalty);
+        });
+
+        it("版税与平台手续费可同时生效", async function () {
+            await marketplace.connect(deployer).setPlatformFee(100);
+            await marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG });
+            await marketplace.connect(retailer).listProduct(tokenId, PRICE_RETAIL);
+
+            const fee = PRICE_RETAIL * 100n / 10000n;
+            const royalty = PRICE_RETAIL * ROYALTY_BPS / 10000n;
+            const retailerBefore = await marketplace.pendingWithdrawals(retailer.address);
+
+            await expect(marketplace.connect(customer1).buyProduct(tokenId, { value: PRICE_RETAIL }))
+                .to.emit(marketplace, "ProductSold")
+                .withArgs(tokenId, customer1.address, retailer.address, PRICE_RETAIL, fee, royalty, ethers.ZeroAddress);
+            expect(await marketplace.pendingWithdrawals(retailer.address)).to.equal(retailerBefore + PRICE_RETAIL - fee - royalty);
+
+            await marketplace.connect(deployer).setPlatformFee(0);
+        });
+
+        it("担保购买应在放款时结算版税", async function () {
+            await marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG });
+            await marketplace.connect(retailer).listProduct(tokenId, PRICE_RETAIL);
+            await marketplace.connect(customer1).buyProductWithEscrow(tokenId, { value: PRICE_RETAIL });
+
+            const royalty = PRICE_RETAIL * ROYALTY_BPS / 10000n;
+            await expect(marketplace.connect(customer1).confirmReceipt(tokenId))
+                .to.emit(marketplace, "RoyaltyPaid")
+                .withArgs(tokenId, manufacturer.address, royalty);
+        });
+
+        it("超过 Registry 所有者设定上限的版税应注册失败", async function () {
+            await expect(
+                marketplace.connect(manufacturer)[REGISTER_WITH_ROYALTY](
+                    "SN-ROYALTY-CAP", "Model-R", "MFG Inc.", PRICE_MFG, "URI", 365, 3, 1001
+                )
+            ).to.be.revertedWith("PR: Royalty exceeds cap.");
+        });
+    });
+
+    // =============================================================
+    // 测试场景 8: 报价与还价 (Offers & Counter-offers)
+    // =============================================================
+    describe("8. Offers & Counter-offers", function () {
+        const OfferStatus = { None: 0, Open: 1, Countered: 2, Accepted: 3, Rejected: 4, Cancelled: 5 };
+        const OFFER = ethers.parseEther("70");
+        const ONE_DAY = 24 * 60 * 60;
+        let tokenId;
+
+        async function expiryIn(seconds) {
+            const block = await ethers.provider.getBlock("latest");
+            return block.timestamp + seconds;
+        }
+
+        // 获取最新的报价 ID
+        async function lastOfferId(productId) {
+            const ids = await marketplace.getProductOffers(productId);
+            return ids[ids.length - 1];
+        }
+
+        beforeEach(async function () {
+            // Mfg -> Retailer -> Customer1，产品当前未上架
+            tokenId = await registerProduct(PRICE_MFG);
+            await marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG });
+            await marketplace.connect(retailer).listProduct(tokenId, PRICE_RETAIL);
+            await marketplace.connect(customer1).buyProduct(tokenId, { value: PRICE_RETAIL });
+        });
+
+        it("买家可以对未上架的产品出价，所有者接受后走 SECONDARY_SALE 结算路径", async function () {
+            await expect(
+                marketplace.connect(customer2).makeOffer(tokenId, await expiryIn(ONE_DAY), { value: OFFER })
+            ).to.emit(marketplace, "OfferMade");
+            const offerId = await lastOfferId(tokenId);
+
+            const sellerBefore = await marketplace.pendingWithdrawals(customer1.address);
+            await expect(marketplace.connect(customer1).acceptOffer(offerId))
+                .to.emit(marketplace, "OfferAccepted")
+                .withArgs(offerId, tokenId, customer1.address, OFFER)
+                .and.to.emit(marketplace, "ProductSold")
+                .withArgs(tokenId, customer2.address, customer1.address, OFFER, 0, 0, ethers.ZeroAddress);
+
+            expect(await registry.ownerOf(tokenId)).to.equal(customer2.address);
+            expect(await marketplace.pendingWithdrawals(customer1.address)).to.equal(sellerBefore + OFFER);
+            expect((await marketplace.offers(offerId)).status).to.equal(OfferStatus.Accepted);
+
+            const verifyData = await registry.verifyProduct(tokenId);
+            const lastLog = verifyData.ownershipHistory[verifyData.ownershipHistory.length - 1];
+            expect(lastLog.eventType).to.equal("SECONDARY_SALE");
+        });
+
+        it("所有者还价后，买家补足差价即可成交", async function () {
+            await marketplace.connect(customer2).makeOffer(tokenId, await expiryIn(ONE_DAY), { value: OFFER });
+            const offerId = await lastOfferId(tokenId);
+
+            await expect(marketplace.connect(customer1).counterOffer(offerId, PRICE_RESALE))
+                .to.emit(marketplace, "OfferCountered")
+                .withArgs(offerId, tokenId, customer1.address, PRICE_RESALE);
+
+            // 补足不够
+            await expect(
+                marketplace.connect(customer2).acceptCounterOffer(offerId, { value: 1n })
+            ).to.be.revertedWith("MP: Insufficient funds sent.");
+
+            await expect(marketplace.connect(customer2).acceptCounterOffer(offerId, { value: PRICE_RESALE - OFFER }))
+                .to.emit(marketplace, "ProductSold")
+                .withArgs(tokenId, customer2.address, customer1.address, PRICE_RESALE, 0, 0, ethers.ZeroAddress);
+            expect(await registry.ownerOf(tokenId)).to.equal(customer2.address);
+        });
+
+        it("被拒绝或撤回的报价应退款到买家余额", async function () {
+            await marketplace.connect(customer2).makeOffer(tokenId, await expiryIn(ONE_DAY), { value: OFFER });
+            const rejectedId = await lastOfferId(tokenId);
+            await marketplace.connect(user).makeOffer(tokenId, await expiryIn(ONE_DAY), { value: OFFER });
+            const cancelledId = await lastOfferId(tokenId);
+
+            const c2Before = await marketplace.pendingWithdrawals(customer2.address);
+            await expect(marketplace.connect(customer1).rejectOffer(rejectedId))
+                .to.emit(marketplace, "OfferRejected");
+            expect(await marketplace.pendingWithdrawals(customer2.address)).to.equal(c2Before + OFFER);
+
+            const userBefore = await marketplace.pendingWithdrawals(user.address);
+            await expect(marketplace.connect(user).cancelOffer(cancelledId))
+                .to.emit(marketplace, "OfferCancelled");
+            expect(await marketplace.pendingWithdrawals(user.address)).to.equal(userBefore + OFFER);
+
+            // 已关闭的报价不能再被接受
+            await expect(
+                marketplace.connect(customer1).acceptOffer(cancelledId)
+            ).to.be.revertedWith("MP: Offer not open.");
+        });
+
+        it("过期的报价不能被接受，但买家仍可撤回退款", async function () {
+            await marketplace.connect(customer2).makeOffer(tokenId, await expiryIn(60), { value: OFFER });
+            const offerId = await lastOfferId(tokenId);
+
+            await ethers.provider.send("evm_increaseTime", [120]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(
+                marketplace.connect(customer1).acceptOffer(offerId)
+            ).to.be.revertedWith("MP: Offer expired.");
+            await expect(marketplace.connect(customer2).cancelOffer(offerId)).to.not.be.reverted;
+        });
+
+        it("非所有者不能接受、拒绝或还价", async function () {
+            await marketplace.connect(customer2).makeOffer(tokenId, await expiryIn(ONE_DAY), { value: OFFER });
+            const offerId = await lastOfferId(tokenId);
+
+            await expect(marketplace.connect(retailer).acceptOffer(offerId)).to.be.revertedWith("MP: Not owner.");
+            await expect(marketplace.connect(retailer).rejectOffer(offerId)).to.be.revertedWith("MP: Not owner.");
+            await expect(
+                marketplace.connect(retailer).counterOffer(offerId, PRICE_RESALE)
+            ).to.be.revertedWith("MP: Not owner.");
+        });
+
+        it("报价同样遵守供应链角色限制：只有零售商能向制造商出价", async function () {
+            const mfgTokenId = await registerProduct(PRICE_MFG);
+            await expect(
+                marketplace.connect(customer2).makeOffer(mfgTokenId, await expiryIn(ONE_DAY), { value: OFFER })
+            ).to.be.revertedWith("MP: Only Retailers can buy from Manufacturer.");
+
+            await marketplace.connect(retailer).makeOffer(mfgTokenId, await expiryIn(ONE_DAY), { value: OFFER });
+            await marketplace.connect(manufacturer).acceptOffer(await lastOfferId(mfgTokenId));
+
+            const verifyData = await registry.verifyProduct(mfgTokenId);
+            const lastLog = verifyData.ownershipHistory[verifyData.ownershipHistory.length - 1];
+            expect(lastLog.eventType).to.equal("DISTRIBUTION_SALE");
+        });
+
+        it("无效报价应失败", async function () {
+            await expect(
+                marketplace.connect(customer2).makeOffer(tokenId, await expiryIn(ONE_DAY))
+            ).to.be.revertedWith("MP: Offer must be > 0");
+            await expect(
+                marketplace.connect(customer2).makeOffer(tokenId, 1, { value: OFFER })
+            ).to.be.revertedWith("MP: Invalid expiry.");
+            await expect(
+                marketplace.connect(customer1).makeOffer(tokenId, await expiryIn(ONE_DAY), { value: OFFER })
+            ).to.be.revertedWith("MP: Cannot buy your own product.");
+        });
+    });
+
+    // =============================================================
+    // 测试场景 9: 拍卖 (English & Dutch Auctions)
+    // =============================================================
+    describe("9. Auctions", function () {
+        const AuctionStatus = { None: 0, Active: 1, Settled: 2, Cancelled: 3 };
+        const ONE_HOUR = 60 * 60;
+        const TEN_MINUTES = 10 * 60;
+        const RESERVE = ethers.parseEther("60");
+        const INCREMENT = ethers.parseEther("5");
+        let tokenId;
+
+        async function increaseTime(seconds) {
+            await ethers.provider.send("evm_increaseTime", [seconds]);
+            await ethers.provider.send("evm_mine");
+        }
+
+        beforeEach(async function () {
+            // Mfg -> Retailer，零售商持有产品 (未上架)
+            tokenId = await registerProduct(PRICE_MFG);
+            await marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG });
+        });
+
+        describe("英式拍卖 (English)", function () {
+            let auctionId;
+
+            beforeEach(async function () {
+                await expect(
+                    marketplace.connect(retailer).createEnglishAuction(tokenId, RESERVE, INCREMENT, ONE_HOUR)
+                ).to.emit(marketplace, "AuctionCreated");
+                auctionId = await marketplace.activeAuctionId(tokenId);
+            });
+
+            it("拍卖中的产品应显示为已上架，但 buyProduct、改价和下架都被拒绝", async function () {
+                const marketInfo = await registry.getProductMarketInfo(tokenId);
+                expect(marketInfo.isListed).to.be.true;
+
+                await expect(
+                    marketplace.connect(customer1).buyProduct(tokenId, { value: PRICE_RETAIL })
+                ).to.be.revertedWith("MP: Product is under auction.");
+                await expect(
+                    marketplace.connect(retailer).listProduct(tokenId, PRICE_RETAIL)
+                ).to.be.revertedWith("MP: Product is under auction.");
+                await expect(
+                    marketplace.connect(retailer).delistProduct(tokenId)
+                ).to.be.revertedWith("MP: Product is under auction.");
+            });
+
+            it("出价必须达到保留价和最小加价幅度，被超越的出价记入提现余额", async function () {
+                await expect(
+                    marketplace.connect(customer1).placeBid(auctionId, { value: RESERVE - 1n })
+                ).to.be.revertedWith("MP: Bid below reserve.");
+
+                await marketplace.connect(customer1).placeBid(auctionId, { value: RESERVE });
+                await expect(
+                    marketplace.connect(customer2).placeBid(auctionId, { value: RESERVE + 1n })
+                ).to.be.revertedWith("MP: Bid increment too low.");
+
+                const c1Before = await marketplace.pendingWithdrawals(customer1.address);
+                await marketplace.connect(customer2).placeBid(auctionId, { value: RESERVE + INCREMENT });
+                expect(await marketplace.pendingWithdrawals(customer1.address)).to.equal(c1Before + RESERVE);
+
+                const auction = await marketplace.auctions(auctionId);
+                expect(auction.highestBidder).to.equal(customer2.address);
+            });
+
+            it("结束前最后时刻出价应延长拍卖 (防狙击)", async function () {
+                const before = (await marketplace.auctions(auctionId)).endTime;
+                await increaseTime(ONE_HOUR - 60);
+                await marketplace.connect(customer1).placeBid(auctionId, { value: RESERVE });
+
+                const after = (await marketplace.auctions(auctionId)).endTime;
+                expect(after).to.be.gt(before);
+                const block = await ethers.provider.getBlock("latest");
+                expect(after).to.equal(BigInt(block.timestamp + TEN_MINUTES));
+            });
+
+            it("结束后结算应通过 executeMarketTransaction 交付给最高出价者并记录 RETAIL_SALE", async function () {
+                await marketplace.connect(customer1).placeBid(auctionId, { value: RESERVE });
+                await expect(
+                    marketplace.settleAuction(auctionId)
+                ).to.be.revertedWith("MP: Auction not ended.");
+
+                await increaseTime(ONE_HOUR);
+                const sellerBefore = await marketplace.pendingWithdrawals(retailer.address);
+                await expect(marketplace.connect(user).settleAuction(auctionId))
+                    .to.emit(marketplace, "AuctionSettled")
+                    .withArgs(auctionId, tokenId, customer1.address, RESERVE)
+                    .and.to.emit(marketplace, "ProductSold");
+
+                expect(await registry.ownerOf(tokenId)).to.equal(customer1.address);
+                expect(await marketplace.pendingWithdrawals(retailer.address)).to.equal(sellerBefore + RESERVE);
+                expect(await marketplace.activeAuctionId(tokenId)).to.equal(0);
+                expect((await registry.getProductMarketInfo(tokenId)).isListed).to.be.false;
+
+                const verifyData = await registry.verifyProduct(tokenId);
+                const lastLog = verifyData.ownershipHistory[verifyData.ownershipHistory.length - 1];
+                expect(lastLog.eventType).to.equal("RETAIL_SALE");
+            });
+
+            it("无人出价时结算为流拍并下架", async function () {
+                await increaseTime(ONE_HOUR);
+                await expect(marketplace.settleAuction(auctionId))
+                    .to.emit(marketplace, "AuctionCancelled")
+                    .and.to.emit(marketplace, "ProductDelisted").withArgs(tokenId, retailer.address);
+                expect((await marketplace.auctions(auctionId)).status).to.equal(AuctionStatus.Cancelled);
+                expect(await registry.ownerOf(tokenId)).to.equal(retailer.address);
+                expect((await registry.getProductMarketInfo(tokenId)).isListed).to.be.false;
+            });
+
+            it("卖家只能取消尚无出价的拍卖", async function () {
+                await marketplace.connect(customer1).placeBid(auctionId, { value: RESERVE });
+                await expect(
+                    marketplace.connect(retailer).cancelAuction(auctionId)
+                ).to.be.revertedWith("MP: Auction has bids.");
+            });
+        });
+
+        describe("荷式拍卖 (Dutch)", function () {
+            const START = ethers.parseEther("100");
+            const END = ethers.parseEther("40");
+            let auctionId;
+
+            beforeEach(async function () {
+                await marketplace.connect(retailer).createDutchAuction(tokenId, START, END, ONE_HOUR);
+                auctionId = await marketplace.activeAuctionId(tokenId);
+            });
+
+            it("价格应随时间线性下降", async function () {
+                expect(await marketplace.getDutchPrice(auctionId)).to.equal(START);
+                await increaseTime(ONE_HOUR / 2);
+                const price = await marketplace.getDutchPrice(auctionId);
+                expect(price).to.be.lt(START);
+                expect(price).to.be.gte(END);
+            });
+
+            it("买家按当前价格成交，多付部分记入余额", async function () {
+                // 拍卖期间市场信息中的价格只是起拍价
+                expect((await registry.getProductMarketInfo(tokenId)).price).to.equal(START);
+                await increaseTime(ONE_HOUR / 2);
+                const c1Before = await marketplace.pendingWithdrawals(customer1.address);
+
+                await expect(marketplace.connect(customer1).buyDutchAuction(auctionId, { value: START }))
+                    .to.emit(marketplace, "AuctionSettled");
+                const [settled] = await marketplace.queryFilter(marketplace.filters.AuctionSettled(auctionId));
+                const paid = settled.args.price;
+                // 成交后市场信息中的价格为实际成交价
+                expect(paid).to.be.lt(START);
+                expect((await registry.getProductMarketInfo(tokenId)).price).to.equal(paid);
+
+                expect(await registry.ownerOf(tokenId)).to.equal(customer1.address);
+                const auction = await marketplace.auctions(auctionId);
+                expect(auction.status).to.equal(AuctionStatus.Settled);
+                // 成交价低于起始价，差额记入买家余额
+                expect(await marketplace.pendingWithdrawals(customer1.address)).to.be.gt(c1Before);
+            });
+
+            it("起始价必须高于最低价", async function () {
+                const otherId = await registerProduct(PRICE_MFG);
+                await marketplace.connect(retailer).buyProduct(otherId, { value: PRICE_MFG });
+                await expect(
+                    marketplace.connect(retailer).createDutchAuction(otherId, END, START, ONE_HOUR)
+                ).to.be.revertedWith("MP: Start price must exceed end price.");
+            });
+
+            it("拍卖结束后不能再购买", async function () {
+                await increaseTime(ONE_HOUR);
+                await expect(
+                    marketplace.connect(customer1).buyDutchAuction(auctionId, { value: START })
+                ).to.be.revertedWith("MP: Auction ended.");
+            });
+        });
+
+        it("拍卖同样遵守供应链角色限制", async function () {
+            const mfgTokenId = await registerProduct(PRICE_MFG);
+            await marketplace.connect(manufacturer).createEnglishAuction(mfgTokenId, RESERVE, INCREMENT, ONE_HOUR);
+            const auctionId = await marketplace.activeAuctionId(mfgTokenId);
+            await expect(
+                marketplace.connect(customer1).placeBid(auctionId, { value: RESERVE })
+            ).to.be.revertedWith("MP: Only Retailers can buy from Manufacturer.");
+        });
+    });
+
+    // =============================================================
+    // 测试场景 10: ERC-20 稳定币支付
+    // =============================================================
+    describe("10. ERC-20 Stablecoin Payments", function () {
+        const REGISTER_WITH_TOKEN = "registerProduct(string,string,string,uint256,string,uint256,uint8,uint96,address)";
+        const LIST_WITH_TOKEN = "listProduct(uint256,uint256,address)";
+        const USD = (n) => ethers.parseUnits(n, 18);
+        let usdc, tokenId;
+
+        before(async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            usdc = await MockERC20.deploy("Mock USD Coin", "mUSDC");
+            await marketplace.connect(deployer).setPaymentTokenAllowed(usdc.target, true);
+
+            for (const account of [retailer, customer1, customer2]) {
+                await usdc.mint(account.address, USD("10000"));
+                await usdc.connect(account).approve(marketplace.target, ethers.MaxUint256);
+            }
+        });
+
+        beforeEach(async function () {
+            tokenId = nextTokenId;
+            await marketplace.connect(manufacturer)[REGISTER_WITH_TOKEN](
+                TEST_SN_PREFIX + tokenId, "Model-S", "MFG Inc.", USD("500"),
+                "https://warranty.com/terms", 365, 3, 0, usdc.target
+            );
+            nextTokenId++;
+        });
+
+        it("注册时指定的币种应通过 getProductMarketInfo 返回", async function () {
+            const [price, isListed, paymentToken] = await registry.getProductMarketInfo(tokenId);
+            expect(price).to.equal(USD("500"));
+            expect(isListed).to.be.true;
+            expect(paymentToken).to.equal(usdc.target);
+        });
+
+        it("零售商应能用 ERC-20 购买，代币通过 transferFrom 拉取并记入卖家账本", async function () {
+            const tx = marketplace.connect(retailer).buyProductWithToken(tokenId);
+            await expect(tx).to.changeTokenBalances(usdc, [retailer, marketplace], [-USD("500"), USD("500")]);
+            await expect(tx)
+                .to.emit(marketplace, "ProductSold")
+                .withArgs(tokenId, retailer.address, manufacturer.address, USD("500"), 0, 0, usdc.target);
+
+            expect(await registry.ownerOf(tokenId)).to.equal(retailer.address);
+            expect(await marketplace.pendingTokenWithdrawals(usdc.target, manufacturer.address)).to.equal(USD("500"));
+
+            await expect(marketplace.connect(manufacturer).withdrawToken(usdc.target))
+                .to.changeTokenBalance(usdc, manufacturer, USD("500"));
+        });
+
+        it("ERC-20 计价的产品不能用 ETH 购买，反之亦然", async function () {
+            await expect(
+                marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG })
+            ).to.be.revertedWith("MP: Listing priced in ERC-20.");
+
+            const ethTokenId = await registerProduct(PRICE_MFG);
+            await expect(
+                marketplace.connect(retailer).buyProductWithToken(ethTokenId)
+            ).to.be.revertedWith("MP: Listing priced in ETH.");
+        });
+
+        it("上架时可切换币种，平台手续费与版税按同一币种结算", async function () {
+            await marketplace.connect(retailer).buyProductWithToken(tokenId);
+            await expect(marketplace.connect(retailer)[LIST_WITH_TOKEN](tokenId, USD("800"), usdc.target))
+                .to.emit(marketplace, "ProductListed")
+                .withArgs(tokenId, USD("800"), retailer.address, usdc.target);
+            await marketplace.connect(deployer).setPlatformFee(100);
+
+            const fee = USD("8");
+            const treasury = await marketplace.treasury();
+            const treasuryBefore = await marketplace.pendingTokenWithdrawals(usdc.target, treasury);
+
+            await expect(marketplace.connect(customer1).buyProductWithToken(tokenId))
+                .to.emit(marketplace, "ProductSold")
+                .withArgs(tokenId, customer1.address, retailer.address, USD("800"), fee, 0, usdc.target);
+            expect(await marketplace.pendingTokenWithdrawals(usdc.target, treasury)).to.equal(treasuryBefore + fee);
+            await marketplace.connect(deployer).setPlatformFee(0);
+
+            // 以 ETH 重新上架，币种恢复为 ETH
+            await marketplace.connect(customer1).listProduct(tokenId, PRICE_RESALE);
+            const [, , paymentToken] = await registry.getProductMarketInfo(tokenId);
+            expect(paymentToken).to.equal(ethers.ZeroAddress);
+        });
+
+        it("以 ETH 报价或还价成交代币计价的产品后，市场信息记录 ETH 成交价", async function () {
+            const expiresAt = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+            await marketplace.connect(retailer).makeOffer(tokenId, expiresAt, { value: PRICE_MFG });
+            const offerId = (await marketplace.getProductOffers(tokenId)).at(-1);
+            await marketplace.connect(manufacturer).acceptOffer(offerId);
+            expect(await registry.getProductMarketInfo(tokenId)).to.deep.equal([PRICE_MFG, false, ethers.ZeroAddress]);
+
+            // 还价成交走同一结算路径
+            await marketplace.connect(retailer)[LIST_WITH_TOKEN](tokenId, USD("900"), usdc.target);
+            await marketplace.connect(customer1).makeOffer(tokenId, expiresAt, { value: PRICE_MFG });
+            const counterId = (await marketplace.getProductOffers(tokenId)).at(-1);
+            await marketplace.connect(retailer).counterOffer(counterId, PRICE_RESALE);
+            await marketplace.connect(customer1).acceptCounterOffer(counterId, { value: PRICE_RESALE - PRICE_MFG });
+            expect(await registry.getProductMarketInfo(tokenId)).to.deep.equal([PRICE_RESALE, false, ethers.ZeroAddress]);
+        });
+
+        it("不在白名单内的代币不能用于注册或上架", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const other = await MockERC20.deploy("Other", "OTH");
+
+            await expect(
+                marketplace.connect(manufacturer)[REGISTER_WITH_TOKEN](
+                    "SN-BAD-TOKEN", "Model-S", "MFG Inc.", USD("1"), "URI", 365, 3, 0, other.target
+                )
+            ).to.be.revertedWith("MP: Payment token not allowed.");
+
+            await marketplace.connect(retailer).buyProductWithToken(tokenId);
+            await expect(
+                marketplace.connect(retailer)[LIST_WITH_TOKEN](tokenId, USD("1"), other.target)
+            ).to.be.revertedWith("MP: Payment token not allowed.");
+        });
+
+        it("只有所有者可以维护代币白名单", async function () {
+            await expect(
+                marketplace.connect(retailer).setPaymentTokenAllowed(usdc.target, false)
+            ).to.be.revertedWithCustomError(marketplace, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    // =============================================================
+    // 测试场景 11: 批量注册与批量采购 (Batch)
+    // =============================================================
+    describe("11. Batch Registration & Purchase", function () {
+        const BATCH_SIZE = 20;
+
+        // 辅助函数：制造商批量注册一个批次，返回 tokenId 列表
+        async function registerBatch(size, price = PRICE_MFG) {
+            const firstId = nextTokenId;
+            const serials = Array.from({ length: size }, (_, i) => TEST_SN_PREFIX + (firstId + i));
+            const tx = await marketplace.connect(manufacturer).registerProductBatch(
+                serials, "Model-B", "MFG Inc.", price, "https://warranty.com/terms", 365, 3
+            );
+            nextTokenId += size;
+            return { tx, tokenIds: serials.map((_, i) => firstId + i) };
+        }
+
+        it("批量注册应为每个单位铸造、激活保修并发出上架事件", async function () {
+            const { tx, tokenIds } = await registerBatch(5);
+
+            for (const tokenId of tokenIds) {
+                await expect(tx).to.emit(marketplace, "ProductListed").withArgs(tokenId, PRICE_MFG, manufacturer.address, ethers.ZeroAddress);
+                expect(await registry.ownerOf(tokenId)).to.equal(manufacturer.address);
+                expect(await registry.serialNumberToTokenId(TEST_SN_PREFIX + tokenId)).to.equal(tokenId);
+
+                const [, durationDays, maxClaims, claimedCount, status] = await warrantyManager.getWarrantyStatus(tokenId);
+                expect(durationDays).to.equal(365);
+                expect(maxClaims).to.equal(3);
+                expect(claimedCount).to.equal(0);
+                expect(status).to.equal(1); // Active
+            }
+        });
+
+        it("零售商应能一次买下整个批次，多付部分记入余额", async function () {
+            const { tokenIds } = await registerBatch(5);
+            const total = PRICE_MFG * 5n;
+            const extra = ethers.parseEther("1");
+
+            const tx = marketplace.connect(retailer).buyProductBatch(tokenIds, { value: total + extra });
+            for (const tokenId of tokenIds) {
+                await expect(tx)
+                    .to.emit(marketplace, "ProductSold")
+                    .withArgs(tokenId, retailer.address, manufacturer.address, PRICE_MFG, 0, 0, ethers.ZeroAddress);
+            }
+
+            for (const tokenId of tokenIds) {
+                expect(await registry.ownerOf(tokenId)).to.equal(retailer.address);
+                const verifyData = await registry.verifyProduct(tokenId);
+                expect(verifyData.isListed).to.be.false;
+                expect(verifyData.ownershipHistory[verifyData.ownershipHistory.length - 1].eventType).to.equal("DISTRIBUTION_SALE");
+            }
+            expect(await marketplace.pendingWithdrawals(retailer.address)).to.be.gte(extra);
+        });
+
+        it("总价不足或任意一件不可购买时整批回退", async function () {
+            const { tokenIds } = await registerBatch(3);
+
+            await expect(
+                marketplace.connect(retailer).buyProductBatch(tokenIds, { value: PRICE_MFG * 2n })
+            ).to.be.revertedWith("MP: Insufficient funds sent.");
+
+            // 重复的产品 ID：第二次购买时产品已下架
+            await expect(
+                marketplace.connect(retailer).buyProductBatch([tokenIds[0], tokenIds[0]], { value: PRICE_MFG * 2n })
+            ).to.be.revertedWith("MP: Product not listed for sale.");
+
+            await expect(
+                marketplace.connect(customer1).buyProductBatch(tokenIds, { value: PRICE_MFG * 3n })
+            ).to.be.revertedWith("MP: Only Retailers can buy from Manufacturer.");
+
+            // 整批回退后所有产品仍归制造商所有
+            for (const tokenId of tokenIds) {
+                expect(await registry.ownerOf(tokenId)).to.equal(manufacturer.address);
+            }
+        });
+
+        it("批次为空、超过上限或调用者不是制造商时应失败", async function () {
+            await expect(
+                marketplace.connect(manufacturer).registerProductBatch([], "Model-B", "MFG Inc.", PRICE_MFG, "URI", 365, 3)
+            ).to.be.revertedWith("MP: Empty batch.");
+
+            const maxBatch = await marketplace.MAX_BATCH_SIZE();
+            const tooMany = Array.from({ length: Number(maxBatch) + 1 }, (_, i) => "SN-TOO-MANY-" + i);
+            await expect(
+                marketplace.connect(manufacturer).registerProductBatch(tooMany, "Model-B", "MFG Inc.", PRICE_MFG, "URI", 365, 3)
+            ).to.be.revertedWith("MP: Batch too large.");
+
+            await expect(
+                marketplace.connect(retailer).registerProductBatch(["SN-BATCH-FAIL"], "Model-B", "MFG Inc.", PRICE_MFG, "URI", 365, 3)
+            ).to.be.revertedWith("MP: Only Manufacturer can register.");
+
+            await expect(
+                marketplace.connect(retailer).buyProductBatch([])
+            ).to.be.revertedWith("MP: Empty batch.");
+        });
+
+        it("恰好 MAX_BATCH_SIZE 个产品的批量注册应能在区块 Gas 限制内打包", async function () {
+            const maxBatch = Number(await marketplace.MAX_BATCH_SIZE());
+            const { tx, tokenIds } = await registerBatch(maxBatch, ethers.parseEther("0.01"));
+            const receipt = await tx.wait();
+            const { gasLimit } = await ethers.provider.getBlock("latest");
+            console.log(`     ⛽ 注册 ${maxBatch} 件: ${receipt.gasUsed} (区块上限 ${gasLimit})`);
+
+            expect(receipt.status).to.equal(1);
+            expect(receipt.gasUsed).to.be.lt(gasLimit);
+            expect(await registry.ownerOf(tokenIds[maxBatch - 1])).to.equal(manufacturer.address);
+        });
+
+        it("恰好 MAX_BATCH_SIZE 个产品的批量购买应能在区块 Gas 限制内打包", async function () {
+            const maxBatch = Number(await marketplace.MAX_BATCH_SIZE());
+            const price = ethers.parseEther("0.01");
+            const { tokenIds } = await registerBatch(maxBatch, price);
+            const receipt = await (await marketplace.connect(retailer).buyProductBatch(tokenIds, { value: price * BigInt(maxBatch) })).wait();
+            const { gasLimit } = await ethers.provider.getBlock("latest");
+            console.log(`     ⛽ 购买 ${maxBatch} 件: ${receipt.gasUsed} (区块上限 ${gasLimit})`);
+
+            expect(receipt.status).to.equal(1);
+            expect(receipt.gasUsed).to.be.lt(gasLimit);
+            for (const tokenId of tokenIds) {
+                expect(await registry.ownerOf(tokenId)).to.equal(retailer.address);
+            }
+        });
+
+        it("批量路径的单件 Gas 应低于逐件注册和购买", async function () {
+            // A. 逐件注册与购买
+            let singleRegisterGas = 0n;
+            let singleBuyGas = 0n;
+            for (let i = 0; i < BATCH_SIZE; i++) {
+                const tokenId = nextTokenId;
+                const registerTx = await marketplace.connect(manufacturer).registerProduct(
+                    TEST_SN_PREFIX + tokenId, "Model-B", "MFG Inc.", PRICE_MFG, "https://warranty.com/terms", 365, 3
+                );
+                nextTokenId++;
+                singleRegisterGas += (await registerTx.wait()).gasUsed;
+
+                const buyTx = await marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG });
+                singleBuyGas += (await buyTx.wait()).gasUsed;
+            }
+
+            // B. 批量注册与购买
+            const { tx, tokenIds } = await registerBatch(BATCH_SIZE);
+            const batchRegisterGas = (await tx.wait()).gasUsed;
+            const buyTx = await marketplace.connect(retailer).buyProductBatch(tokenIds, { value: PRICE_MFG * BigInt(BATCH_SIZE) });
+            const batchBuyGas = (await buyTx.wait()).gasUsed;
+
+            const perUnit = (gas) => gas / BigInt(BATCH_SIZE);
+            console.log(`     ⛽ 注册 单件/批量 (每单位): ${perUnit(singleRegisterGas)} / ${perUnit(batchRegisterGas)}`);
+            console.log(`     ⛽ 购买 单件/批量 (每单位): ${perUnit(singleBuyGas)} / ${perUnit(batchBuyGas)}`);
+
+            expect(batchRegisterGas).to.be.lt(singleRegisterGas);
+            expect(batchBuyGas).to.be.lt(singleBuyGas);
+        });
+    });
+
+    // =============================================================
+    // 测试场景 12: 库存枚举在多轮买卖后的正确性
+    // =============================================================
+    describe("12. Enumerable Inventory", function () {
+        it("多轮购买与转售后，tokensOfOwner 与 getListedProducts 应与链上状态一致", async function () {
+            const PRODUCT_COUNT = 6;
+            const ROUNDS = 30;
+            const holders = [retailer, customer1, customer2, user];
+
+            const tokenIds = [];
+            for (let i = 0; i < PRODUCT_COUNT; i++) {
+                const tokenId = await registerProduct(PRICE_MFG);
+                await marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG });
+                await marketplace.connect(retailer).listProduct(tokenId, PRICE_RETAIL);
+                tokenIds.push(tokenId);
+            }
+
+            // 以固定种子的伪随机序列选择买家与产品，保证测试可复现
+            let seed = 7;
+            const next = (n) => {
+                seed = (seed * 1103515245 + 12345) % 2147483648;
+                return seed % n;
+            };
+
+            const listedIds = new Set(tokenIds);
+            for (let round = 0; round < ROUNDS; round++) {
+                const candidates = [...listedIds];
+                const tokenId = candidates[next(candidates.length)];
+                const owner = await registry.ownerOf(tokenId);
+                const buyers = holders.slice(1).filter((h) => h.address !== owner);
+                const buyer = buyers[next(buyers.length)];
+
+                // 零售价高于转售价，统一按零售价付款，多付部分记入余额
+                await marketplace.connect(buyer).buyProduct(tokenId, { value: PRICE_RETAIL });
+                listedIds.delete(tokenId);
+
+                // 大部分情况下立即转售，偶尔保留不上架
+                if (next(4) !== 0 || listedIds.size === 0) {
+                    await marketplace.connect(buyer).listProduct(tokenId, PRICE_RESALE);
+                    listedIds.add(tokenId);
+                }
+            }
+
+            // 逐个核对所有产品的所有者与上架状态
+            const ownersById = {};
+            const listedById = {};
+            for (const tokenId of tokenIds) {
+                ownersById[tokenId] = await registry.ownerOf(tokenId);
+                listedById[tokenId] = (await registry.getProductMarketInfo(tokenId)).isListed;
+            }
+
+            for (const holder of holders) {
+                const expected = tokenIds.filter((id) => ownersById[id] === holder.address).map(BigInt);
+                const owned = [...await registry.tokensOfOwner(holder.address, 0, 1000)].filter((id) => tokenIds.includes(Number(id)));
+                expect(owned).to.have.members(expected);
+
+                // 按页读取的结果应与一次性读取一致
+                const balance = await registry.balanceOf(holder.address);
+                const paged = [];
+                for (let offset = 0n; offset < balance; offset += 2n) {
+                    paged.push(...(await registry.tokensOfOwner(holder.address, offset, 2)));
+                }
+                expect(paged).to.deep.equal(await registry.tokensOfOwner(holder.address, 0, balance));
+            }
+
+            const listed = (await registry.getListedProducts(0, 1000)).map(Number);
+            expect(listed.length).to.equal(Number(await registry.getListedProductCount()));
+            expect(new Set(listed).size).to.equal(listed.length);
+            for (const tokenId of tokenIds) {
+                expect(listed.includes(tokenId)).to.equal(listedById[tokenId]);
+            }
+        });
+    });
+
+    // =============================================================
+    // 测试场景 13: 链上元数据中的实时保修状态
+    // =============================================================
+    describe("13. On-chain Metadata", function () {
+        function decodeTokenURI(uri) {
+            return JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString("utf8"));
+        }
+
+        it("tokenURI 中的保修信息应与 getWarrantyStatus 一致，并随时间变为 Expired", async function () {
+            const tokenId = await registerProduct(PRICE_MFG);
+            const [startDate, durationDays] = await warrantyManager.getWarrantyStatus(tokenId);
+
+            let metadata = decodeTokenURI(await registry.tokenURI(tokenId));
+            expect(metadata.serialNumber).to.equal(TEST_SN_PREFIX + tokenId);
+            expect(metadata.model).to.equal("Model-X");
+            expect(metadata.warranty).to.deep.equal({
+                status: "Active",
+                startDate: Number(startDate),
+                expiresAt: Number(startDate + durationDays * 86400n),
+                maxClaims: 3,
+                claimedCount: 0
+            });
+
+            await ethers.provider.send("evm_increaseTime", [366 * 86400]);
+            await ethers.provider.send("evm_mine");
+
+            metadata = decodeTokenURI(await registry.tokenURI(tokenId));
+            expect(metadata.warranty.status).to.equal("Expired");
+        });
+    });
+
+    // =============================================================
+    // 测试场景 14: 购买前展示召回信息
+    // =============================================================
+    describe("14. Recalls Before Purchase", function () {
+        it("召回应通过 Marketplace 与 verifyProduct 在购买前展示", async function () {
+            const tokenId = nextTokenId;
+            await marketplace.connect(manufacturer).registerProduct(
+                TEST_SN_PREFIX + tokenId, "Model-RC", "MFG Inc.", PRICE_MFG, "https://warranty.com/terms", 365, 3
+            );
+            nextTokenId++;
+            expect(await marketplace.getOpenRecalls(tokenId)).to.deep.equal([]);
+
+            const recallId = await warrantyManager.connect(manufacturer).openModelRecall.staticCall("Model-RC", "Faulty charger", "ipfs://remedy");
+            await warrantyManager.connect(manufacturer).openModelRecall("Model-RC", "Faulty charger", "ipfs://remedy");
+
+            expect(await marketplace.getOpenRecalls(tokenId)).to.deep.equal([recallId]);
+            expect((await registry.verifyProduct(tokenId)).openRecallIds).to.deep.equal([recallId]);
+
+            // 召回不会阻止交易，购买后买家可以登记召回服务
+            await marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG });
+            await expect(warrantyManager.connect(retailer).registerForRecall(tokenId, recallId))
+                .to.emit(warrantyManager, "RecallServiceRequested").withArgs(recallId, tokenId, retailer.address);
+
+            // 其他型号的产品不受影响
+            const otherId = await registerProduct(PRICE_MFG);
+            expect(await marketplace.getOpenRecalls(otherId)).to.deep.equal([]);
+        });
+    });
+
+    // =============================================================
+    // 测试场景 15: 挂失产品的交易冻结
+    // =============================================================
+    describe("15. Lost / Stolen Products", function () {
+        const REPORT_HASH = ethers.id("police-report-42");
+        let tokenId;
+
+        beforeEach(async function () {
+            // Mfg -> Retailer -> Customer1，客户持有产品并上架转售
+            tokenId = await registerProduct(PRICE_MFG);
+            await marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG });
+            await marketplace.connect(retailer).listProduct(tokenId, PRICE_RETAIL);
+            await marketplace.connect(customer1).buyProduct(tokenId, { value: PRICE_RETAIL });
+            await marketplace.connect(customer1).listProduct(tokenId, PRICE_RESALE);
+        });
+
+        it("挂失后产品被下架，不能再上架、购买或通过报价成交", async function () {
+            const offerId = await marketplace.connect(customer2).makeOffer.staticCall(tokenId, 4102444800, { value: PRICE_RESALE });
+            await marketplace.connect(customer2).makeOffer(tokenId, 4102444800, { value: PRICE_RESALE });
+
+            await registry.connect(customer1).reportLostOrStolen(tokenId, REPORT_HASH);
+            expect((await registry.getProductMarketInfo(tokenId)).isListed).to.be.false;
+
+            await expect(
+                marketplace.connect(customer2).buyProduct(tokenId, { value: PRICE_RESALE })
+            ).to.be.revertedWith("MP: Product not listed for sale.");
+            await expect(
+                marketplace.connect(customer1).listProduct(tokenId, PRICE_RESALE)
+            ).to.be.revertedWith("MP: Product reported lost or stolen.");
+            await expect(
+                marketplace.connect(customer1).acceptOffer(offerId)
+            ).to.be.revertedWith("MP: Product reported lost or stolen.");
+            await expect(
+                marketplace.connect(customer1).createEnglishAuction(tokenId, PRICE_RESALE, 1, 3600)
+            ).to.be.revertedWith("MP: Product reported lost or stolen.");
+        });
+
+        it("拍卖期间被挂失：不能再出价，结算时退回最高出价并取消拍卖", async function () {
+            await expect(marketplace.connect(customer1).delistProduct(tokenId))
+                .to.emit(marketplace, "ProductDelisted").withArgs(tokenId, customer1.address);
+            const auctionId = await marketplace.connect(customer1).createEnglishAuction.staticCall(tokenId, PRICE_RESALE, 1, 3600);
+            await marketplace.connect(customer1).createEnglishAuction(tokenId, PRICE_RESALE, 1, 3600);
+            await marketplace.connect(customer2).placeBid(auctionId, { value: PRICE_RESALE });
+
+            await registry.connect(customer1).reportLostOrStolen(tokenId, REPORT_HASH);
+            await expect(
+                marketplace.connect(user).placeBid(auctionId, { value: PRICE_RETAIL })
+            ).to.be.revertedWith("MP: Product reported lost or stolen.");
+
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine");
+
+            const before = await marketplace.pendingWithdrawals(customer2.address);
+            await expect(marketplace.settleAuction(auctionId))
+                .to.emit(marketplace, "AuctionCancelled").withArgs(auctionId, tokenId);
+            expect(await marketplace.pendingWithdrawals(customer2.address)).to.equal(before + PRICE_RESALE);
+            expect(await registry.ownerOf(tokenId)).to.equal(customer1.address);
+        });
+
+        it("解除挂失后可以重新上架并出售", async function () {
+            await registry.connect(customer1).reportLostOrStolen(tokenId, REPORT_HASH);
+            await registry.connect(customer1).recoverProduct(tokenId);
+
+            await marketplace.connect(customer1).listProduct(tokenId, PRICE_RESALE);
+            await marketplace.connect(customer2).buyProduct(tokenId, { value: PRICE_RESALE });
+            expect(await registry.ownerOf(tokenId)).to.equal(customer2.address);
+
+            const history = (await registry.verifyProduct(tokenId)).ownershipHistory.map((log) => log.eventType);
+            expect(history.slice(-3)).to.deep.equal(["REPORTED_LOST_OR_STOLEN", "RECOVERED", "SECONDARY_SALE"]);
+        });
+    });
+
+    // =============================================================
+    // 测试场景 16: 付费延保
+    // =============================================================
+    describe("16. Warranty Extensions", function () {
+        const PLAN_PRICE = ethers.parseEther("5");
+        let planId, tokenId;
+
+        before(async function () {
+            planId = await warrantyManager.connect(manufacturer).publishExtensionPlan.staticCall(180, 2, PLAN_PRICE);
+            await expect(warrantyManager.connect(manufacturer).publishExtensionPlan(180, 2, PLAN_PRICE))
+                .to.emit(warrantyManager, "ExtensionPlanPublished")
+                .withArgs(planId, manufacturer.address, 180, 2, PLAN_PRICE);
+        });
+
+        beforeEach(async function () {
+            // Mfg -> Retailer -> Customer1
+            tokenId = await registerProduct(PRICE_MFG);
+            await marketplace.connect(retailer).buyProduct(tokenId, { value: PRICE_MFG });
+            await marketplace.connect(retailer).listProduct(tokenId, PRICE_RETAIL);
+            await marketplace.connect(customer1).buyProduct(tokenId, { value: PRICE_RETAIL });
+        });
+
+        it("所有者购买延保后，保修期与索赔次数叠加，款项记入制造商余额", async function () {
+            const before = await marketplace.pendingWithdrawals(manufacturer.address);
+
+            await expect(marketplace.connect(customer1).buyWarrantyExtension(tokenId, planId, { value: PLAN_PRICE }))
+                .to.emit(marketplace, "WarrantyExtensionPurchased")
+                .withArgs(tokenId, planId, customer1.address, manufacturer.address, PLAN_PRICE)
+                .and.to.emit(warrantyManager, "WarrantyExtended")
+                .withArgs(tokenId, planId, customer1.address, 365 + 180, 3 + 2);
+
+            const [, durationDays, maxClaims] = await warrantyManager.getWarrantyStatus(tokenId);
+            expect(durationDays).to.equal(365 + 180);
+            expect(maxClaims).to.equal(5);
+            expect(await marketplace.pendingWithdrawals(manufacturer.address)).to.equal(before + PLAN_PRICE);
+
+            const [record] = await warrantyManager.getExtensionHistory(tokenId);
+            expect(record.planId).to.equal(planId);
+            expect(record.purchaser).to.equal(customer1.address);
+            expect(record.extraDays).to.equal(180);
+            expect(record.price).to.equal(PLAN_PRICE);
+        });
+
+        it("延保随产品转让，新所有者可以继续叠加", async function () {
+            await marketplace.connect(customer1).buyWarrantyExtension(tokenId, planId, { value: PLAN_PRICE });
+            await marketplace.connect(customer1).listProduct(tokenId, PRICE_RESALE);
+            await marketplace.connect(customer2).buyProduct(tokenId, { value: PRICE_RESALE });
+
+            let [, durationDays] = await warrantyManager.getWarrantyStatus(tokenId);
+            expect(durationDays).to.equal(365 + 180);
+
+            // 多付部分记入买家余额
+            const extra = ethers.parseEther("1");
+            const before = await marketplace.pendingWithdrawals(customer2.address);
+            await marketplace.connect(customer2).buyWarrantyExtension(tokenId, planId, { value: PLAN_PRICE + extra });
+            expect(await marketplace.pendingWithdrawals(customer2.address)).to.equal(before + extra);
+
+            [, durationDays] = await warrantyManager.getWarrantyStatus(tokenId);
+            expect(durationDays).to.equal(365 + 360);
+            const history = await warrantyManager.getExtensionHistory(tokenId);
+            expect(history.map((r) => r.purchaser)).to.deep.equal([customer1.address, customer2.address]);
+        });
+
+        it("每个产品的延保次数有上限", async function () {
+            const cap = await warrantyManager.MAX_EXTENSIONS_PER_PRODUCT();
+            for (let i = 0; i < cap; i++) {
+                await marketplace.connect(customer1).buyWarrantyExtension(tokenId, planId, { value: PLAN_PRICE });
+            }
+            await expect(
+                marketplace.connect(customer1).buyWarrantyExtension(tokenId, planId, { value: PLAN_PRICE })
+            ).to.be.revertedWith("WM: Extension limit reached.");
+        });
+
+        it("非所有者、付款不足、已下架或其他制造商的计划都不能购买", async function () {
+            await expect(
+                marketplace.connect(customer2).buyWarrantyExtension(tokenId, planId, { value: PLAN_PRICE })
+            ).to.be.revertedWith("MP: Not owner.");
+            await expect(
+                marketplace.connect(customer1).buyWarrantyExtension(tokenId, planId, { value: PLAN_PRICE - 1n })
+            ).to.be.revertedWith("MP: Insufficient funds sent.");
+            await expect(
+                warrantyManager.connect(customer1).applyExtension(tokenId, planId, customer1.address)
+            ).to.be.revertedWith("WM: Only Marketplace.");
+
+            // 其他制造商发布的计划
+            await roles.grantRole(ethers.id("MANUFACTURER_ROLE"), deployer.address);
+            const otherPlanId = await warrantyManager.connect(deployer).publishExtensionPlan.staticCall(30, 0, PLAN_PRICE);
+            await warrantyManager.connect(deployer).publishExtensionPlan(30, 0, PLAN_PRICE);
+            await expect(
+                marketplace.connect(customer1).buyWarrantyExtension(tokenId, otherPlanId, { value: PLAN_PRICE })
+            ).to.be.revertedWith("WM: Plan not offered for this product.");
+            await roles.revokeRole(ethers.id("MANUFACTURER_ROLE"), deployer.address);
+
+            // 制造商下架计划
+            await expect(warrantyManager.connect(customer1).setExtensionPlanActive(planId, false))
+                .to.be.revertedWith("WM: Not plan owner.");
+            await warrantyManager.connect(manufacturer).setExtensionPlanActive(planId, false);
+            await expect(
+                marketplace.connect(customer1).buyWarrantyExtension(tokenId, planId, { value: PLAN_PRICE })
+            ).to.be.revertedWith("WM: Extension plan not available.");
+            await warrantyManager.connect(manufacturer).setExtensionPlanActive(planId, true);
+        });
+
+        it("保修过期后不能再购买延保", async function () {
+            await ethers.provider.send("evm_increaseTime", [366 * 86400]);
+            await ethers.provider.send("evm_mine");
+            await expect(
+                marketplace.connect(customer1).buyWarrantyExtension(tokenId, planId, { value: PLAN_PRICE })
+            ).to.be.revertedWith("Warranty has expired.");
+        });
+    });
+});
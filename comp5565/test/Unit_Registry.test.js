@@ -2,6 +2,7 @@
 
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { getLinkedContractFactory } = require("./helpers/system");
 
 // Unit Test: ProductRegistry
 describe("Unit Test: ProductRegistry", function () {
@@ -37,7 +38,7 @@ describe("Unit Test: ProductRegistry", function () {
         warrantyManagerMock = await MockWarrantyManager.deploy(true); 
 
         // 3. 部署 ProductRegistry
-        const ProductRegistry = await ethers.getContractFactory("ProductRegistry");
+        const ProductRegistry = await getLinkedContractFactory("ProductRegistry");
         registry = await ProductRegistry.deploy(
             roles.target,
             warrantyManagerMock.target
@@ -225,4 +226,422 @@ describe("Unit Test: ProductRegistry", function () {
             expect(c2Inventory).to.deep.equal([INITIAL_TOKEN_ID]);
         });
     });
+
+    // ======================================================
+    // 制造商版税 (ERC-2981)
+    // ======================================================
+
+    describe("制造商版税 (ERC-2981)", function () {
+        const tokenId = INITIAL_TOKEN_ID; // 1000n
+
+        it("应声明支持 ERC-2981 与 ERC-721 接口", async function () {
+            expect(await registry.supportsInterface("0x2a55205a")).to.be.true; // IERC2981
+            expect(await registry.supportsInterface("0x80ac58cd")).to.be.true; // IERC721
+        });
+
+        it("未设置版税时 royaltyInfo 返回 0", async function () {
+            const [receiver, amount] = await registry.royaltyInfo(tokenId, 10000n);
+            expect(receiver).to.equal(ethers.ZeroAddress);
+            expect(amount).to.equal(0n);
+        });
+
+        it("Marketplace 设置的单品版税应按基点计算", async function () {
+            await registry.connect(marketplace).setTokenRoyalty(tokenId, manufacturer.address, 250);
+            const [receiver, amount] = await registry.royaltyInfo(tokenId, 10000n);
+            expect(receiver).to.equal(manufacturer.address);
+            expect(amount).to.equal(250n);
+        });
+
+        it("非 Marketplace 不能设置版税", async function () {
+            await expect(
+                registry.connect(manufacturer).setTokenRoyalty(tokenId, manufacturer.address, 100)
+            ).to.be.revertedWith("Registry: Only Marketplace.");
+        });
+
+        it("版税不能超过所有者设定的上限，且只有所有者能调整上限", async function () {
+            await expect(
+                registry.connect(marketplace).setTokenRoyalty(tokenId, manufacturer.address, 1001)
+            ).to.be.revertedWith("PR: Royalty exceeds cap.");
+
+            await expect(
+                registry.connect(manufacturer).setMaxRoyaltyBps(2000)
+            ).to.be.revertedWithCustomError(registry, "OwnableUnauthorizedAccount");
+
+            // 部署者 (第一个账户) 即 Registry 所有者
+            await expect(registry.connect(marketplace).setMaxRoyaltyBps(2000))
+                .to.emit(registry, "MaxRoyaltyUpdated").withArgs(2000);
+            await registry.connect(marketplace).setTokenRoyalty(tokenId, manufacturer.address, 1500);
+            await registry.connect(marketplace).setMaxRoyaltyBps(1000);
+        });
+    });
+
+    // ======================================================
+    // 序列号唯一性与查询 (getTokenIdBySerialNumber)
+    // ======================================================
+
+    describe("序列号唯一性与查询 (getTokenIdBySerialNumber)", function () {
+        let mfgTokenId;
+
+        before(async function () {
+            mfgTokenId = await registry.connect(marketplace).mintProduct.staticCall(
+                manufacturer.address, "SN-1000", TEST_MODEL_DETAILS, TEST_MFG_DETAILS, TEST_PRICE, PRODUCT_URI
+            );
+            await registry.connect(marketplace).mintProduct(
+                manufacturer.address, "SN-1000", TEST_MODEL_DETAILS, TEST_MFG_DETAILS, TEST_PRICE, PRODUCT_URI
+            );
+        });
+
+        it("同一制造商重复注册序列号应失败，且忽略大小写与首尾空白", async function () {
+            for (const duplicate of ["SN-1000", "sn-1000", "  Sn-1000 "]) {
+                await expect(
+                    registry.connect(marketplace).mintProduct(
+                        manufacturer.address, duplicate, TEST_MODEL_DETAILS, TEST_MFG_DETAILS, TEST_PRICE, PRODUCT_URI
+                    )
+                ).to.be.revertedWith("PR: Duplicate serial number.");
+            }
+            // 原有映射未被覆盖
+            expect(await registry.serialNumberToTokenId("SN-1000")).to.equal(mfgTokenId);
+        });
+
+        it("序列号查询应大小写不敏感", async function () {
+            expect(await registry["getTokenIdBySerialNumber(string)"]("SN-1000")).to.equal(mfgTokenId);
+            expect(await registry["getTokenIdBySerialNumber(string)"]("sn-1000")).to.equal(mfgTokenId);
+            expect(await registry.normalizeSerialNumber(" sn-1000\n")).to.equal("SN-1000");
+        });
+
+        it("未知或空序列号查询应回退", async function () {
+            await expect(
+                registry["getTokenIdBySerialNumber(string)"]("SN-NON-EXISTENT")
+            ).to.be.revertedWith("PR: Unknown serial number.");
+            await expect(
+                registry["getTokenIdBySerialNumber(address,string)"](retailer.address, "SN-1000")
+            ).to.be.revertedWith("PR: Unknown serial number.");
+            await expect(
+                registry["getTokenIdBySerialNumber(string)"]("   ")
+            ).to.be.revertedWith("PR: Empty serial number.");
+        });
+
+        it("不同制造商可以使用相同序列号，此时需按制造商查询", async function () {
+            const otherTokenId = await registry.connect(marketplace).mintProduct.staticCall(
+                retailer.address, "sn-1000", TEST_MODEL_DETAILS, "Other MFG", TEST_PRICE, PRODUCT_URI
+            );
+            await registry.connect(marketplace).mintProduct(
+                retailer.address, "sn-1000", TEST_MODEL_DETAILS, "Other MFG", TEST_PRICE, PRODUCT_URI
+            );
+
+            await expect(
+                registry["getTokenIdBySerialNumber(string)"]("SN-1000")
+            ).to.be.revertedWith("PR: Ambiguous serial number.");
+            expect(
+                await registry["getTokenIdBySerialNumber(address,string)"](manufacturer.address, "sn-1000")
+            ).to.equal(mfgTokenId);
+            expect(
+                await registry["getTokenIdBySerialNumber(address,string)"](retailer.address, "SN-1000")
+            ).to.equal(otherTokenId);
+        });
+    });
+
+    // ======================================================
+    // 库存与上架产品枚举 (tokensOfOwner / getListedProducts)
+    // ======================================================
+
+    describe("库存与上架产品枚举 (tokensOfOwner / getListedProducts)", function () {
+        let ids;
+
+        before(async function () {
+            ids = [];
+            for (let i = 0; i < 5; i++) {
+                const id = await registry.connect(marketplace).mintProduct.staticCall(
+                    user.address, "SN-ENUM-" + i, TEST_MODEL_DETAILS, TEST_MFG_DETAILS, TEST_PRICE, PRODUCT_URI
+                );
+                await registry.connect(marketplace).mintProduct(
+                    user.address, "SN-ENUM-" + i, TEST_MODEL_DETAILS, TEST_MFG_DETAILS, TEST_PRICE, PRODUCT_URI
+                );
+                ids.push(id);
+            }
+        });
+
+        it("tokensOfOwner 应分页返回库存，越界时返回空数组", async function () {
+            expect(await registry.tokensOfOwner(user.address, 0, 2)).to.deep.equal(ids.slice(0, 2));
+            expect(await registry.tokensOfOwner(user.address, 2, 10)).to.deep.equal(ids.slice(2));
+            expect(await registry.tokensOfOwner(user.address, 5, 10)).to.deep.equal([]);
+            expect(await registry.getPlayerInventory(user.address)).to.deep.equal(ids);
+        });
+
+        it("普通 transferFrom 与 executeMarketTransaction 都应同步更新库存", async function () {
+            await registry.connect(user).transferFrom(user.address, retailer.address, ids[0]);
+            await registry.connect(marketplace).executeMarketTransaction(user.address, retailer.address, ids[1]);
+
+            expect([...await registry.tokensOfOwner(retailer.address, 0, 10)]).to.include.members([ids[0], ids[1]]);
+            expect([...await registry.tokensOfOwner(user.address, 0, 10)]).to.have.members(ids.slice(2));
+        });
+
+        it("上架集合应随 updateMarketInfo 同步，并支持分页", async function () {
+            const listedBefore = await registry.getListedProductCount();
+
+            await registry.connect(marketplace).updateMarketInfo(ids[2], TEST_PRICE, false);
+            await registry.connect(marketplace).updateMarketInfo(ids[3], TEST_PRICE, false);
+            // 重复下架不应影响集合
+            await registry.connect(marketplace).updateMarketInfo(ids[3], TEST_PRICE, false);
+            expect(await registry.getListedProductCount()).to.equal(listedBefore - 2n);
+
+            const listed = await registry.getListedProducts(0, 1000);
+            expect(listed).to.not.include(ids[2]);
+            expect(listed).to.include(ids[4]);
+
+            // 重新上架
+            await registry.connect(marketplace).updateMarketInfo(ids[2], TEST_PRICE, true);
+            await registry.connect(marketplace).updateMarketInfo(ids[2], TEST_PRICE, true);
+            expect(await registry.getListedProductCount()).to.equal(listedBefore - 1n);
+            expect(await registry.getListedProducts(0, 1000)).to.include(ids[2]);
+            expect(await registry.getListedProducts(listedBefore, 10)).to.deep.equal([]);
+        });
+    });
+
+    // ======================================================
+    // 链上元数据 (tokenURI)
+    // ======================================================
+
+    describe("链上元数据 (tokenURI)", function () {
+        const QUOTED_SERIAL = 'SN-"META"\\1';
+        let tokenId;
+
+        // 辅助函数：解码 data URI 中的 base64 JSON
+        function decodeTokenURI(uri) {
+            const prefix = "data:application/json;base64,";
+            expect(uri.startsWith(prefix)).to.be.true;
+            return JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString("utf8"));
+        }
+
+        before(async function () {
+            tokenId = await registry.connect(marketplace).mintProduct.staticCall(
+                manufacturer.address, QUOTED_SERIAL, TEST_MODEL_DETAILS, TEST_MFG_DETAILS, TEST_PRICE, PRODUCT_URI
+            );
+            await registry.connect(marketplace).mintProduct(
+                manufacturer.address, QUOTED_SERIAL, TEST_MODEL_DETAILS, TEST_MFG_DETAILS, TEST_PRICE, PRODUCT_URI
+            );
+        });
+
+        after(async function () {
+            await warrantyManagerMock.setValidStatus(true);
+            await registry.connect(marketplace).setWarrantyBadgeEnabled(true);
+        });
+
+        it("tokenURI 应返回可解码的 JSON，包含产品静态数据与保修条款", async function () {
+            const metadata = decodeTokenURI(await registry.tokenURI(tokenId));
+            const staticD = await registry.staticData(tokenId);
+
+            expect(metadata.name).to.equal(`ProductNFT #${tokenId}`);
+            // 序列号中的引号与反斜杠应被正确转义
+            expect(metadata.serialNumber).to.equal(QUOTED_SERIAL);
+            expect(metadata.model).to.equal(TEST_MODEL_DETAILS);
+            expect(metadata.manufacturer.details).to.equal(TEST_MFG_DETAILS);
+            expect(metadata.manufacturer.address.toLowerCase()).to.equal(manufacturer.address.toLowerCase());
+            expect(BigInt(metadata.registrationTimestamp)).to.equal(staticD.timeStamp);
+            expect(metadata.warrantyTermsURI).to.equal(PRODUCT_URI);
+        });
+
+        it("保修状态应来自 WarrantyManager.getWarrantyStatus，SVG 徽章随状态变化", async function () {
+            const decodeBadge = (metadata) => {
+                const prefix = "data:image/svg+xml;base64,";
+                expect(metadata.image.startsWith(prefix)).to.be.true;
+                return Buffer.from(metadata.image.slice(prefix.length), "base64").toString("utf8");
+            };
+
+            await warrantyManagerMock.setValidStatus(true);
+            let metadata = decodeTokenURI(await registry.tokenURI(tokenId));
+            expect(metadata.warranty.status).to.equal("Active");
+            expect(decodeBadge(metadata)).to.contain("Warranty Active").and.to.contain("<svg");
+
+            await warrantyManagerMock.setValidStatus(false);
+            metadata = decodeTokenURI(await registry.tokenURI(tokenId));
+            expect(metadata.warranty.status).to.equal("Expired");
+            expect(decodeBadge(metadata)).to.contain("Warranty Expired");
+        });
+
+        it("所有者可关闭 SVG 徽章，且只有所有者可以操作", async function () {
+            await expect(
+                registry.connect(manufacturer).setWarrantyBadgeEnabled(false)
+            ).to.be.revertedWithCustomError(registry, "OwnableUnauthorizedAccount");
+
+            await expect(registry.connect(marketplace).setWarrantyBadgeEnabled(false))
+                .to.emit(registry, "WarrantyBadgeToggled").withArgs(false);
+            const metadata = decodeTokenURI(await registry.tokenURI(tokenId));
+            expect(metadata).to.not.have.property("image");
+            expect(metadata.warranty.status).to.be.a("string");
+        });
+
+        it("不存在的 Token 查询 tokenURI 应失败", async function () {
+            await expect(registry.tokenURI(9999n))
+                .to.be.revertedWithCustomError(registry, "ERC721NonexistentToken").withArgs(9999n);
+        });
+    });
+
+    // ======================================================
+    // 挂失与找回 (Lost / Stolen)
+    // ======================================================
+
+    describe("挂失与找回 (Lost / Stolen)", function () {
+        const REPORT_HASH = ethers.id("police-report-2024-0001");
+        let tokenId;
+
+        beforeEach(async function () {
+            const serial = "SN-THEFT-" + (await registry.totalSupply());
+            tokenId = await registry.connect(marketplace).mintProduct.staticCall(
+                customer1.address, serial, TEST_MODEL_DETAILS, TEST_MFG_DETAILS, TEST_PRICE, PRODUCT_URI
+            );
+            await registry.connect(marketplace).mintProduct(
+                customer1.address, serial, TEST_MODEL_DETAILS, TEST_MFG_DETAILS, TEST_PRICE, PRODUCT_URI
+            );
+        });
+
+        it("所有者挂失后产品自动下架、冻结转移，并写入历史记录", async function () {
+            await expect(registry.connect(customer1).reportLostOrStolen(tokenId, REPORT_HASH))
+                .to.emit(registry, "ProductReportedLostOrStolen").withArgs(tokenId, customer1.address, REPORT_HASH);
+
+            expect(await registry.isLostOrStolen(tokenId)).to.be.true;
+            const report = await registry.theftReports(tokenId);
+            expect(report.reporter).to.equal(customer1.address);
+            expect(report.policeReportHash).to.equal(REPORT_HASH);
+
+            const data = await registry.verifyProduct(tokenId);
+            expect(data.isListed).to.be.false;
+            expect(data.ownershipHistory[data.ownershipHistory.length - 1].eventType).to.equal("REPORTED_LOST_OR_STOLEN");
+            expect(await registry.getListedProducts(0, 1000)).to.not.include(tokenId);
+
+            await expect(
+                registry.connect(customer1).transferFrom(customer1.address, customer2.address, tokenId)
+            ).to.be.revertedWith("PR: Product reported lost or stolen.");
+            await expect(
+                registry.connect(marketplace).executeMarketTransaction(customer1.address, customer2.address, tokenId)
+            ).to.be.revertedWith("PR: Product reported lost or stolen.");
+        });
+
+        it("只有所有者可以挂失，且必须提供报案哈希", async function () {
+            await expect(
+                registry.connect(customer2).reportLostOrStolen(tokenId, REPORT_HASH)
+            ).to.be.revertedWith("PR: Not owner.");
+            await expect(
+                registry.connect(customer1).reportLostOrStolen(tokenId, ethers.ZeroHash)
+            ).to.be.revertedWith("PR: Police report required.");
+
+            await registry.connect(customer1).reportLostOrStolen(tokenId, REPORT_HASH);
+            await expect(
+                registry.connect(customer1).reportLostOrStolen(tokenId, REPORT_HASH)
+            ).to.be.revertedWith("PR: Already reported.");
+        });
+
+        it("挂失人可以解除挂失，解除后恢复转移并记录 RECOVERED", async function () {
+            await registry.connect(customer1).reportLostOrStolen(tokenId, REPORT_HASH);
+            await expect(registry.connect(customer2).recoverProduct(tokenId))
+                .to.be.revertedWith("PR: Not reporter or arbiter.");
+
+            await expect(registry.connect(customer1).recoverProduct(tokenId))
+                .to.emit(registry, "ProductRecovered").withArgs(tokenId, customer1.address);
+            expect(await registry.isLostOrStolen(tokenId)).to.be.false;
+
+            const data = await registry.verifyProduct(tokenId);
+            expect(data.ownershipHistory[data.ownershipHistory.length - 1].eventType).to.equal("RECOVERED");
+
+            await registry.connect(customer1).transferFrom(customer1.address, customer2.address, tokenId);
+            expect(await registry.ownerOf(tokenId)).to.equal(customer2.address);
+            await expect(registry.connect(customer1).recoverProduct(tokenId))
+                .to.be.revertedWith("PR: Not reported.");
+        });
+
+        it("仲裁员或管理员可以代为解除挂失", async function () {
+            await registry.connect(customer1).reportLostOrStolen(tokenId, REPORT_HASH);
+            await roles.grantRole(ethers.id("ARBITER_ROLE"), user.address);
+
+            await expect(registry.connect(user).recoverProduct(tokenId))
+                .to.emit(registry, "ProductRecovered").withArgs(tokenId, user.address);
+
+            // 部署者 (第一个账户) 为角色管理员
+            await registry.connect(customer1).reportLostOrStolen(tokenId, REPORT_HASH);
+            await expect(registry.connect(marketplace).recoverProduct(tokenId))
+                .to.emit(registry, "ProductRecovered").withArgs(tokenId, marketplace.address);
+        });
+    });
+
+    // ======================================================
+    // 报废回收 (End-of-life)
+    // ======================================================
+
+    describe("报废回收 (End-of-life)", function () {
+        const CERTIFICATE_URI = "ipfs://recycling-certificate/1";
+        const SERIAL = "SN-EOL-1";
+        let recycler, tokenId;
+
+        before(async function () {
+            recycler = retailer;
+            await roles.grantRole(ethers.id("RECYCLER_ROLE"), recycler.address);
+
+            tokenId = await registry.connect(marketplace).mintProduct.staticCall(
+                manufacturer.address, SERIAL, TEST_MODEL_DETAILS, TEST_MFG_DETAILS, TEST_PRICE, PRODUCT_URI
+            );
+            await registry.connect(marketplace).mintProduct(
+                manufacturer.address, SERIAL, TEST_MODEL_DETAILS, TEST_MFG_DETAILS, TEST_PRICE, PRODUCT_URI
+            );
+            await registry.connect(manufacturer).transferFrom(manufacturer.address, customer1.address, tokenId);
+        });
+
+        it("只能交给认证回收商，且只有回收商能出具证明并销毁", async function () {
+            await expect(
+                registry.connect(customer1).handOverForRecycling(tokenId, customer2.address)
+            ).to.be.revertedWith("PR: Not a certified recycler.");
+            await expect(
+                registry.connect(customer2).handOverForRecycling(tokenId, recycler.address)
+            ).to.be.revertedWith("PR: Not owner.");
+            await expect(
+                registry.connect(customer1).recycleProduct(tokenId, CERTIFICATE_URI)
+            ).to.be.revertedWith("PR: Not a certified recycler.");
+        });
+
+        it("所有者交给回收商后产品下架，并记录 RECYCLING_HANDOVER", async function () {
+            await expect(registry.connect(customer1).handOverForRecycling(tokenId, recycler.address))
+                .to.emit(registry, "ProductHandedToRecycler").withArgs(tokenId, customer1.address, recycler.address);
+
+            expect(await registry.ownerOf(tokenId)).to.equal(recycler.address);
+            const data = await registry.verifyProduct(tokenId);
+            expect(data.isListed).to.be.false;
+            expect(data.ownershipHistory[data.ownershipHistory.length - 1].eventType).to.equal("RECYCLING_HANDOVER");
+        });
+
+        it("回收商出具证明后销毁 NFT，verifyProduct 仍返回完整历史并以 RECYCLED 结尾", async function () {
+            await expect(
+                registry.connect(recycler).recycleProduct(tokenId, "")
+            ).to.be.revertedWith("PR: Certificate required.");
+            expect(await registry.isRecycled(tokenId)).to.be.false;
+
+            await expect(registry.connect(recycler).recycleProduct(tokenId, CERTIFICATE_URI))
+                .to.emit(registry, "ProductRecycled").withArgs(tokenId, recycler.address, CERTIFICATE_URI)
+                .and.to.emit(registry, "Transfer").withArgs(recycler.address, ethers.ZeroAddress, tokenId);
+
+            await expect(registry.ownerOf(tokenId))
+                .to.be.revertedWithCustomError(registry, "ERC721NonexistentToken");
+            expect(await registry.tokensOfOwner(recycler.address, 0, 100)).to.not.include(tokenId);
+
+            const record = await registry.recyclingRecords(tokenId);
+            expect(record.recycler).to.equal(recycler.address);
+            expect(record.certificateURI).to.equal(CERTIFICATE_URI);
+
+            expect(await registry.isRecycled(tokenId)).to.be.true;
+            const data = await registry.verifyProduct(tokenId);
+            expect(data.isRecycled).to.be.true;
+            expect(data.currentOwner).to.equal(ethers.ZeroAddress);
+            expect(data.serialNumber).to.equal(SERIAL);
+            const events = data.ownershipHistory.map((log) => log.eventType);
+            expect(events[0]).to.equal("MINT_LISTED");
+            expect(events[events.length - 1]).to.equal("RECYCLED");
+        });
+
+        it("回收后序列号仍被永久占用", async function () {
+            expect(await registry["getTokenIdBySerialNumber(string)"](SERIAL)).to.equal(tokenId);
+            await expect(
+                registry.connect(marketplace).mintProduct(
+                    manufacturer.address, SERIAL, TEST_MODEL_DETAILS, TEST_MFG_DETAILS, TEST_PRICE, PRODUCT_URI
+                )
+            ).to.be.revertedWith("PR: Duplicate serial number.");
+        });
+    });
 });
\ No newline at end of file
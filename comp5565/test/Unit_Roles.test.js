@@ -13,6 +13,8 @@ describe("Unit Test: RolesContract", function () {
     const MANUFACTURER_ROLE = ethers.id("MANUFACTURER_ROLE");
     const RETAILER_ROLE = ethers.id("RETAILER_ROLE");
     const SERVICECENTER_ROLE = ethers.id("SERVICECENTER_ROLE");
+    const ARBITER_ROLE = ethers.id("ARBITER_ROLE");
+    const RECYCLER_ROLE = ethers.id("RECYCLER_ROLE");
 
     // before：在所有测试开始前，部署合约并获取测试账户。
     before(async function () {
@@ -36,6 +38,8 @@ describe("Unit Test: RolesContract", function () {
             expect(await rolesContract.MANUFACTURER_ROLE()).to.equal(MANUFACTURER_ROLE);
             expect(await rolesContract.RETAILER_ROLE()).to.equal(RETAILER_ROLE);
             expect(await rolesContract.SERVICECENTER_ROLE()).to.equal(SERVICECENTER_ROLE);
+            expect(await rolesContract.ARBITER_ROLE()).to.equal(ARBITER_ROLE);
+            expect(await rolesContract.RECYCLER_ROLE()).to.equal(RECYCLER_ROLE);
         });
     });
 
@@ -52,6 +56,12 @@ describe("Unit Test: RolesContract", function () {
 
             // 授予 ServiceCenter 角色
             await rolesContract.connect(deployer).grantRole(SERVICECENTER_ROLE, serviceCenter.address);
+
+            // 授予 Arbiter 角色
+            await rolesContract.connect(deployer).grantRole(ARBITER_ROLE, admin2.address);
+
+            // 授予 Recycler 角色
+            await rolesContract.connect(deployer).grantRole(RECYCLER_ROLE, serviceCenter.address);
         });
 
         // 负面测试：非管理员尝试授予角色应失败。
@@ -60,6 +70,17 @@ describe("Unit Test: RolesContract", function () {
             await expect(rolesContract.connect(user).grantRole(MANUFACTURER_ROLE, user.address))
                 .to.be.revertedWithCustomError(rolesContract, "AccessControlUnauthorizedAccount");
         });
+
+        // 批量授予：部署模块按参数文件分配初始角色时使用。
+        it("管理员应能批量授予同一角色，非管理员调用应失败", async function () {
+            const [, , , , , , retailerA, retailerB] = await ethers.getSigners();
+            await rolesContract.connect(deployer).grantRoleBatch(RETAILER_ROLE, [retailerA.address, retailerB.address]);
+            expect(await rolesContract.isRetailer(retailerA.address)).to.be.true;
+            expect(await rolesContract.isRetailer(retailerB.address)).to.be.true;
+
+            await expect(rolesContract.connect(user).grantRoleBatch(RETAILER_ROLE, [user.address]))
+                .to.be.revertedWithCustomError(rolesContract, "AccessControlUnauthorizedAccount");
+        });
     });
 
     // 角色验证 (Role Verification)：测试业务角色查询函数。
@@ -82,6 +103,21 @@ describe("Unit Test: RolesContract", function () {
             expect(await rolesContract.isServiceCenter(user.address)).to.be.false;
         });
 
+        // 验证 isArbiter() 查询结果是否正确：仲裁员与管理员均返回 true。
+        it("isArbiter() 应返回正确状态", async function () {
+            expect(await rolesContract.isArbiter(admin2.address)).to.be.true;
+            expect(await rolesContract.isArbiter(deployer.address)).to.be.true;
+            expect(await rolesContract.isArbiter(serviceCenter.address)).to.be.false;
+            expect(await rolesContract.isArbiter(user.address)).to.be.false;
+        });
+
+        // 验证 isRecycler() 查询结果是否正确。
+        it("isRecycler() 应返回正确状态", async function () {
+            expect(await rolesContract.isRecycler(serviceCenter.address)).to.be.true;
+            expect(await rolesContract.isRecycler(deployer.address)).to.be.false;
+            expect(await rolesContract.isRecycler(user.address)).to.be.false;
+        });
+
         // 验证 hasAnyRole() 是否能正确检查任一业务角色。
         it("hasAnyRole() 应返回正确状态", async function () {
             // Manufacturer 和 Retailer 拥有角色
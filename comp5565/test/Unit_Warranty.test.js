@@ -2,6 +2,7 @@
 
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { getLinkedContractFactory } = require("./helpers/system");
 
 // Unit Test: WarrantyManager：专注于测试保修的发行、状态转换、权限和时间逻辑。
 describe("Unit Test: WarrantyManager", function () {
@@ -17,7 +18,8 @@ describe("Unit Test: WarrantyManager", function () {
         Active: 1,
         Pending: 2,
         Expired: 3,
-        Fulfilled: 4
+        Fulfilled: 4,
+        Void: 5
     };
 
     // 辅助函数：发行新产品和保修
@@ -42,7 +44,7 @@ describe("Unit Test: WarrantyManager", function () {
         await roles.grantRole(ethers.id("SERVICECENTER_ROLE"), serviceCenter.address);
 
         // --- 部署 WarrantyManager ---
-        const WarrantyManager = await ethers.getContractFactory("WarrantyManager");
+        const WarrantyManager = await getLinkedContractFactory("WarrantyManager");
         warranty = await WarrantyManager.deploy(roles.target);
 
         // --- 部署 ProductRegistry Mock (用于模拟 NFT 所有权检查) ---
@@ -130,6 +132,946 @@ describe("Unit Test: WarrantyManager", function () {
         });
     });
 
+    // 索赔账本 (Claim Ledger)：每次索赔独立记录，不会被后续索赔覆盖。
+    describe("索赔账本 (Claim Ledger)", function () {
+        let tokenId;
+
+        // ClaimDecision 枚举
+        const ClaimDecision = { Pending: 0, Approved: 1, Rejected: 2 };
+
+        before(async function() {
+            tokenId = await issueNewProductAndWarranty(3);
+        });
+
+        it("每次索赔都应生成带 ID 的记录，处理结果和时间戳被完整保存", async function () {
+            await warranty.connect(customer1)['requestService(uint256,string)'](tokenId, "Screen flicker");
+            await warranty.connect(serviceCenter).approveClaim(tokenId, "Replaced screen");
+
+            await warranty.connect(customer1)['requestService(uint256,string)'](tokenId, "Water damage");
+            await warranty.connect(serviceCenter).rejectClaim(tokenId, "Not covered");
+
+            expect(await warranty.getClaimCount(tokenId)).to.equal(2);
+
+            const [first, second] = await warranty.getClaimHistory(tokenId, 0, 10);
+            expect(first.owner).to.equal(customer1.address);
+            expect(first.reason).to.equal("Screen flicker");
+            expect(first.serviceCenter).to.equal(serviceCenter.address);
+            expect(first.decision).to.equal(ClaimDecision.Approved);
+            expect(first.resolutionNote).to.equal("Replaced screen");
+            expect(first.resolvedAt).to.be.gte(first.requestedAt);
+
+            // 第一次的维修记录不会被第二次的拒绝覆盖
+            expect(second.claimId).to.be.gt(first.claimId);
+            expect(second.decision).to.equal(ClaimDecision.Rejected);
+            expect(second.resolutionNote).to.equal("Not covered");
+        });
+
+        it("待处理索赔应记录为 Pending，且事件携带索赔 ID", async function () {
+            await expect(warranty.connect(customer1)['requestService(uint256,string)'](tokenId, "Battery"))
+                .to.emit(warranty, "ServiceRequested");
+
+            const claimId = await warranty.pendingClaimId(tokenId);
+            const record = await warranty.getClaim(claimId);
+            expect(record.tokenId).to.equal(tokenId);
+            expect(record.decision).to.equal(ClaimDecision.Pending);
+            expect(record.resolvedAt).to.equal(0);
+
+            await expect(warranty.connect(serviceCenter).approveClaim(tokenId, "New battery"))
+                .to.emit(warranty, "ClaimResolved")
+                .withArgs(tokenId, serviceCenter.address, 2, claimId);
+            expect(await warranty.pendingClaimId(tokenId)).to.equal(0);
+        });
+
+        it("分页查询应正确截取，越界时返回空数组", async function () {
+            const page = await warranty.getClaimHistory(tokenId, 1, 1);
+            expect(page.length).to.equal(1);
+            expect(page[0].reason).to.equal("Water damage");
+
+            const tail = await warranty.getClaimHistory(tokenId, 2, 10);
+            expect(tail.length).to.equal(1);
+
+            expect((await warranty.getClaimHistory(tokenId, 5, 10)).length).to.equal(0);
+        });
+
+        it("查询不存在的索赔 ID 应失败", async function () {
+            await expect(warranty.getClaim(9999)).to.be.revertedWith("WM: Claim does not exist.");
+        });
+    });
+
+    // 保障条款 (Coverage Terms)：按型号/产品定义索赔类别，各类别独立限制次数与期限。
+    describe("保障条款 (Coverage Terms)", function () {
+        const MODEL = "Model-C";
+        const terms = [
+            { category: "HARDWARE", covered: true, maxClaims: 1, durationDays: 0 },
+            { category: "BATTERY", covered: true, maxClaims: 2, durationDays: 180 },
+            { category: "ACCIDENTAL_DAMAGE", covered: false, maxClaims: 0, durationDays: 0 },
+        ];
+        const request = (tokenId, category) =>
+            warranty.connect(customer1)['requestService(uint256,string,string)'](tokenId, "Fault", category);
+
+        async function issueCoveredProduct(maxClaims) {
+            const tokenId = await issueNewProductAndWarranty(maxClaims);
+            await productRegistryMock.setProductOrigin(tokenId, manufacturer.address, MODEL);
+            return tokenId;
+        }
+
+        before(async function() {
+            await warranty.connect(manufacturer).setModelCoverage(MODEL, terms);
+        });
+
+        it("某类别次数用完后不能再申请，其他类别仍可使用", async function () {
+            const tokenId = await issueCoveredProduct(5);
+            expect((await warranty.getCoverageTerms(tokenId)).length).to.equal(3);
+
+            await request(tokenId, "HARDWARE");
+            await warranty.connect(serviceCenter).approveClaim(tokenId, "Replaced board");
+            await expect(request(tokenId, "HARDWARE")).to.be.revertedWith("WM: Category claim limit reached.");
+
+            // 被拒绝的索赔不消耗类别次数
+            await request(tokenId, "BATTERY");
+            await warranty.connect(serviceCenter).rejectClaim(tokenId, "No fault found");
+            await request(tokenId, "BATTERY");
+            await warranty.connect(serviceCenter).approveClaim(tokenId, "New battery");
+            await request(tokenId, "BATTERY");
+            await warranty.connect(serviceCenter).approveClaim(tokenId, "New battery");
+            await expect(request(tokenId, "BATTERY")).to.be.revertedWith("WM: Category claim limit reached.");
+
+            expect(await warranty.categoryClaimCount(tokenId, ethers.id("HARDWARE"))).to.equal(1);
+            expect(await warranty.categoryClaimCount(tokenId, ethers.id("BATTERY"))).to.equal(2);
+            const [, , , claimed, status] = await warranty.getWarrantyStatus(tokenId);
+            expect(claimed).to.equal(3);
+            expect(status).to.equal(ClaimStatus.Active);
+
+            const history = await warranty.getClaimHistory(tokenId, 0, 10);
+            expect(history.map((c) => c.category)).to.deep.equal(["HARDWARE", "BATTERY", "BATTERY", "BATTERY"]);
+        });
+
+        it("除外类别、未知类别与缺少类别的申请应失败", async function () {
+            const tokenId = await issueCoveredProduct(3);
+            await expect(request(tokenId, "ACCIDENTAL_DAMAGE")).to.be.revertedWith("WM: Category not covered.");
+            await expect(request(tokenId, "SOFTWARE")).to.be.revertedWith("WM: Unknown claim category.");
+            await expect(warranty.connect(customer1).requestService(tokenId)).to.be.revertedWith("WM: Claim category required.");
+
+            // 未定义条款的产品沿用原有规则
+            const legacyId = await issueNewProductAndWarranty(1);
+            await expect(request(legacyId, "HARDWARE")).to.be.revertedWith("WM: No coverage terms defined.");
+            await expect(warranty.connect(customer1).requestService(legacyId)).to.emit(warranty, "ServiceRequested");
+        });
+
+        it("产品条款优先于型号条款，且只能由该产品的制造商设置", async function () {
+            const tokenId = await issueCoveredProduct(3);
+            await warranty.connect(manufacturer).setProductCoverage(tokenId, [
+                { category: "ACCIDENTAL_DAMAGE", covered: true, maxClaims: 1, durationDays: 0 },
+            ]);
+            const effective = await warranty.getCoverageTerms(tokenId);
+            expect(effective.length).to.equal(1);
+            await expect(request(tokenId, "HARDWARE")).to.be.revertedWith("WM: Unknown claim category.");
+            await request(tokenId, "ACCIDENTAL_DAMAGE");
+            await warranty.connect(serviceCenter).approveClaim(tokenId, "Screen replaced");
+
+            // 清空产品条款后恢复使用型号条款
+            await warranty.connect(manufacturer).setProductCoverage(tokenId, []);
+            expect((await warranty.getCoverageTerms(tokenId)).length).to.equal(3);
+
+            await productRegistryMock.setProductOrigin(tokenId, user.address, MODEL);
+            await expect(
+                warranty.connect(manufacturer).setProductCoverage(tokenId, terms)
+            ).to.be.revertedWith("WM: Not your product.");
+            await expect(
+                warranty.connect(retailer).setModelCoverage(MODEL, terms)
+            ).to.be.revertedWith("WM: Caller is not a Manufacturer");
+        });
+
+        it("批准时按当前条款重新校验，不再覆盖的类别只能被拒绝", async function () {
+            const OTHER_MODEL = "Model-C2";
+            const tokenId = await issueNewProductAndWarranty(3);
+            await productRegistryMock.setProductOrigin(tokenId, manufacturer.address, OTHER_MODEL);
+            await warranty.connect(manufacturer).setModelCoverage(OTHER_MODEL, terms);
+            await request(tokenId, "HARDWARE");
+
+            await warranty.connect(manufacturer).setModelCoverage(OTHER_MODEL, [
+                { category: "HARDWARE", covered: false, maxClaims: 0, durationDays: 0 },
+            ]);
+            await expect(
+                warranty.connect(serviceCenter).approveClaim(tokenId, "Fixed")
+            ).to.be.revertedWith("WM: Category not covered.");
+            await expect(warranty.connect(serviceCenter).rejectClaim(tokenId, "Excluded by terms"))
+                .to.emit(warranty, "ClaimRejected");
+        });
+
+        it("条款校验：重复类别、空类别与类别过多应失败", async function () {
+            await expect(
+                warranty.connect(manufacturer).setModelCoverage(MODEL, [terms[0], terms[0]])
+            ).to.be.revertedWith("WM: Duplicate category.");
+            await expect(
+                warranty.connect(manufacturer).setModelCoverage(MODEL, [{ ...terms[0], category: "" }])
+            ).to.be.revertedWith("WM: Empty category.");
+            const many = Array.from({ length: 11 }, (_, i) => ({ ...terms[0], category: `C${i}` }));
+            await expect(
+                warranty.connect(manufacturer).setModelCoverage(MODEL, many)
+            ).to.be.revertedWith("WM: Too many categories.");
+        });
+
+        it("类别期限到期后该类别不能申请，整体保修内的其他类别不受影响", async function () {
+            const tokenId = await issueCoveredProduct(3);
+            await ethers.provider.send("evm_increaseTime", [181 * 24 * 60 * 60]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(request(tokenId, "BATTERY")).to.be.revertedWith("WM: Category coverage expired.");
+            await expect(request(tokenId, "HARDWARE")).to.emit(warranty, "ServiceRequested");
+        });
+    });
+
+    // 服务时限 (SLA)：超时索赔可升级或改派，Pending 期间保修时钟暂停。
+    describe("服务时限 (SLA)", function () {
+        const DAY = 24 * 60 * 60;
+        let otherCenter, arbiter;
+
+        async function advanceDays(days) {
+            await ethers.provider.send("evm_increaseTime", [days * DAY]);
+            await ethers.provider.send("evm_mine");
+        }
+
+        async function overdueIds(serviceCenterAddr = ethers.ZeroAddress) {
+            const [page] = await warranty.getOverdueClaims(serviceCenterAddr, 0, 100);
+            return page.map((c) => c.claimId);
+        }
+
+        before(async function() {
+            otherCenter = retailer;
+            arbiter = user;
+            await roles.grantRole(ethers.id("SERVICECENTER_ROLE"), otherCenter.address);
+            await roles.grantRole(ethers.id("ARBITER_ROLE"), arbiter.address);
+        });
+
+        it("Pending 期间不计入保修期限", async function () {
+            const tokenId = await issueNewProductAndWarranty(2, 30);
+            const expiryBefore = await warranty.getWarrantyExpiry(tokenId);
+            await warranty.connect(customer1).requestService(tokenId);
+
+            // 等待 40 天仍未处理：原本已过期，但 Pending 期间时钟暂停
+            await advanceDays(40);
+            expect((await warranty.getWarrantyStatus(tokenId))[4]).to.equal(ClaimStatus.Pending);
+            expect(await warranty.isWarrantyValid(tokenId)).to.be.true;
+
+            await warranty.connect(serviceCenter).approveClaim(tokenId, "Fixed late");
+            const paused = await warranty.pausedSeconds(tokenId);
+            expect(paused).to.be.gte(40 * DAY);
+            expect(await warranty.getWarrantyExpiry(tokenId)).to.equal(expiryBefore + paused);
+            expect((await warranty.getWarrantyStatus(tokenId))[4]).to.equal(ClaimStatus.Active);
+            await expect(warranty.connect(customer1).requestService(tokenId)).to.emit(warranty, "ServiceRequested");
+        });
+
+        it("超时后所有者可改派，只有新指定的服务中心能处理", async function () {
+            const tokenId = await issueNewProductAndWarranty(2);
+            await warranty.connect(customer1).requestService(tokenId);
+            const claimId = await warranty.pendingClaimId(tokenId);
+
+            await expect(
+                warranty.connect(customer1).rerouteClaim(tokenId, otherCenter.address)
+            ).to.be.revertedWith("WM: Claim not overdue.");
+
+            await advanceDays(8);
+            expect(await overdueIds()).to.include(claimId);
+            const [page, ages] = await warranty.getOverdueClaims(ethers.ZeroAddress, 0, 100);
+            expect(ages[page.findIndex((c) => c.claimId === claimId)]).to.be.gte(8 * DAY);
+
+            await expect(
+                warranty.connect(user).rerouteClaim(tokenId, otherCenter.address)
+            ).to.be.revertedWith("Caller is not the product owner.");
+            await expect(
+                warranty.connect(customer1).rerouteClaim(tokenId, customer1.address)
+            ).to.be.revertedWith("WM: Not a service center.");
+            await expect(warranty.connect(customer1).rerouteClaim(tokenId, otherCenter.address))
+                .to.emit(warranty, "ClaimRerouted");
+
+            // 改派后期限重新计算，不再出现在超时列表中
+            expect(await overdueIds()).to.not.include(claimId);
+            expect((await warranty.getClaim(claimId)).assignedServiceCenter).to.equal(otherCenter.address);
+
+            await expect(
+                warranty.connect(serviceCenter).approveClaim(tokenId, "Fixed")
+            ).to.be.revertedWith("WM: Claim assigned to another service center.");
+            await expect(warranty.connect(otherCenter).approveClaim(tokenId, "Fixed"))
+                .to.emit(warranty, "ClaimResolved");
+            expect((await warranty.getClaim(claimId)).serviceCenter).to.equal(otherCenter.address);
+        });
+
+        it("超时后所有者可升级，仲裁员随即可以处理", async function () {
+            const tokenId = await issueNewProductAndWarranty(2);
+            await warranty.connect(customer1).requestService(tokenId);
+            const claimId = await warranty.pendingClaimId(tokenId);
+            const pendingBefore = await warranty.getPendingClaimCount();
+
+            await advanceDays(8);
+            await expect(
+                warranty.connect(arbiter).rejectClaim(tokenId, "Not escalated")
+            ).to.be.revertedWith("Caller is not a Service Center");
+
+            await expect(warranty.connect(customer1).escalateClaim(tokenId))
+                .to.emit(warranty, "ClaimEscalated").withArgs(tokenId, claimId, customer1.address);
+            await expect(warranty.connect(customer1).escalateClaim(tokenId)).to.be.revertedWith("WM: Already escalated.");
+
+            await expect(warranty.connect(arbiter).rejectClaim(tokenId, "Misuse"))
+                .to.emit(warranty, "ClaimRejected").withArgs(tokenId, arbiter.address, "Misuse", claimId);
+            expect(await warranty.getPendingClaimCount()).to.equal(pendingBefore - 1n);
+            expect(await overdueIds()).to.not.include(claimId);
+
+            await expect(warranty.connect(customer1).escalateClaim(tokenId)).to.be.revertedWith("WM: No pending claim.");
+        });
+
+        it("按服务中心筛选超时索赔，并支持分页", async function () {
+            const assignedId = await issueNewProductAndWarranty(2);
+            const openId = await issueNewProductAndWarranty(2);
+            await warranty.connect(customer1).requestService(assignedId);
+            await warranty.connect(customer1).requestService(openId);
+            const assignedClaim = await warranty.pendingClaimId(assignedId);
+            const openClaim = await warranty.pendingClaimId(openId);
+
+            await advanceDays(8);
+            await warranty.connect(customer1).rerouteClaim(assignedId, otherCenter.address);
+            await advanceDays(8);
+
+            // 改派给 otherCenter 的索赔不会出现在 serviceCenter 的列表中
+            const forCenter = await overdueIds(serviceCenter.address);
+            expect(forCenter).to.include(openClaim);
+            expect(forCenter).to.not.include(assignedClaim);
+            expect(await overdueIds(otherCenter.address)).to.include.members([openClaim, assignedClaim]);
+
+            const all = await overdueIds();
+            const [second] = await warranty.getOverdueClaims(ethers.ZeroAddress, 1, 1);
+            expect(second.length).to.equal(1);
+            expect(second[0].claimId).to.equal(all[1]);
+            expect((await warranty.getOverdueClaims(ethers.ZeroAddress, all.length, 10))[0].length).to.equal(0);
+
+            await warranty.connect(otherCenter).approveClaim(assignedId, "Fixed");
+            await warranty.connect(serviceCenter).approveClaim(openId, "Fixed");
+        });
+
+        it("只有管理员可以修改响应期限，新期限只影响之后的索赔", async function () {
+            await expect(
+                warranty.connect(customer1).setServiceResponseDeadline(DAY)
+            ).to.be.revertedWithCustomError(warranty, "OwnableUnauthorizedAccount");
+            await expect(warranty.setServiceResponseDeadline(0)).to.be.revertedWith("WM: Invalid deadline.");
+
+            await expect(warranty.setServiceResponseDeadline(DAY))
+                .to.emit(warranty, "ServiceDeadlineUpdated").withArgs(DAY);
+            const tokenId = await issueNewProductAndWarranty(2);
+            await warranty.connect(customer1).requestService(tokenId);
+            await advanceDays(2);
+            await expect(warranty.connect(customer1).escalateClaim(tokenId)).to.emit(warranty, "ClaimEscalated");
+
+            await warranty.setServiceResponseDeadline(7 * DAY);
+            await warranty.connect(serviceCenter).approveClaim(tokenId, "Fixed");
+        });
+    });
+
+    // 申诉 (Appeals)：被拒绝的索赔可申诉，由仲裁员或制造商复核。
+    describe("申诉 (Appeals)", function () {
+        const AppealStatus = { None: 0, Open: 1, Upheld: 2, Overturned: 3 };
+        const ClaimDecision = { Pending: 0, Approved: 1, Rejected: 2 };
+        let arbiter;
+
+        // 发起并拒绝一次索赔，返回索赔 ID
+        async function rejectedClaim(tokenId) {
+            await warranty.connect(customer1).requestService(tokenId);
+            const claimId = await warranty.pendingClaimId(tokenId);
+            await warranty.connect(serviceCenter).rejectClaim(tokenId, "User damage");
+            return claimId;
+        }
+
+        before(async function() {
+            arbiter = user;
+            await roles.grantRole(ethers.id("ARBITER_ROLE"), arbiter.address);
+        });
+
+        it("仲裁员推翻拒绝后视为批准，用完次数时变为 Fulfilled", async function () {
+            const tokenId = await issueNewProductAndWarranty(1);
+            const claimId = await rejectedClaim(tokenId);
+
+            await expect(
+                warranty.connect(retailer).fileAppeal(claimId, "Factory defect")
+            ).to.be.revertedWith("Caller is not the product owner.");
+            await expect(warranty.connect(customer1).fileAppeal(claimId, "Factory defect"))
+                .to.emit(warranty, "ClaimAppealed").withArgs(claimId, tokenId, customer1.address, "Factory defect");
+            await expect(
+                warranty.connect(customer1).fileAppeal(claimId, "Again")
+            ).to.be.revertedWith("WM: Already appealed.");
+
+            await expect(warranty.connect(arbiter).decideAppeal(claimId, true, "Defect confirmed"))
+                .to.emit(warranty, "AppealDecided").withArgs(claimId, tokenId, arbiter.address, true, "Defect confirmed")
+                .and.to.emit(warranty, "ClaimResolved").withArgs(tokenId, arbiter.address, 1, claimId);
+
+            const [, , , claimed, status, log] = await warranty.getWarrantyStatus(tokenId);
+            expect(claimed).to.equal(1);
+            expect(status).to.equal(ClaimStatus.Fulfilled);
+            expect(log).to.equal("Appeal overturned: Defect confirmed");
+
+            expect((await warranty.getClaim(claimId)).decision).to.equal(ClaimDecision.Approved);
+            const appeal = await warranty.getAppeal(claimId);
+            expect(appeal.status).to.equal(AppealStatus.Overturned);
+            expect(appeal.appellant).to.equal(customer1.address);
+            expect(appeal.reviewer).to.equal(arbiter.address);
+            expect(appeal.decidedAt).to.be.gte(appeal.filedAt);
+        });
+
+        it("制造商可以复核自己产品的申诉并维持原决定", async function () {
+            const tokenId = await issueNewProductAndWarranty(2);
+            await productRegistryMock.setProductOrigin(tokenId, manufacturer.address, "Model-A1");
+            const claimId = await rejectedClaim(tokenId);
+            await warranty.connect(customer1).fileAppeal(claimId, "Please review");
+
+            await expect(
+                warranty.connect(customer1).decideAppeal(claimId, true, "Self approve")
+            ).to.be.revertedWith("WM: Not arbiter or manufacturer.");
+            await expect(warranty.connect(manufacturer).decideAppeal(claimId, false, "Damage confirmed"))
+                .to.emit(warranty, "AppealDecided").withArgs(claimId, tokenId, manufacturer.address, false, "Damage confirmed");
+
+            expect((await warranty.getWarrantyStatus(tokenId))[3]).to.equal(0);
+            expect((await warranty.getClaim(claimId)).decision).to.equal(ClaimDecision.Rejected);
+            expect((await warranty.getAppeal(claimId)).status).to.equal(AppealStatus.Upheld);
+            await expect(
+                warranty.connect(arbiter).decideAppeal(claimId, true, "Second look")
+            ).to.be.revertedWith("WM: No open appeal.");
+        });
+
+        it("只能在申诉期内申诉被拒绝的索赔", async function () {
+            const tokenId = await issueNewProductAndWarranty(3);
+            await warranty.connect(customer1).requestService(tokenId);
+            const approvedId = await warranty.pendingClaimId(tokenId);
+            await warranty.connect(serviceCenter).approveClaim(tokenId, "Fixed");
+            await expect(
+                warranty.connect(customer1).fileAppeal(approvedId, "Why")
+            ).to.be.revertedWith("WM: Claim not rejected.");
+
+            const claimId = await rejectedClaim(tokenId);
+            await ethers.provider.send("evm_increaseTime", [15 * 24 * 60 * 60]);
+            await ethers.provider.send("evm_mine");
+            await expect(
+                warranty.connect(customer1).fileAppeal(claimId, "Too late")
+            ).to.be.revertedWith("WM: Appeal window closed.");
+            await expect(warranty.getAppeal(claimId)).to.be.revertedWith("WM: Appeal does not exist.");
+        });
+
+        it("存在其他 Pending 索赔或次数已满时不能推翻", async function () {
+            const tokenId = await issueNewProductAndWarranty(2);
+            const claimId = await rejectedClaim(tokenId);
+            await warranty.connect(customer1).fileAppeal(claimId, "Defect");
+
+            await warranty.connect(customer1).requestService(tokenId);
+            await expect(
+                warranty.connect(arbiter).decideAppeal(claimId, true, "Defect")
+            ).to.be.revertedWith("WM: Another claim is pending.");
+            await warranty.connect(serviceCenter).approveClaim(tokenId, "Fixed");
+
+            await warranty.connect(arbiter).decideAppeal(claimId, true, "Defect");
+            expect((await warranty.getWarrantyStatus(tokenId))[4]).to.equal(ClaimStatus.Fulfilled);
+
+            // 次数已满：只能维持原决定
+            const fullId = await issueNewProductAndWarranty(1);
+            const fullClaim = await rejectedClaim(fullId);
+            await warranty.connect(customer1).fileAppeal(fullClaim, "Defect");
+            await warranty.connect(customer1).requestService(fullId);
+            await warranty.connect(serviceCenter).approveClaim(fullId, "Fixed");
+            await expect(
+                warranty.connect(arbiter).decideAppeal(fullClaim, true, "Defect")
+            ).to.be.revertedWith("Maximum claims reached.");
+            await warranty.connect(arbiter).decideAppeal(fullClaim, false, "Limit reached");
+        });
+
+        it("产品被挂失期间不能推翻申诉，解除挂失后可以", async function () {
+            const tokenId = await issueNewProductAndWarranty(2);
+            const claimId = await rejectedClaim(tokenId);
+            await warranty.connect(customer1).fileAppeal(claimId, "Defect");
+            await productRegistryMock.setLostOrStolen(tokenId, true);
+
+            await expect(
+                warranty.connect(arbiter).decideAppeal(claimId, true, "Defect")
+            ).to.be.revertedWith("WM: Product reported lost or stolen.");
+            expect((await warranty.getWarrantyStatus(tokenId))[3]).to.equal(0);
+
+            await productRegistryMock.setLostOrStolen(tokenId, false);
+            await warranty.connect(arbiter).decideAppeal(claimId, true, "Defect");
+            expect((await warranty.getWarrantyStatus(tokenId))[3]).to.equal(1);
+        });
+
+        it("只有管理员可以修改申诉期", async function () {
+            await expect(
+                warranty.connect(customer1).setAppealWindow(1)
+            ).to.be.revertedWithCustomError(warranty, "OwnableUnauthorizedAccount");
+            await expect(warranty.setAppealWindow(0)).to.be.revertedWith("WM: Invalid appeal window.");
+            await expect(warranty.setAppealWindow(30 * 24 * 60 * 60)).to.emit(warranty, "AppealWindowUpdated");
+            await warranty.setAppealWindow(14 * 24 * 60 * 60);
+        });
+    });
+
+    // 维修报销 (Reimbursement Pool)：制造商预存准备金，批准索赔后为服务中心记账。
+    describe("维修报销 (Reimbursement Pool)", function () {
+        const ONE = ethers.parseEther("1");
+        const HALF = ethers.parseEther("0.5");
+        let manufacturerB, centerB;
+
+        async function issueFor(maker, model) {
+            const tokenId = await issueNewProductAndWarranty(3);
+            await productRegistryMock.setProductOrigin(tokenId, maker.address, model);
+            return tokenId;
+        }
+
+        async function approveAs(center, tokenId) {
+            await warranty.connect(customer1).requestService(tokenId);
+            const claimId = await warranty.pendingClaimId(tokenId);
+            return { claimId, tx: warranty.connect(center).approveClaim(tokenId, "Repaired") };
+        }
+
+        before(async function() {
+            const signers = await ethers.getSigners();
+            [manufacturerB, centerB] = [signers[6], signers[7]];
+            await roles.grantRole(ethers.id("MANUFACTURER_ROLE"), manufacturerB.address);
+            await roles.grantRole(ethers.id("SERVICECENTER_ROLE"), centerB.address);
+
+            await warranty.connect(manufacturer).setModelReimbursement("Model-P", ONE);
+            await warranty.connect(manufacturer).setLowReserveThreshold(ONE);
+            await warranty.connect(manufacturer).depositReserve({ value: 2n * ONE });
+            await warranty.connect(manufacturerB).setModelReimbursement("Model-Q", HALF);
+            await warranty.connect(manufacturerB).depositReserve({ value: HALF });
+        });
+
+        it("批准索赔后从对应制造商的准备金为处理的服务中心记账", async function () {
+            const a1 = await issueFor(manufacturer, "Model-P");
+            const b1 = await issueFor(manufacturerB, "Model-Q");
+
+            const first = await approveAs(serviceCenter, a1);
+            await expect(first.tx)
+                .to.emit(warranty, "ServiceReimbursed").withArgs(first.claimId, serviceCenter.address, manufacturer.address, ONE)
+                .and.to.emit(warranty, "LowReserve").withArgs(manufacturer.address, ONE, ONE);
+
+            const second = await approveAs(centerB, b1);
+            await expect(second.tx)
+                .to.emit(warranty, "ServiceReimbursed").withArgs(second.claimId, centerB.address, manufacturerB.address, HALF);
+
+            expect(await warranty.reimbursementBalances(serviceCenter.address)).to.equal(ONE);
+            expect(await warranty.reimbursementBalances(centerB.address)).to.equal(HALF);
+            expect(await warranty.warrantyReserves(manufacturer.address)).to.equal(ONE);
+            expect(await warranty.warrantyReserves(manufacturerB.address)).to.equal(0);
+            expect(await warranty.getModelReimbursement(manufacturerB.address, "Model-Q")).to.equal(HALF);
+        });
+
+        it("准备金为空时批准照常进行，差额记为欠款，补充后可领取", async function () {
+            const b2 = await issueFor(manufacturerB, "Model-Q");
+            const { claimId, tx } = await approveAs(centerB, b2);
+            await expect(tx)
+                .to.emit(warranty, "ReimbursementDeferred").withArgs(claimId, centerB.address, manufacturerB.address, HALF)
+                .and.to.emit(warranty, "ClaimResolved");
+            expect(await warranty.outstandingReimbursements(manufacturerB.address, centerB.address)).to.equal(HALF);
+
+            await expect(
+                warranty.connect(centerB).collectOutstanding(manufacturerB.address)
+            ).to.be.revertedWith("WM: Reserve empty.");
+            await expect(
+                warranty.connect(serviceCenter).collectOutstanding(manufacturerB.address)
+            ).to.be.revertedWith("WM: Nothing outstanding.");
+
+            await warranty.connect(manufacturerB).depositReserve({ value: ONE });
+            await expect(warranty.connect(centerB).collectOutstanding(manufacturerB.address))
+                .to.emit(warranty, "ServiceReimbursed").withArgs(0, centerB.address, manufacturerB.address, HALF);
+            expect(await warranty.outstandingReimbursements(manufacturerB.address, centerB.address)).to.equal(0);
+            expect(await warranty.reimbursementBalances(centerB.address)).to.equal(ONE);
+            expect(await warranty.warrantyReserves(manufacturerB.address)).to.equal(HALF);
+        });
+
+        it("未设定报销金额的型号不记账", async function () {
+            const tokenId = await issueFor(manufacturer, "Model-Unpaid");
+            const { tx } = await approveAs(serviceCenter, tokenId);
+            await expect(tx).to.not.emit(warranty, "ServiceReimbursed");
+            expect(await warranty.warrantyReserves(manufacturer.address)).to.equal(ONE);
+        });
+
+        it("仲裁员批准已升级的索赔不从准备金中记账", async function () {
+            const arbiter = user;
+            await roles.grantRole(ethers.id("ARBITER_ROLE"), arbiter.address);
+            const tokenId = await issueFor(manufacturer, "Model-P");
+            await warranty.connect(customer1).requestService(tokenId);
+            await ethers.provider.send("evm_increaseTime", [8 * 24 * 60 * 60]);
+            await warranty.connect(customer1).escalateClaim(tokenId);
+
+            const tx = warranty.connect(arbiter).approveClaim(tokenId, "Replaced by arbiter");
+            await expect(tx).to.emit(warranty, "ClaimResolved");
+            await expect(tx).to.not.emit(warranty, "ServiceReimbursed");
+            await expect(tx).to.not.emit(warranty, "ReimbursementDeferred");
+            expect(await roles.isServiceCenter(arbiter.address)).to.equal(false);
+            expect(await warranty.reimbursementBalances(arbiter.address)).to.equal(0);
+            expect(await warranty.outstandingReimbursements(manufacturer.address, arbiter.address)).to.equal(0);
+            expect(await warranty.warrantyReserves(manufacturer.address)).to.equal(ONE);
+        });
+
+        it("服务中心提现余额，制造商取回未使用的准备金", async function () {
+            await expect(warranty.connect(centerB).withdrawReimbursement())
+                .to.changeEtherBalances([centerB, warranty], [ONE, -ONE]);
+            await expect(warranty.connect(centerB).withdrawReimbursement()).to.be.revertedWith("WM: Nothing to withdraw.");
+
+            await expect(warranty.connect(manufacturer).withdrawReserve(HALF))
+                .to.emit(warranty, "ReserveWithdrawn").withArgs(manufacturer.address, HALF, HALF);
+            await expect(warranty.connect(manufacturer).withdrawReserve(ONE)).to.be.revertedWith("WM: Insufficient reserve.");
+        });
+
+        it("存在未付报销时，制造商只能取回超出欠款的准备金", async function () {
+            // manufacturerB 剩余准备金 0.5：第一次批准用完准备金，第二次记为欠款
+            await (await approveAs(centerB, await issueFor(manufacturerB, "Model-Q"))).tx;
+            await (await approveAs(centerB, await issueFor(manufacturerB, "Model-Q"))).tx;
+            expect(await warranty.totalOutstandingReimbursements(manufacturerB.address)).to.equal(HALF);
+
+            await warranty.connect(manufacturerB).depositReserve({ value: ONE });
+            expect(await warranty.availableReserve(manufacturerB.address)).to.equal(HALF);
+            await expect(
+                warranty.connect(manufacturerB).withdrawReserve(ONE)
+            ).to.be.revertedWith("WM: Reserve owed to service centers.");
+            await expect(warranty.connect(manufacturerB).withdrawReserve(HALF))
+                .to.emit(warranty, "ReserveWithdrawn").withArgs(manufacturerB.address, HALF, HALF);
+
+            // 剩余准备金足以偿还欠款
+            await expect(warranty.connect(centerB).collectOutstanding(manufacturerB.address))
+                .to.emit(warranty, "ServiceReimbursed").withArgs(0, centerB.address, manufacturerB.address, HALF);
+            expect(await warranty.totalOutstandingReimbursements(manufacturerB.address)).to.equal(0);
+            expect(await warranty.availableReserve(manufacturerB.address)).to.equal(0);
+        });
+
+        it("只有制造商可以存入准备金和设定报销金额", async function () {
+            await expect(
+                warranty.connect(customer1).depositReserve({ value: ONE })
+            ).to.be.revertedWith("WM: Caller is not a Manufacturer");
+            await expect(
+                warranty.connect(customer1).setModelReimbursement("Model-P", 0)
+            ).to.be.revertedWith("WM: Caller is not a Manufacturer");
+            await expect(warranty.connect(manufacturer).depositReserve()).to.be.revertedWith("WM: Nothing to deposit.");
+        });
+    });
+
+    // 授权服务网络 (Service Networks)：制造商只允许自己的授权服务中心处理其产品。
+    describe("授权服务网络 (Service Networks)", function () {
+        let networkMaker, partner, outsider;
+
+        async function issueNetworkProduct() {
+            const tokenId = await issueNewProductAndWarranty(3);
+            await productRegistryMock.setProductOrigin(tokenId, networkMaker.address, "Model-N");
+            return tokenId;
+        }
+
+        before(async function() {
+            const signers = await ethers.getSigners();
+            [networkMaker, partner, outsider] = [signers[8], serviceCenter, signers[9]];
+            await roles.grantRole(ethers.id("MANUFACTURER_ROLE"), networkMaker.address);
+            await roles.grantRole(ethers.id("SERVICECENTER_ROLE"), outsider.address);
+        });
+
+        it("名单为空时任何服务中心都可以处理", async function () {
+            const tokenId = await issueNetworkProduct();
+            expect(await warranty.isAuthorizedServiceCenter(tokenId, outsider.address)).to.be.true;
+            await warranty.connect(customer1).requestService(tokenId);
+            await warranty.connect(outsider).approveClaim(tokenId, "Fixed");
+        });
+
+        it("未授权的服务中心不能批准或拒绝网络内产品的索赔", async function () {
+            await expect(warranty.connect(networkMaker).authorizeServiceCenter(partner.address))
+                .to.emit(warranty, "ServiceCenterAuthorized").withArgs(networkMaker.address, partner.address);
+            expect(await warranty.getServiceNetwork(networkMaker.address)).to.deep.equal([partner.address]);
+
+            const tokenId = await issueNetworkProduct();
+            expect(await warranty.isAuthorizedServiceCenter(tokenId, outsider.address)).to.be.false;
+            await warranty.connect(customer1).requestService(tokenId);
+
+            await expect(
+                warranty.connect(outsider).approveClaim(tokenId, "Fixed")
+            ).to.be.revertedWith("WM: Service center not authorized.");
+            await expect(
+                warranty.connect(outsider).rejectClaim(tokenId, "No")
+            ).to.be.revertedWith("WM: Service center not authorized.");
+            await expect(warranty.connect(partner).approveClaim(tokenId, "Fixed"))
+                .to.emit(warranty, "ClaimResolved");
+
+            // 其他制造商的产品不受该名单影响
+            const otherId = await issueNewProductAndWarranty(1);
+            await warranty.connect(customer1).requestService(otherId);
+            await warranty.connect(outsider).approveClaim(otherId, "Fixed");
+        });
+
+        it("客户可以指定授权服务中心，只有该服务中心能处理", async function () {
+            const tokenId = await issueNetworkProduct();
+            const request = (center) =>
+                warranty.connect(customer1)['requestService(uint256,string,string,address)'](tokenId, "Dead pixel", "", center);
+
+            await expect(request(outsider.address)).to.be.revertedWith("WM: Service center not authorized.");
+            await expect(request(customer1.address)).to.be.revertedWith("WM: Service center not authorized.");
+
+            await warranty.connect(networkMaker).authorizeServiceCenter(outsider.address);
+            await request(outsider.address);
+            const claimId = await warranty.pendingClaimId(tokenId);
+            expect((await warranty.getClaim(claimId)).assignedServiceCenter).to.equal(outsider.address);
+
+            await expect(
+                warranty.connect(partner).approveClaim(tokenId, "Fixed")
+            ).to.be.revertedWith("WM: Claim assigned to another service center.");
+            await warranty.connect(outsider).approveClaim(tokenId, "Fixed");
+        });
+
+        it("移出名单后不能再处理，也不能作为改派目标", async function () {
+            const tokenId = await issueNetworkProduct();
+            await warranty.connect(customer1).requestService(tokenId);
+
+            await expect(warranty.connect(networkMaker).revokeServiceCenter(outsider.address))
+                .to.emit(warranty, "ServiceCenterRevoked").withArgs(networkMaker.address, outsider.address);
+            await expect(
+                warranty.connect(networkMaker).revokeServiceCenter(outsider.address)
+            ).to.be.revertedWith("WM: Not authorized.");
+            await expect(
+                warranty.connect(outsider).approveClaim(tokenId, "Fixed")
+            ).to.be.revertedWith("WM: Service center not authorized.");
+
+            await ethers.provider.send("evm_increaseTime", [8 * 24 * 60 * 60]);
+            await ethers.provider.send("evm_mine");
+            await expect(
+                warranty.connect(customer1).rerouteClaim(tokenId, outsider.address)
+            ).to.be.revertedWith("WM: Service center not authorized.");
+            const [overdue] = await warranty.getOverdueClaims(outsider.address, 0, 100);
+            expect(overdue.map((c) => c.tokenId)).to.not.include(tokenId);
+
+            await warranty.connect(partner).approveClaim(tokenId, "Fixed");
+        });
+
+        it("名单管理：重复授权、授权非服务中心与非制造商调用应失败", async function () {
+            await expect(
+                warranty.connect(networkMaker).authorizeServiceCenter(partner.address)
+            ).to.be.revertedWith("WM: Already authorized.");
+            await expect(
+                warranty.connect(networkMaker).authorizeServiceCenter(customer1.address)
+            ).to.be.revertedWith("WM: Not a service center.");
+            await expect(
+                warranty.connect(customer1).authorizeServiceCenter(partner.address)
+            ).to.be.revertedWith("WM: Caller is not a Manufacturer");
+
+            await expect(
+                warranty.connect(customer1).setServiceNetworkEnforced(false)
+            ).to.be.revertedWith("WM: Caller is not a Manufacturer");
+            await expect(
+                warranty.connect(networkMaker).setServiceNetworkEnforced(true)
+            ).to.be.revertedWith("WM: Enforcement unchanged.");
+        });
+
+        it("移出最后一个服务中心后名单仍然生效，需显式停用才对所有服务中心开放", async function () {
+            await warranty.connect(networkMaker).revokeServiceCenter(partner.address);
+            expect(await warranty.getServiceNetwork(networkMaker.address)).to.deep.equal([]);
+            expect(await warranty.serviceNetworkEnforced(networkMaker.address)).to.be.true;
+
+            const tokenId = await issueNetworkProduct();
+            expect(await warranty.isAuthorizedServiceCenter(tokenId, outsider.address)).to.be.false;
+            await warranty.connect(customer1).requestService(tokenId);
+            await expect(
+                warranty.connect(outsider).approveClaim(tokenId, "Fixed")
+            ).to.be.revertedWith("WM: Service center not authorized.");
+
+            await expect(warranty.connect(networkMaker).setServiceNetworkEnforced(false))
+                .to.emit(warranty, "ServiceNetworkEnforced").withArgs(networkMaker.address, false);
+            await warranty.connect(outsider).approveClaim(tokenId, "Fixed");
+
+            // 重新授权即再次启用名单
+            await expect(warranty.connect(networkMaker).authorizeServiceCenter(partner.address))
+                .to.emit(warranty, "ServiceNetworkEnforced").withArgs(networkMaker.address, true);
+            expect(await warranty.isAuthorizedServiceCenter(tokenId, outsider.address)).to.be.false;
+        });
+    });
+
+    // 挂失产品 (Lost / Stolen)：挂失期间不能申请保修。
+    describe("挂失产品 (Lost / Stolen)", function () {
+        it("被挂失的产品不能申请保修，解除挂失后恢复", async function () {
+            const tokenId = await issueNewProductAndWarranty(2);
+            await productRegistryMock.setLostOrStolen(tokenId, true);
+
+            await expect(
+                warranty.connect(customer1).requestService(tokenId)
+            ).to.be.revertedWith("WM: Product reported lost or stolen.");
+
+            await productRegistryMock.setLostOrStolen(tokenId, false);
+            await expect(warranty.connect(customer1).requestService(tokenId))
+                .to.emit(warranty, "ServiceRequested");
+        });
+
+        it("申请后被挂失的产品不能批准索赔，可以拒绝，解除挂失后可批准", async function () {
+            const tokenId = await issueNewProductAndWarranty(3);
+            await warranty.connect(customer1).requestService(tokenId);
+            await productRegistryMock.setLostOrStolen(tokenId, true);
+
+            await expect(
+                warranty.connect(serviceCenter).approveClaim(tokenId, "Repaired")
+            ).to.be.revertedWith("WM: Product reported lost or stolen.");
+            await expect(warranty.connect(serviceCenter).rejectClaim(tokenId, "Reported stolen"))
+                .to.emit(warranty, "ClaimRejected");
+
+            await productRegistryMock.setLostOrStolen(tokenId, false);
+            await warranty.connect(customer1).requestService(tokenId);
+            await expect(warranty.connect(serviceCenter).approveClaim(tokenId, "Repaired"))
+                .to.emit(warranty, "ClaimResolved");
+            const [, , , claimedCount] = await warranty.getWarrantyStatus(tokenId);
+            expect(claimedCount).to.equal(1);
+        });
+    });
+
+    // 付费延保 (Extension Plans)：由 Marketplace 调用 applyExtension，此处以 deployer 充当 Marketplace。
+    describe("付费延保 (Extension Plans)", function () {
+        let planId;
+
+        before(async function() {
+            await warranty.setMarketplaceAddress(deployer.address);
+            planId = await warranty.connect(manufacturer).publishExtensionPlan.staticCall(90, 1, 0);
+            await warranty.connect(manufacturer).publishExtensionPlan(90, 1, 0);
+        });
+
+        it("索赔次数已用完的保修在延保增加次数后重新激活", async function () {
+            const tokenId = await issueNewProductAndWarranty(1);
+            await productRegistryMock.setProductOrigin(tokenId, manufacturer.address, "Model-E");
+
+            await warranty.connect(customer1).requestService(tokenId);
+            await warranty.connect(serviceCenter).approveClaim(tokenId, "Fixed");
+            expect((await warranty.getWarrantyStatus(tokenId))[4]).to.equal(ClaimStatus.Fulfilled);
+
+            await warranty.connect(deployer).applyExtension(tokenId, planId, customer1.address);
+            const status = await warranty.getWarrantyStatus(tokenId);
+            expect(status[1]).to.equal(WARRANTY_DURATION_DAYS + 90);
+            expect(status[2]).to.equal(2);
+            expect(status[4]).to.equal(ClaimStatus.Active);
+        });
+
+        it("空计划与非制造商发布应失败", async function () {
+            await expect(warranty.connect(manufacturer).publishExtensionPlan(0, 0, 1))
+                .to.be.revertedWith("WM: Empty extension plan.");
+            await expect(warranty.connect(customer1).publishExtensionPlan(30, 0, 1))
+                .to.be.revertedWith("WM: Caller is not a Manufacturer");
+        });
+    });
+
+    // 报废回收 (Recycled)：回收 (NFT 销毁) 后保修作废；沿用上一组设置的 Marketplace (deployer)。
+    describe("报废回收 (Recycled)", function () {
+        it("回收后的产品保修状态为 Void，不能申请、批准或延保，Pending 索赔只能拒绝", async function () {
+            const tokenId = await issueNewProductAndWarranty(3);
+            await productRegistryMock.setProductOrigin(tokenId, manufacturer.address, "Model-R");
+            await warranty.connect(customer1).requestService(tokenId);
+            await productRegistryMock.setRecycled(tokenId, true);
+
+            expect((await warranty.getWarrantyStatus(tokenId))[4]).to.equal(ClaimStatus.Void);
+            expect(await warranty.isWarrantyValid(tokenId)).to.equal(false);
+            await expect(
+                warranty.connect(serviceCenter).approveClaim(tokenId, "Repaired")
+            ).to.be.revertedWith("WM: Product recycled.");
+            await expect(warranty.connect(serviceCenter).rejectClaim(tokenId, "Product recycled"))
+                .to.emit(warranty, "ClaimRejected");
+            await expect(
+                warranty.connect(customer1).requestService(tokenId)
+            ).to.be.revertedWith("WM: Product recycled.");
+
+            const planId = await warranty.connect(manufacturer).publishExtensionPlan.staticCall(30, 1, 0);
+            await warranty.connect(manufacturer).publishExtensionPlan(30, 1, 0);
+            await expect(
+                warranty.connect(deployer).applyExtension(tokenId, planId, customer1.address)
+            ).to.be.revertedWith("WM: Product recycled.");
+            expect((await warranty.getWarrantyStatus(tokenId))[4]).to.equal(ClaimStatus.Void);
+        });
+    });
+
+    // 召回 (Recall)：与保修索赔相互独立，不消耗 claimedCount。
+    describe("召回 (Recall)", function () {
+        const RecallServiceStatus = { None: 0, Registered: 1, Resolved: 2 };
+        let modelTokenA, modelTokenB, otherModelToken, listedToken;
+
+        before(async function() {
+            modelTokenA = await issueNewProductAndWarranty(2);
+            modelTokenB = await issueNewProductAndWarranty(2);
+            otherModelToken = await issueNewProductAndWarranty(2);
+            listedToken = await issueNewProductAndWarranty(2);
+            await productRegistryMock.setProductOrigin(modelTokenA, manufacturer.address, "Model-R");
+            await productRegistryMock.setProductOrigin(modelTokenB, manufacturer.address, "Model-R");
+            await productRegistryMock.setProductOrigin(otherModelToken, manufacturer.address, "Model-Z");
+            await productRegistryMock.setProductOrigin(listedToken, manufacturer.address, "Model-Z");
+        });
+
+        it("制造商按型号召回，只影响自己生产的该型号产品", async function () {
+            await expect(warranty.connect(manufacturer).openModelRecall("Model-R", "Battery overheating", "ipfs://remedy/1"))
+                .to.emit(warranty, "RecallOpened")
+                .withArgs(1, manufacturer.address, "Model-R", "Battery overheating", "ipfs://remedy/1");
+
+            expect(await warranty.isAffectedByRecall(modelTokenA, 1)).to.be.true;
+            expect(await warranty.isAffectedByRecall(modelTokenB, 1)).to.be.true;
+            expect(await warranty.isAffectedByRecall(otherModelToken, 1)).to.be.false;
+            expect(await warranty.getOpenRecalls(modelTokenA)).to.deep.equal([1n]);
+            expect(await warranty.getOpenRecalls(otherModelToken)).to.deep.equal([]);
+
+            const recall = await warranty.getRecall(1);
+            expect(recall.manufacturer).to.equal(manufacturer.address);
+            expect(recall.remedyURI).to.equal("ipfs://remedy/1");
+        });
+
+        it("制造商按产品列表召回，并为每个产品发出事件", async function () {
+            await expect(warranty.connect(manufacturer).openTokenRecall([listedToken, listedToken], "Loose screw", "ipfs://remedy/2"))
+                .to.emit(warranty, "ProductRecalled").withArgs(2, listedToken);
+
+            expect(await warranty.isAffectedByRecall(listedToken, 2)).to.be.true;
+            expect(await warranty.isAffectedByRecall(otherModelToken, 2)).to.be.false;
+            expect(await warranty.getOpenRecalls(listedToken)).to.deep.equal([2n]);
+        });
+
+        it("不能召回其他制造商的产品，非制造商不能发起召回", async function () {
+            await productRegistryMock.setProductOrigin(nextTokenId, user.address, "Model-R");
+            await expect(
+                warranty.connect(manufacturer).openTokenRecall([nextTokenId], "N/A", "")
+            ).to.be.revertedWith("WM: Not your product.");
+
+            await expect(
+                warranty.connect(customer1).openModelRecall("Model-R", "N/A", "")
+            ).to.be.revertedWith("WM: Caller is not a Manufacturer");
+        });
+
+        it("所有者登记后，服务中心处理召回不消耗 claimedCount", async function () {
+            await expect(warranty.connect(user).registerForRecall(modelTokenA, 1))
+                .to.be.revertedWith("Caller is not the product owner.");
+            await expect(warranty.connect(customer1).registerForRecall(otherModelToken, 1))
+                .to.be.revertedWith("WM: Product not affected by recall.");
+            // 未登记的产品不能直接处理
+            await expect(warranty.connect(serviceCenter).resolveRecall(modelTokenA, 1, "Battery replaced"))
+                .to.be.revertedWith("WM: Not registered for recall.");
+
+            await expect(warranty.connect(customer1).registerForRecall(modelTokenA, 1))
+                .to.emit(warranty, "RecallServiceRequested").withArgs(1, modelTokenA, customer1.address);
+            await expect(warranty.connect(customer1).registerForRecall(modelTokenA, 1))
+                .to.be.revertedWith("WM: Already registered for recall.");
+
+            await expect(warranty.connect(customer1).resolveRecall(modelTokenA, 1, "Battery replaced"))
+                .to.be.revertedWith("Caller is not a Service Center");
+            await expect(warranty.connect(serviceCenter).resolveRecall(modelTokenA, 1, "Battery replaced"))
+                .to.emit(warranty, "RecallResolved").withArgs(1, modelTokenA, serviceCenter.address, "Battery replaced");
+
+            const service = await warranty.recallServices(1, modelTokenA);
+            expect(service.status).to.equal(RecallServiceStatus.Resolved);
+            expect(service.serviceLog).to.equal("Battery replaced");
+
+            // 保修索赔次数与状态不受影响
+            const status = await warranty.getWarrantyStatus(modelTokenA);
+            expect(status[3]).to.equal(0);
+            expect(status[4]).to.equal(ClaimStatus.Active);
+
+            // 已完成补救的产品不再显示该召回，同型号其他产品仍显示
+            expect(await warranty.getOpenRecalls(modelTokenA)).to.deep.equal([]);
+            expect(await warranty.getOpenRecalls(modelTokenB)).to.deep.equal([1n]);
+        });
+
+        it("只有发起召回的制造商可以关闭召回，关闭后不能再登记", async function () {
+            await expect(warranty.connect(user).closeRecall(1)).to.be.revertedWith("WM: Not recall owner.");
+            await expect(warranty.connect(manufacturer).closeRecall(1))
+                .to.emit(warranty, "RecallClosed").withArgs(1);
+
+            expect(await warranty.getOpenRecalls(modelTokenB)).to.deep.equal([]);
+            await expect(warranty.connect(customer1).registerForRecall(modelTokenB, 1))
+                .to.be.revertedWith("WM: Recall not open.");
+            await expect(warranty.getRecall(9999)).to.be.revertedWith("WM: Recall does not exist.");
+        });
+    });
+
     // --- 动态状态检查 (Dynamic Status Check) 核心修改 ---
     describe("动态状态检查 (Dynamic Status Check)", function () {
         let tokenId; 
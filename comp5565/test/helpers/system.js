@@ -0,0 +1,63 @@
+// File: test/helpers/system.js
+// 部署、索引、接口与运维测试共用的夹具：在临时目录中通过 scripts/deploy.js 部署整套系统，
+// 以及像 `npx hardhat node` 一样把进程内网络暴露为本地节点；单元测试与集成测试直接部署需要链接外部库的合约时也用这里的工厂。
+
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { JsonRpcServer } = require("hardhat/internal/hardhat-network/jsonrpc/server");
+const { createProvider } = require("hardhat/internal/core/providers/construction");
+const { deploySystem } = require("../../scripts/deploy");
+const { loadManifest } = require("../../scripts/lib/manifest");
+
+// 在新建的临时目录中部署；roles 为 ProductSystemModule 的角色参数 (manufacturers、retailers、serviceCenters 等)。
+// 部署清单 (journal 为 true 时还有 Ignition 执行日志) 写入该目录，测试结束后调用 cleanup() 删除。
+// 返回的 options 可原样传给 deploySystem 重复运行
+async function deployTestSystem(prefix, roles, { journal = false } = {}) {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    const options = {
+        parameters: { ProductSystemModule: roles },
+        deploymentDir: journal ? path.join(tmpDir, "journal") : undefined,
+        manifestDir: tmpDir,
+    };
+    const { contracts, manifestFile } = await deploySystem(hre, options);
+    return {
+        tmpDir,
+        options,
+        contracts,
+        manifestFile,
+        manifest: loadManifest(manifestFile),
+        cleanup: () => fs.rmSync(tmpDir, { recursive: true, force: true }),
+    };
+}
+
+// 部署合约需要链接的外部库 (按 artifact 的 linkReferences，如 WarrantyManager 与 ProductRegistry)，返回已链接的合约工厂
+async function getLinkedContractFactory(contractName) {
+    const { linkReferences } = await hre.artifacts.readArtifact(contractName);
+    const libraries = {};
+    for (const names of Object.values(linkReferences)) {
+        for (const name of Object.keys(names)) {
+            const library = await hre.ethers.deployContract(name);
+            libraries[name] = await library.getAddress();
+        }
+    }
+    return hre.ethers.getContractFactory(contractName, { libraries });
+}
+
+// 用 Hardhat 的 JSON-RPC 服务暴露进程内网络 (与 `npx hardhat node` 相同)。
+// network 与 `--network localhost` 时的 hre.network 一致 (provider 经 HTTP 连接该节点)，用完调用 close()
+async function startLocalNode() {
+    const server = new JsonRpcServer({ hostname: "127.0.0.1", port: 0, provider: hre.network.provider });
+    const { port } = await server.listen();
+    const url = `http://127.0.0.1:${port}`;
+    const networks = { ...hre.config.networks, localhost: { ...hre.config.networks.localhost, url } };
+    const provider = await createProvider({ ...hre.config, networks }, "localhost", hre.artifacts);
+    return {
+        url,
+        network: { name: "localhost", config: networks.localhost, provider },
+        close: () => server.close(),
+    };
+}
+
+module.exports = { deployTestSystem, startLocalNode, getLinkedContractFactory };